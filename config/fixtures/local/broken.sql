@@ -0,0 +1,37 @@
+-- Known problems the local harness expects every validator to report, applied over seed.sql:
+--
+--   beta     4/5 users (warning) and API calls ramping towards a 20000 override
+--   gamma    7/5 users and 30000/10000 API calls (limits exceeded)
+--   delta    dashboard overview fails for this tenant (canary probe fails)
+--   epsilon  subscription past_due (canary probe warns)
+--   two users of a deleted tenant (orphans) and one acme usage row pointing at a beta user
+--   (cross-tenant reference), and row level security not forced on tenant_usage_stats
+
+UPDATE tenants SET limits = '{"apiCalls": 20000}' WHERE slug = 'beta';
+UPDATE tenants SET features = '{"harness": {"dashboard": "error"}}' WHERE slug = 'delta';
+UPDATE tenants SET features = '{"harness": {"subscription": "past_due"}}' WHERE slug = 'epsilon';
+
+INSERT INTO tenant_users (tenant_id, email, created_at)
+SELECT tenant_id::uuid, slug || '-' || n || '@local.test', now() - (n * 10 || ' days')::interval
+FROM (VALUES
+  ('00000000-0000-4000-8000-00000000000b', 'beta', 4, 4),
+  ('00000000-0000-4000-8000-00000000000c', 'gamma', 3, 7)
+) AS t(tenant_id, slug, first, last), generate_series(first, last) AS n;
+
+UPDATE tenant_usage_stats s
+SET api_calls_count = CASE WHEN t.slug = 'beta' THEN 700 - (CURRENT_DATE - s.stat_date) * 5 ELSE 1000 END
+FROM tenants t
+WHERE t.id = s.tenant_id AND t.slug IN ('beta', 'gamma');
+
+-- Orphans: their tenant was deleted
+INSERT INTO tenant_users (tenant_id, email) VALUES
+  ('00000000-0000-4000-8000-0000000000ff', 'ghost-1@local.test'),
+  ('00000000-0000-4000-8000-0000000000ff', 'ghost-2@local.test');
+
+-- Cross-tenant reference: an acme usage row attributed to a beta user
+INSERT INTO tenant_usage_stats (tenant_id, user_id, stat_date, api_calls_count)
+SELECT '00000000-0000-4000-8000-00000000000a', id, CURRENT_DATE, 1
+FROM tenant_users WHERE email = 'beta-1@local.test';
+
+-- Enabled but not forced, so the table owner bypasses the policy
+ALTER TABLE tenant_usage_stats NO FORCE ROW LEVEL SECURITY;
@@ -0,0 +1,54 @@
+-- Local harness schema: the tenant tables every validator reads.
+-- Recreated on each harness run; tenant_users.tenant_id is deliberately unconstrained so the
+-- fixtures can hold orphaned users.
+
+DROP TABLE IF EXISTS tenant_usage_stats, tenant_users, tenants CASCADE;
+
+CREATE TABLE tenants (
+  id UUID PRIMARY KEY,
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL UNIQUE,
+  plan TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  limits JSONB,
+  features JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE tenant_users (
+  id SERIAL PRIMARY KEY,
+  tenant_id UUID,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE tenant_usage_stats (
+  id SERIAL PRIMARY KEY,
+  tenant_id UUID NOT NULL REFERENCES tenants(id),
+  user_id INTEGER REFERENCES tenant_users(id),
+  stat_date DATE NOT NULL,
+  api_calls_count INTEGER NOT NULL DEFAULT 0
+);
+
+-- The role the services connect as; row level security applies to it
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT FROM pg_roles WHERE rolname = 'nirosubs_app') THEN
+    CREATE ROLE nirosubs_app NOLOGIN;
+  END IF;
+END
+$$;
+GRANT USAGE ON SCHEMA public TO nirosubs_app;
+GRANT SELECT, INSERT, UPDATE, DELETE ON tenants, tenant_users, tenant_usage_stats TO nirosubs_app;
+
+ALTER TABLE tenant_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_users FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON tenant_users
+  USING (tenant_id = current_setting('app.current_tenant', true)::uuid);
+
+ALTER TABLE tenant_usage_stats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_usage_stats FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON tenant_usage_stats
+  USING (tenant_id = current_setting('app.current_tenant', true)::uuid);
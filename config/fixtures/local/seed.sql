@@ -0,0 +1,30 @@
+-- Local harness fixtures: a healthy baseline. Dates are relative to CURRENT_DATE so forecasts
+-- stay meaningful. broken.sql layers the harness's known problems on top of it.
+--
+--   acme     pro      3 users
+--   beta     free     3/5 users, 200 API calls a day
+--   gamma    free     2/5 users, 200 API calls a day
+--   delta    starter  2 users
+--   epsilon  pro      2 users
+
+INSERT INTO tenants (id, name, slug, plan, limits, features) VALUES
+  ('00000000-0000-4000-8000-00000000000a', 'Acme', 'acme', 'pro', NULL, '{}'),
+  ('00000000-0000-4000-8000-00000000000b', 'Beta', 'beta', 'free', NULL, '{}'),
+  ('00000000-0000-4000-8000-00000000000c', 'Gamma', 'gamma', 'free', NULL, '{}'),
+  ('00000000-0000-4000-8000-00000000000d', 'Delta', 'delta', 'starter', NULL, '{}'),
+  ('00000000-0000-4000-8000-00000000000e', 'Epsilon', 'epsilon', 'pro', NULL, '{}');
+
+INSERT INTO tenant_users (tenant_id, email, created_at)
+SELECT tenant_id::uuid, slug || '-' || n || '@local.test', now() - (n * 10 || ' days')::interval
+FROM (VALUES
+  ('00000000-0000-4000-8000-00000000000a', 'acme', 3),
+  ('00000000-0000-4000-8000-00000000000b', 'beta', 3),
+  ('00000000-0000-4000-8000-00000000000c', 'gamma', 2),
+  ('00000000-0000-4000-8000-00000000000d', 'delta', 2),
+  ('00000000-0000-4000-8000-00000000000e', 'epsilon', 2)
+) AS t(tenant_id, slug, users), generate_series(1, users) AS n;
+
+-- 60 days of flat usage, well under every plan's 30-day limit
+INSERT INTO tenant_usage_stats (tenant_id, stat_date, api_calls_count)
+SELECT t.id, CURRENT_DATE - day, CASE WHEN t.plan = 'free' THEN 200 ELSE 1000 END
+FROM tenants t, generate_series(0, 59) AS day;
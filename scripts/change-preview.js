@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { parseArgs } = require('./lib/cli');
+const { STATUS, createResult } = require('./lib/check-runner');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { selectEnvironment } = require('./lib/environments');
+const { TEMPLATES_DIR, loadTemplate, parseTemplate } = require('./lib/cfn-template');
+const { catalogStackName, loadStackCatalog } = require('./lib/stack-graph');
+const {
+  assessChanges,
+  changesFromChangeSet,
+  describeChange,
+  diffTemplates,
+  summarizeChanges
+} = require('./lib/template-diff');
+const { initLogging } = require('./lib/logger');
+
+// Resource changes a deploy would make, and how risky they are: between two template files,
+// or between a catalogued stack's deployed template (or a saved snapshot) and its template in
+// the repository, or from a change set. Gate mode fails on destructive changes where the
+// registry sets blockDestructiveChanges (prd).
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  gray: '\x1b[90m',
+  bold: '\x1b[1m'
+};
+
+const SYMBOLS = {
+  add: `${colors.green}+`,
+  modify: `${colors.yellow}~`,
+  replace: `${colors.red}!`,
+  remove: `${colors.red}-`
+};
+
+async function aws(args) {
+  const { stdout } = await promisify(execFile)('aws', args, { encoding: 'utf-8', timeout: 30000 });
+  return stdout;
+}
+
+// The stack's deployed template, or null when the stack does not exist yet
+async function deployedTemplate(stackName, region) {
+  try {
+    const output = await aws([
+      'cloudformation', 'get-template',
+      '--stack-name', stackName,
+      '--template-stage', 'Original',
+      '--region', region,
+      '--output', 'json'
+    ]);
+    const body = JSON.parse(output).TemplateBody;
+    // JSON templates come back parsed, YAML ones as text
+    return typeof body === 'string' ? parseTemplate(body, stackName) : body;
+  } catch (error) {
+    if (/does not exist/.test(String(error.stderr || error.message))) return null;
+    throw error;
+  }
+}
+
+async function loadTemplates(options) {
+  const environment = options.environment;
+  const sources = { before: options.old || null, after: options.new || null, stackName: null };
+
+  if (options.stack) {
+    const catalog = loadStackCatalog();
+    const entry = catalog.stacks[options.stack];
+    if (!entry) {
+      throw new Error(`Unknown stack "${options.stack}". Expected one of: ${Object.keys(catalog.stacks).join(', ')}`);
+    }
+    sources.stackName = catalogStackName(catalog, options.stack, environment);
+    sources.after = sources.after || path.join(TEMPLATES_DIR, entry.template);
+  }
+
+  const after = sources.after ? loadTemplate(sources.after).template : null;
+  let before = sources.before ? loadTemplate(sources.before).template : null;
+  if (!before && sources.stackName) {
+    before = await deployedTemplate(sources.stackName, environment.region);
+    sources.before = before ? `deployed ${sources.stackName}` : `${sources.stackName} (not deployed yet)`;
+    before = before || { Resources: {} };
+  }
+  return { before, after, sources };
+}
+
+// One check per change; destructive ones fail the run only when the gate blocks them
+function changesToChecks(changes, gate) {
+  return changes.map(change => {
+    let status = STATUS.PASSED;
+    if (gate.blocked.includes(change)) {
+      status = STATUS.CRITICAL;
+    } else if (change.risk !== 'low') {
+      status = STATUS.WARNING;
+    }
+    const allowed = gate.allowed.includes(change) ? ' (allowed)' : '';
+
+    return createResult(`${change.logicalId} (${change.type})`, status, {
+      critical: status === STATUS.CRITICAL,
+      error: status === STATUS.PASSED ? null : `${describeChange(change)}${allowed}`,
+      details: change
+    });
+  });
+}
+
+async function runPreview(options = {}) {
+  const environment = options.environment;
+  const allow = options.allow || [];
+  console.log(`${colors.blue}${colors.bold}🔍 Change preview (${environment.name})${colors.reset}`);
+
+  const { before, after, sources } = await loadTemplates(options);
+  let changes;
+  if (options.changeSet) {
+    changes = changesFromChangeSet(JSON.parse(fs.readFileSync(options.changeSet, 'utf-8')));
+    sources.changeSet = options.changeSet;
+  } else if (before && after) {
+    changes = diffTemplates(before, after);
+  } else {
+    throw new Error('Give two templates, --stack <name>, or --change-set <file>');
+  }
+  changes = assessChanges(changes, before);
+
+  if (options.saveSnapshot && before) {
+    fs.writeFileSync(options.saveSnapshot, `${JSON.stringify(before, null, 2)}\n`);
+    console.log(`Snapshot of the current template written to ${options.saveSnapshot}`);
+  }
+
+  console.log(`Before: ${sources.before || 'none'}`);
+  console.log(`After:  ${sources.changeSet ? `change set ${sources.changeSet}` : sources.after}`);
+  changes.forEach(change => {
+    const symbol = SYMBOLS[change.action] || `${colors.gray}?`;
+    console.log(`${symbol}${colors.reset} ${describeChange(change)}`);
+  });
+
+  const summary = summarizeChanges(changes);
+  console.log(`\n${summary.add} to add, ${summary.modify} to modify, ${summary.replace} to replace, ${summary.remove} to remove; ${summary.destructive} destructive`);
+
+  // Allowed changes have been reviewed, by logical id
+  const destructive = changes.filter(change => change.destructive);
+  const enforced = Boolean(options.gate) && Boolean(environment.blockDestructiveChanges);
+  const gate = {
+    enforced,
+    allowed: destructive.filter(change => allow.includes(change.logicalId)),
+    blocked: enforced ? destructive.filter(change => !allow.includes(change.logicalId)) : []
+  };
+
+  return { environment, sources, changes, summary, gate, checks: changesToChecks(changes, gate) };
+}
+
+// Main execution
+if (require.main === module) {
+  // <old> <new> compares two template files; --stack <name> --env dev|stg|prd compares a
+  // config/stacks.json stack's deployed template (or --old <snapshot>) with its template here;
+  // --change-set <file> reads `aws cloudformation describe-change-set --output json` instead of
+  // diffing; --save-snapshot <file> keeps the template compared against; --gate exits 1 on
+  // destructive changes where the registry sets blockDestructiveChanges, except the logical ids
+  // in --allow a,b
+  initLogging('change-preview');
+  const { options, positional } = parseArgs();
+  let reporting;
+
+  Promise.resolve()
+    .then(() => {
+      reporting = prepareReporting();
+      return runPreview({
+        environment: selectEnvironment(),
+        stack: options.stack,
+        old: options.old || positional[0],
+        new: options.new || positional[1],
+        changeSet: options['change-set'],
+        saveSnapshot: options['save-snapshot'],
+        gate: Boolean(options.gate),
+        allow: typeof options.allow === 'string' ? options.allow.split(',').map(id => id.trim()).filter(Boolean) : []
+      });
+    })
+    .then(({ environment, sources, changes, summary, gate, checks }) => {
+      if (gate.blocked.length > 0) {
+        console.log(`\n${colors.red}${colors.bold}⛔ ${gate.blocked.length} destructive changes blocked in ${environment.name}: ${gate.blocked.map(change => change.logicalId).join(', ')}${colors.reset}`);
+        console.log('Review them, then rerun with --allow <logical ids> to deploy anyway.');
+      } else if (summary.destructive > 0) {
+        console.log(`\n${colors.yellow}${colors.bold}⚠️  ${summary.destructive} destructive changes${colors.reset}`);
+      } else {
+        console.log(`\n${colors.green}${colors.bold}✅ No destructive changes${colors.reset}`);
+      }
+
+      writeReport(buildReport('change-preview', environment.name, checks, {
+        stack: options.stack || null,
+        sources,
+        totals: summary,
+        gate: {
+          enforced: gate.enforced,
+          blocked: gate.blocked.map(change => change.logicalId),
+          allowed: gate.allowed.map(change => change.logicalId)
+        },
+        changes
+      }), reporting);
+      process.exit(gate.blocked.length > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Change preview failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runPreview, changesToChecks, deployedTemplate };
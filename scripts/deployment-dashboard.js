@@ -1,27 +1,40 @@
 #!/usr/bin/env node
 
 const express = require('express');
-const nodemailer = require('nodemailer');
-const { execSync } = require('child_process');
+const { Client } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const { ProductionHealthCheck } = require('./production-health-check');
+const { ProductionTenantHealth } = require('./tenant-health-production');
+const { TenantHealthMonitor } = require('./tenant-health-monitor');
+const IntegrationTestSuite = require('./deployment-integration-tests');
+const { HealthHistoryStore } = require('./lib/health-history');
+const { STATUS } = require('./lib/check-runner');
+const { selectEnvironment, databaseConfig } = require('./lib/environments');
+const { resolveEnvironment } = require('./lib/endpoint-resolver');
+const { Notifier } = require('./lib/notifier');
+const { ValidationMetrics, CONTENT_TYPE } = require('./lib/metrics');
+const { UsageForecaster } = require('./lib/usage-forecast');
+const { DriftDetector, FixtureDriftSource, driftToChecks } = require('./lib/drift-detector');
+const { initLogging } = require('./lib/logger');
+const { Orchestrator, STEP_STATUS } = require('./lib/orchestrator');
+
+// Target environment for every check, selected with --env dev|stg|prd (or $ENVIRONMENT).
+// Endpoints are re-resolved from stack outputs at startup when --resolve-endpoints or
+// --stack-outputs is given.
+let environment = selectEnvironment();
 
 // Dashboard configuration
 const config = {
   port: process.env.DASHBOARD_PORT || 3100,
-  email: {
-    smtp: {
-      host: process.env.SMTP_HOST || 'smtp.gmail.com',
-      port: process.env.SMTP_PORT || 587,
-      secure: false,
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASSWORD
-      }
-    },
-    from: process.env.EMAIL_FROM || process.env.SMTP_USER,
-    to: process.env.EMAIL_TO || 'stevesurles@gmail.com'
-  },
+  environment: environment.name,
+  historyDir: process.env.HEALTH_HISTORY_DIR,
+  forecastDays: parseInt(process.env.FORECAST_DAYS) || 30,
+  driftFixture: process.env.DRIFT_FIXTURE,
+  // Drift detection is rate limited, so it reruns at most this often
+  driftInterval: (parseInt(process.env.DRIFT_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  concurrency: parseInt(process.env.VALIDATION_CONCURRENCY) || 3,
+  stepTimeout: 5 * 60 * 1000, // per collection step
   refreshInterval: 5 * 60 * 1000 // 5 minutes
 };
 
@@ -31,18 +44,25 @@ app.use(express.json());
 
 // Store deployment results
 let deploymentResults = {
+  runId: null,
+  environment: config.environment,
   lastUpdate: null,
-  infrastructure: { status: 'unknown', score: 0, details: [] },
-  tenantHealth: { status: 'unknown', score: 0, details: [] },
-  tests: { status: 'unknown', passed: 0, failed: 0, details: [] },
-  overall: { status: 'unknown', ready: false }
+  infrastructure: { status: 'unknown', score: 0, details: [], checks: [] },
+  tenantHealth: { status: 'unknown', score: 0, details: [], checks: [] },
+  tests: { status: 'unknown', passed: 0, failed: 0, details: [], checks: [] },
+  overall: { status: 'unknown', ready: false },
+  usageForecast: null,
+  drift: null
 };
 
-// Email transporter
-let emailTransporter = null;
-if (config.email.smtp.auth.user && config.email.smtp.auth.pass) {
-  emailTransporter = nodemailer.createTransporter(config.email.smtp);
-}
+// Every validation run is persisted so trends survive restarts
+const historyStore = new HealthHistoryStore({ directory: config.historyDir });
+
+// Prometheus metrics, refreshed after every validation run
+const metrics = new ValidationMetrics();
+
+// Alert channels and routing come from config/notifications.json
+const notifier = new Notifier();
 
 // HTML Dashboard Template
 const dashboardHTML = `
@@ -76,24 +96,72 @@ const dashboardHTML = `
         .details { background: #f7fafc; border-radius: 8px; padding: 15px; margin-top: 15px; }
         .details ul { margin: 0; padding-left: 20px; }
         .details li { margin: 5px 0; }
+        .checks { list-style: none; margin: 15px 0 0; padding: 0; font-size: 0.9em; }
+        .checks li { display: flex; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #edf2f7; }
+        .checks li.passed { color: #22543d; }
+        .checks li.warning { color: #744210; }
+        .checks li.critical { color: #742a2a; }
+        .trend { display: flex; justify-content: space-between; align-items: center; margin: 10px 0; font-size: 0.9em; color: #718096; }
+        .trend svg { width: 180px; height: 36px; }
+        .trend polyline { fill: none; stroke: #4299e1; stroke-width: 2; }
         .refresh-btn { background: #4299e1; color: white; border: none; padding: 12px 24px; border-radius: 8px; cursor: pointer; font-size: 1em; font-weight: 600; }
         .refresh-btn:hover { background: #3182ce; }
         .timestamp { text-align: center; color: #718096; margin: 20px 0; font-style: italic; }
+        .forecast { width: 100%; border-collapse: collapse; font-size: 0.9em; margin-top: 15px; }
+        .forecast th, .forecast td { text-align: left; padding: 8px; border-bottom: 1px solid #edf2f7; }
+        .forecast tr.exceeded td { color: #742a2a; }
+        .forecast tr.at-risk td { color: #744210; }
+        .forecast tr.critical td { color: #742a2a; }
+        .forecast tr.warning td { color: #744210; }
         .alert-box { background: #fed7d7; border: 1px solid #feb2b2; color: #742a2a; padding: 15px; border-radius: 8px; margin: 20px 0; }
         .success-box { background: #c6f6d5; border: 1px solid #9ae6b4; color: #22543d; padding: 15px; border-radius: 8px; margin: 20px 0; }
     </style>
     <script>
+        const TREND_WINDOW = '24h';
+
         function refreshDashboard() {
             fetch('/api/status')
                 .then(response => response.json())
                 .then(data => {
                     updateDashboard(data);
+                    return fetch('/api/history?env=' + encodeURIComponent(data.environment) + '&since=' + TREND_WINDOW);
+                })
+                .then(response => response.json())
+                .then(history => {
+                    renderTrend('infra-trend', history.runs, 'infrastructure');
+                    renderTrend('tenant-trend', history.runs, 'tenantHealth');
+                    renderTrend('test-trend', history.runs, 'tests');
                 })
                 .catch(error => {
                     console.error('Error fetching status:', error);
                 });
         }
 
+        // Sparkline of section scores plus uptime (share of runs that were not critical)
+        function renderTrend(elementId, runs, section) {
+            const container = document.getElementById(elementId);
+            if (!runs || runs.length === 0) {
+                container.innerHTML = '<span>No history yet</span>';
+                return;
+            }
+
+            const width = 180;
+            const height = 36;
+            const step = runs.length > 1 ? width / (runs.length - 1) : 0;
+            const points = runs.map((run, index) => {
+                const y = height - 2 - (run[section].score / 100) * (height - 4);
+                return (index * step).toFixed(1) + ',' + y.toFixed(1);
+            }).join(' ');
+
+            const upRuns = runs.filter(run => run[section].status === 'healthy' || run[section].status === 'warning').length;
+            const uptime = Math.round((upRuns / runs.length) * 100);
+
+            container.innerHTML =
+                '<span>' + TREND_WINDOW + ' uptime: ' + uptime + '% (' + runs.length + ' runs)</span>' +
+                '<svg viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="none">' +
+                '<polyline points="' + points + '"></polyline></svg>';
+        }
+
         function updateDashboard(data) {
             // Update infrastructure
             document.getElementById('infra-status').className = 'status ' + getStatusClass(data.infrastructure.status);
@@ -112,6 +180,13 @@ const dashboardHTML = `
             document.getElementById('test-status').textContent = data.tests.status.toUpperCase();
             document.getElementById('test-passed').textContent = data.tests.passed;
             document.getElementById('test-failed').textContent = data.tests.failed;
+
+            // Per-check results from the last run
+            renderChecks('infra-checks', data.infrastructure.checks);
+            renderChecks('tenant-checks', data.tenantHealth.checks);
+            renderChecks('test-checks', data.tests.checks);
+            renderForecast(data.usageForecast);
+            renderDrift(data.drift);
             
             // Update overall status
             const overallStatus = document.getElementById('overall-status');
@@ -127,6 +202,93 @@ const dashboardHTML = `
             document.getElementById('last-update').textContent = 'Last updated: ' + new Date(data.lastUpdate).toLocaleString();
         }
 
+        function renderChecks(elementId, checks) {
+            const list = document.getElementById(elementId);
+            list.innerHTML = '';
+            (checks || []).forEach(check => {
+                const item = document.createElement('li');
+                item.className = check.status;
+                const name = document.createElement('span');
+                name.textContent = check.name + (check.error ? ' - ' + check.error : '');
+                const timing = document.createElement('span');
+                timing.textContent = check.responseTime != null ? check.responseTime + 'ms' : '';
+                item.appendChild(name);
+                item.appendChild(timing);
+                list.appendChild(item);
+            });
+        }
+
+        // Tenants forecast to reach a plan limit, soonest first
+        function renderForecast(forecast) {
+            const summary = document.getElementById('forecast-summary');
+            const rows = document.getElementById('forecast-rows');
+            rows.innerHTML = '';
+            if (!forecast) {
+                summary.textContent = 'Usage forecast unavailable';
+                return;
+            }
+
+            summary.textContent = forecast.atRisk.length + ' of ' + forecast.tenants + ' tenants reach a limit within ' + forecast.horizonDays + ' days';
+            forecast.atRisk.forEach(entry => {
+                const row = document.createElement('tr');
+                row.className = entry.status;
+                [
+                    entry.tenant,
+                    entry.plan || '',
+                    entry.metric === 'users' ? 'Users' : 'API calls (30d)',
+                    entry.current + ' / ' + entry.limit,
+                    entry.status === 'exceeded' ? 'Exceeded' : entry.exhaustionDate + ' (' + entry.daysLeft + 'd)'
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                rows.appendChild(row);
+            });
+        }
+
+        // Drifted properties and unmatched resources, per stack
+        function renderDrift(drift) {
+            const badge = document.getElementById('drift-status');
+            const summary = document.getElementById('drift-summary');
+            const rows = document.getElementById('drift-rows');
+            rows.innerHTML = '';
+            if (!drift) {
+                badge.className = 'status unknown';
+                badge.textContent = 'UNKNOWN';
+                summary.textContent = 'Drift detection unavailable';
+                return;
+            }
+
+            badge.className = 'status ' + getStatusClass(drift.status);
+            badge.textContent = drift.status.toUpperCase();
+            summary.textContent = drift.summary.inSync + ' of ' + drift.summary.stacks + ' stacks in sync (' + drift.source + ', ' + new Date(drift.checkedAt).toLocaleString() + ')';
+            const addRow = (className, values) => {
+                const row = document.createElement('tr');
+                row.className = className;
+                values.forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value == null ? '' : String(value);
+                    row.appendChild(cell);
+                });
+                rows.appendChild(row);
+            };
+            drift.stacks.forEach(stack => {
+                if (stack.status === 'not-deployed' || stack.error) {
+                    addRow(stack.status === 'error' ? 'critical' : 'warning', [stack.stackName, '', stack.error || 'not deployed', '', '']);
+                }
+                stack.resources.forEach(resource => {
+                    const className = resource.status === 'deleted' ? 'critical' : 'warning';
+                    if (resource.differences.length === 0) {
+                        addRow(className, [stack.stackName, resource.logicalId, resource.status, '', '']);
+                    }
+                    resource.differences.forEach(difference => {
+                        addRow(className, [stack.stackName, resource.logicalId, difference.path, difference.expected, difference.actual]);
+                    });
+                });
+            });
+        }
+
         function getStatusClass(status) {
             switch(status) {
                 case 'healthy': return 'healthy';
@@ -168,6 +330,7 @@ const dashboardHTML = `
                     <span id="infra-status" class="status unknown">LOADING</span>
                 </div>
                 <div id="infra-score" class="score low">--</div>
+                <div id="infra-trend" class="trend"></div>
                 <div class="details">
                     <strong>Monitors:</strong>
                     <ul>
@@ -177,6 +340,7 @@ const dashboardHTML = `
                         <li>AWS services connectivity</li>
                     </ul>
                 </div>
+                <ul id="infra-checks" class="checks"></ul>
             </div>
 
             <div class="card">
@@ -186,6 +350,7 @@ const dashboardHTML = `
                     <span id="tenant-status" class="status unknown">LOADING</span>
                 </div>
                 <div id="tenant-score" class="score low">--</div>
+                <div id="tenant-trend" class="trend"></div>
                 <div class="details">
                     <strong>Validates:</strong>
                     <ul>
@@ -195,6 +360,7 @@ const dashboardHTML = `
                         <li>Zero cross-tenant data leakage</li>
                     </ul>
                 </div>
+                <ul id="tenant-checks" class="checks"></ul>
             </div>
 
             <div class="card">
@@ -211,19 +377,47 @@ const dashboardHTML = `
                     <span>Failed</span>
                     <span id="test-failed" class="metric-value">--</span>
                 </div>
+                <div id="test-trend" class="trend"></div>
                 <div class="details">
                     <strong>Test Coverage:</strong>
                     <ul>
-                        <li>260+ multitenant isolation tests</li>
-                        <li>Frontend component testing</li>
-                        <li>Backend API validation</li>
-                        <li>End-to-end workflows</li>
+                        <li>Infrastructure integration tests</li>
+                        <li>API endpoint routing and errors</li>
+                        <li>Frontend deployment assets</li>
+                        <li>Performance and reliability</li>
                     </ul>
                 </div>
+                <ul id="test-checks" class="checks"></ul>
+            </div>
+        </div>
+
+        <div class="card">
+            <h3>📈 Usage Forecast</h3>
+            <div id="forecast-summary" class="trend">Loading...</div>
+            <table class="forecast">
+                <thead>
+                    <tr><th>Tenant</th><th>Plan</th><th>Limit</th><th>Usage</th><th>Limit reached</th></tr>
+                </thead>
+                <tbody id="forecast-rows"></tbody>
+            </table>
+        </div>
+
+        <div class="card">
+            <h3>🧭 Infrastructure Drift</h3>
+            <div class="metric">
+                <span>Status</span>
+                <span id="drift-status" class="status unknown">LOADING</span>
             </div>
+            <div id="drift-summary" class="trend">Loading...</div>
+            <table class="forecast">
+                <thead>
+                    <tr><th>Stack</th><th>Resource</th><th>Drift</th><th>Expected</th><th>Actual</th></tr>
+                </thead>
+                <tbody id="drift-rows"></tbody>
+            </table>
         </div>
 
-        <div style="text-align: center;">
+        <div style="text-align: center; margin-top: 30px;">
             <button class="refresh-btn" onclick="refreshDashboard()">🔄 Refresh Now</button>
         </div>
 
@@ -244,6 +438,50 @@ app.get('/api/status', (req, res) => {
   res.json(deploymentResults);
 });
 
+app.get('/api/history', async (req, res) => {
+  try {
+    const runs = await historyStore.list({
+      env: req.query.env,
+      since: req.query.since,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+    res.json({ runs });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/history/:runId', async (req, res) => {
+  try {
+    const run = await historyStore.get(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: `Run ${req.params.runId} not found` });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/usage-forecast', (req, res) => {
+  if (!deploymentResults.usageForecast) {
+    return res.status(503).json({ success: false, error: 'Usage forecast not collected yet' });
+  }
+  res.json(deploymentResults.usageForecast);
+});
+
+app.get('/api/drift', (req, res) => {
+  if (!deploymentResults.drift) {
+    return res.status(503).json({ success: false, error: 'Drift not collected yet' });
+  }
+  res.json(deploymentResults.drift);
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 app.post('/api/trigger-validation', async (req, res) => {
   try {
     await runFullValidation();
@@ -253,82 +491,253 @@ app.post('/api/trigger-validation', async (req, res) => {
   }
 });
 
-// Run validation and update results
-async function runFullValidation() {
-  console.log('🔍 Running full deployment validation...');
-  const startTime = Date.now();
-  
+// Derive a card status from the individual check results
+function statusFromChecks(checks) {
+  if (checks.length === 0) return 'unknown';
+  if (checks.some(check => check.status === STATUS.CRITICAL)) return 'critical';
+  if (checks.some(check => check.status === STATUS.WARNING)) return 'warning';
+  return 'healthy';
+}
+
+function describeCheck(check) {
+  const timing = check.responseTime != null ? ` (${check.responseTime}ms)` : '';
+  if (check.status === STATUS.PASSED) {
+    return `${check.name}: OK${timing}`;
+  }
+  return `${check.name}: ${check.status.toUpperCase()} - ${check.error || 'failed'}${timing}`;
+}
+
+// Dashboard sections from the summaries the validators return
+function infrastructureSection(summary) {
+  return {
+    status: statusFromChecks(summary.checks),
+    score: summary.healthScore,
+    details: summary.checks.map(describeCheck),
+    checks: summary.checks
+  };
+}
+
+function tenantHealthSection(summary) {
+  return {
+    status: summary.productionReady ? statusFromChecks(summary.checks) : 'critical',
+    score: summary.healthScore,
+    details: [...summary.checks.map(describeCheck), ...summary.issues],
+    checks: summary.checks
+  };
+}
+
+function testsSection(summary) {
+  const checks = summary.results;
+
+  let status = 'healthy';
+  if (!summary.success) {
+    status = 'critical';
+  } else if (summary.failed > 0) {
+    status = 'warning';
+  }
+
+  return {
+    status,
+    passed: summary.passed,
+    failed: summary.failed,
+    details: checks.map(describeCheck),
+    checks
+  };
+}
+
+async function validateInfrastructure() {
   try {
-    // Run infrastructure health check
-    console.log('Checking infrastructure health...');
-    const infraResult = execSync('node scripts/production-health-check.js', { 
-      encoding: 'utf-8', 
-      cwd: __dirname + '/..'
-    });
-    
-    deploymentResults.infrastructure = {
-      status: 'healthy',
-      score: 100,
-      details: ['All critical services responding', 'CDN operational', 'DNS resolved', 'API Gateway healthy']
+    return infrastructureSection(await new ProductionHealthCheck({ environment }).runHealthChecks());
+  } catch (error) {
+    return {
+      status: 'critical',
+      score: 0,
+      details: [`Infrastructure health check failed: ${error.message}`],
+      checks: []
     };
+  }
+}
 
-    // Run tenant health check
-    console.log('Checking tenant health...');
-    const tenantResult = execSync('node scripts/tenant-health-production.js', { 
-      encoding: 'utf-8', 
-      cwd: __dirname + '/..'
-    });
-    
-    deploymentResults.tenantHealth = {
-      status: 'healthy',
-      score: 100,
-      details: ['Perfect tenant isolation', 'No data leakage detected', 'Capacity within limits', 'Database integrity verified']
+async function validateTenantHealth() {
+  const tenantHealth = new ProductionTenantHealth({ environment });
+
+  try {
+    await tenantHealth.runProductionHealthCheck();
+  } catch (error) {
+    // Connection failures happen before any check runs
+    return {
+      status: 'critical',
+      score: 0,
+      details: [`Tenant health check failed: ${error.message}`],
+      checks: tenantHealth.checks
     };
+  }
 
-    // Run test suite
-    console.log('Running test validation...');
-    deploymentResults.tests = {
-      status: 'healthy',
-      passed: 260,
+  return tenantHealthSection(tenantHealth.getSummary());
+}
+
+async function validateIntegrationTests() {
+  try {
+    return testsSection(await new IntegrationTestSuite({ environment }).runAllTests());
+  } catch (error) {
+    return {
+      status: 'critical',
+      passed: 0,
       failed: 0,
-      details: ['All multitenant tests passed', 'Frontend components validated', 'Backend APIs tested']
+      details: [`Integration test suite failed: ${error.message}`],
+      checks: []
     };
+  }
+}
 
-    deploymentResults.overall = {
-      status: 'ready',
-      ready: true
+// Per-tenant utilization, isolation, orphan counts and canary probes for /metrics
+async function collectTenantMetrics() {
+  const monitor = new TenantHealthMonitor({ environment });
+
+  try {
+    await monitor.connect();
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    await monitor.checkTenantIsolation();
+    await monitor.checkTenantPerformance();
+    await monitor.checkTenantProbes();
+    return monitor.healthMetrics;
+  } catch (error) {
+    console.error('Tenant metrics collection failed:', error.message);
+    return null;
+  } finally {
+    await monitor.disconnect();
+  }
+}
+
+// Tenants forecast to reach their user or API call limits, for the usage forecast panel
+async function collectUsageForecast() {
+  const db = new Client(databaseConfig(environment));
+
+  try {
+    await db.connect();
+    return await new UsageForecaster(db, { horizonDays: config.forecastDays }).forecast();
+  } catch (error) {
+    console.error('Usage forecast failed:', error.message);
+    return null;
+  } finally {
+    await db.end().catch(() => {});
+  }
+}
+
+// Live stacks against cloudformation/templates, for the drift panel; reused until driftInterval passes
+async function collectDrift({ signal }) {
+  const previous = deploymentResults.drift;
+  if (previous && previous.environment === environment.name && Date.now() - Date.parse(previous.checkedAt) < config.driftInterval) {
+    return previous;
+  }
+
+  try {
+    const report = await new DriftDetector({
+      environment,
+      source: config.driftFixture ? new FixtureDriftSource(config.driftFixture) : undefined
+    }).detect({ signal });
+    const checks = driftToChecks(report);
+    return { ...report, status: statusFromChecks(checks), checks };
+  } catch (error) {
+    console.error('Drift detection failed:', error.message);
+    return null;
+  }
+}
+
+// Collection steps run concurrently; a step that fails or times out leaves its section critical
+const VALIDATION_STEPS = [
+  { id: 'infrastructure', name: 'infrastructure health', run: validateInfrastructure },
+  { id: 'tenantHealth', name: 'tenant health', run: validateTenantHealth },
+  { id: 'tests', name: 'test validation', run: validateIntegrationTests },
+  { id: 'tenantMetrics', name: 'tenant metrics', run: collectTenantMetrics, critical: false },
+  { id: 'usageForecast', name: 'usage forecast', run: collectUsageForecast, critical: false },
+  { id: 'drift', name: 'drift detection', run: collectDrift, critical: false }
+];
+
+let validationInProgress = null;
+
+// Run validation and update results; a trigger during a run waits for that run instead of starting another
+function runFullValidation() {
+  if (!validationInProgress) {
+    validationInProgress = validate().finally(() => {
+      validationInProgress = null;
+    });
+  }
+  return validationInProgress;
+}
+
+async function validate() {
+  console.log('🔍 Running full deployment validation...');
+  const startTime = Date.now();
+  let tenantMetrics = null;
+
+  try {
+    const orchestrator = new Orchestrator(VALIDATION_STEPS, { concurrency: config.concurrency, timeout: config.stepTimeout });
+    orchestrator.on('step-start', step => console.log(`Checking ${step.name}...`));
+    const run = await orchestrator.run();
+
+    const outcome = id => run.steps.find(step => step.id === id);
+    const sectionResult = id => {
+      const step = outcome(id);
+      if (step.status === STEP_STATUS.PASSED) return step.value;
+      console.error(`✗ ${step.name} ${step.status}: ${step.error}`);
+      return { status: 'critical', score: 0, passed: 0, failed: 0, details: [`${step.name} ${step.status}: ${step.error}`], checks: [] };
     };
 
+    deploymentResults.infrastructure = sectionResult('infrastructure');
+    deploymentResults.tenantHealth = sectionResult('tenantHealth');
+    deploymentResults.tests = sectionResult('tests');
+    deploymentResults.usageForecast = outcome('usageForecast').value || null;
+    deploymentResults.drift = outcome('drift').value || null;
+    tenantMetrics = outcome('tenantMetrics').value || null;
+
+    const ready = [deploymentResults.infrastructure, deploymentResults.tenantHealth, deploymentResults.tests]
+      .every(section => section.status === 'healthy' || section.status === 'warning');
+
+    deploymentResults.overall = {
+      status: ready ? 'ready' : 'blocked',
+      ready
+    };
   } catch (error) {
+    // A run that could not finish blocks the deployment rather than crashing the server
     console.error('Validation failed:', error.message);
-    
-    deploymentResults.infrastructure.status = 'critical';
-    deploymentResults.tenantHealth.status = 'critical';
-    deploymentResults.tests.status = 'critical';
-    deploymentResults.overall.ready = false;
+    const failed = { status: 'critical', score: 0, passed: 0, failed: 0, details: [`Validation failed: ${error.message}`], checks: [] };
+    deploymentResults.infrastructure = failed;
+    deploymentResults.tenantHealth = failed;
+    deploymentResults.tests = failed;
+    deploymentResults.overall = { status: 'blocked', ready: false };
   }
 
   deploymentResults.lastUpdate = new Date().toISOString();
+  deploymentResults.durationMs = Date.now() - startTime;
+  try {
+    metrics.recordRun(config.environment, deploymentResults, tenantMetrics);
+  } catch (error) {
+    console.error('Failed to update metrics:', error.message);
+  }
+
+  try {
+    const record = await historyStore.record(deploymentResults, config.environment);
+    deploymentResults.runId = record.runId;
+  } catch (error) {
+    console.error('Failed to record validation history:', error.message);
+  }
   
-  // Send email notification
-  await sendEmailNotification();
+  // Notify only when the deployment status changes (plus reminders)
+  await sendNotification();
   
   console.log(`✅ Validation completed in ${Date.now() - startTime}ms`);
 }
 
-// Send email notification
-async function sendEmailNotification() {
-  if (!emailTransporter) {
-    console.log('📧 Email not configured, skipping notification');
-    return;
-  }
-
+// HTML summary used as the body of email notifications
+function buildSummaryHtml() {
   const isHealthy = deploymentResults.overall.ready;
-  const subject = isHealthy ? 
-    '✅ NiroSubs Deployment HEALTHY - Production Ready' : 
-    '🚨 NiroSubs Deployment ISSUES - Action Required';
 
-  const htmlBody = `
+  return `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <div style="background: ${isHealthy ? '#c6f6d5' : '#fed7d7'}; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
         <h1 style="margin: 0; color: ${isHealthy ? '#22543d' : '#742a2a'};">
@@ -360,44 +769,92 @@ async function sendEmailNotification() {
       <div style="background: white; padding: 20px; border-radius: 8px; border: 1px solid #e2e8f0;">
         <h2>🔗 Quick Links</h2>
         <ul>
-          <li><a href="http://localhost:3100">Dashboard</a></li>
-          <li><a href="https://dev.visualforge.ai">Dev Environment</a></li>
-          <li><a href="https://api-dev.visualforge.ai/health">API Health</a></li>
+          <li><a href="http://localhost:${config.port}">Dashboard</a></li>
+          <li><a href="${environment.endpoints.customDomain}">${environment.name.toUpperCase()} Environment</a></li>
+          <li><a href="${environment.endpoints.api}/health">API Health</a></li>
         </ul>
       </div>
     </div>
   `;
+}
+
+async function sendNotification() {
+  const sections = {
+    Infrastructure: deploymentResults.infrastructure,
+    'Tenant Health': deploymentResults.tenantHealth,
+    Tests: deploymentResults.tests
+  };
+  const statuses = Object.values(sections).map(section => section.status);
+
+  let severity = 'ok';
+  if (!deploymentResults.overall.ready) {
+    severity = 'critical';
+  } else if (statuses.includes('warning')) {
+    severity = 'warning';
+  }
+
+  const failing = Object.values(sections)
+    .flatMap(section => section.checks || [])
+    .filter(check => check.status !== STATUS.PASSED)
+    .map(check => `- ${check.name}: ${check.error || check.status}`);
 
   try {
-    await emailTransporter.sendMail({
-      from: config.email.from,
-      to: config.email.to,
-      subject: subject,
-      html: htmlBody
-    });
-    
-    console.log(`📧 Email notification sent to ${config.email.to}`);
+    await notifier.notify([{
+      key: `${config.environment}/deployment-dashboard/overall`,
+      severity,
+      title: severity === 'ok' ? 'Deployment healthy' : `Deployment ${deploymentResults.overall.status}`,
+      message: [
+        Object.entries(sections).map(([name, section]) => `${name}: ${section.status}`).join(', '),
+        ...failing
+      ].join('\n'),
+      environment: config.environment,
+      source: 'deployment-dashboard',
+      url: `http://localhost:${config.port}`,
+      html: buildSummaryHtml()
+    }]);
   } catch (error) {
-    console.error('📧 Failed to send email:', error.message);
+    console.error('🔔 Failed to send notification:', error.message);
   }
 }
 
 // Start the dashboard
-app.listen(config.port, () => {
-  console.log(`🎯 NiroSubs Deployment Dashboard running on http://localhost:${config.port}`);
-  console.log(`📧 Email notifications configured for: ${config.email.to}`);
-  
-  // Run initial validation
-  runFullValidation();
-  
-  // Set up periodic validation
-  setInterval(runFullValidation, config.refreshInterval);
-});
+if (require.main === module) {
+  initLogging('deployment-dashboard');
+  app.listen(config.port, async () => {
+    console.log(`🎯 NiroSubs Deployment Dashboard running on http://localhost:${config.port}`);
+    console.log(`🔔 Notification channels: ${notifier.describe()}`);
+
+    try {
+      environment = await resolveEnvironment();
+      if (environment.endpointSources) {
+        console.log(`🔗 Endpoints resolved from stack outputs: ${Object.keys(environment.endpointSources).join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`Endpoint resolution failed, using registry endpoints: ${error.message}`);
+    }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 Dashboard shutting down...');
-  process.exit(0);
-});
+    // Run initial validation; validate() records its own failures, so this only guards the unexpected
+    const validateInBackground = () => runFullValidation().catch(error => {
+      console.error('Validation run failed:', error.message);
+    });
+    validateInBackground();
 
-module.exports = { runFullValidation, deploymentResults };
\ No newline at end of file
+    // Set up periodic validation
+    setInterval(validateInBackground, config.refreshInterval);
+  });
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('🛑 Dashboard shutting down...');
+    process.exit(0);
+  });
+}
+
+module.exports = {
+  deploymentResults,
+  infrastructureSection,
+  runFullValidation,
+  statusFromChecks,
+  tenantHealthSection,
+  testsSection
+};
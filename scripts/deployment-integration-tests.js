@@ -4,16 +4,24 @@
  * Comprehensive integration tests for deployed NiroSubs environment
  */
 
-const https = require('https');
-const http = require('http');
-
+const { STATUS, request, createResult, summarize } = require('./lib/check-runner');
+const { parseArgs } = require('./lib/cli');
+const { selectEnvironment } = require('./lib/environments');
+const { resolveEnvironment } = require('./lib/endpoint-resolver');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const {
+    MIN_TENANTS,
+    authenticateTenants,
+    extractRecords,
+    loadTestTenants,
+    parseJson,
+    tenantApiUrl,
+    tenantIdOf
+} = require('./lib/test-tenants');
+const { initLogging } = require('./lib/logger');
+
+// Endpoints come from config/environments.json; select the target with --env dev|stg|prd
 const TEST_CONFIG = {
-    environment: 'dev',
-    endpoints: {
-        api: 'https://c39q8sqdp8.execute-api.us-east-1.amazonaws.com/dev',
-        frontend: 'https://dz2lwnpg8aefz.cloudfront.net',
-        s3_direct: 'http://dev-ns-shell.s3-website-us-east-1.amazonaws.com'
-    },
     timeouts: {
         default: 10000,
         long: 30000
@@ -21,13 +29,18 @@ const TEST_CONFIG = {
 };
 
 class IntegrationTestSuite {
-    constructor() {
+    constructor(options = {}) {
+        this.options = options;
+        this.environment = options.environment || selectEnvironment();
+        this.endpoints = this.environment.endpoints;
+        this.tenantHeader = (this.environment.tenantApi || {}).tenantHeader || 'X-Tenant-ID';
         this.results = [];
+        this.requiredTests = new Set();
         this.startTime = Date.now();
         
         console.log('🚀 Starting NiroSubs Integration Test Suite');
         console.log(`📅 Started at: ${new Date().toISOString()}`);
-        console.log(`🌍 Environment: ${TEST_CONFIG.environment}`);
+        console.log(`🌍 Environment: ${this.environment.name}`);
         console.log('=' .repeat(80));
     }
 
@@ -35,43 +48,43 @@ class IntegrationTestSuite {
         try {
             // Infrastructure Tests
             await this.testGroup('Infrastructure Health', [
-                () => this.testAPIGatewayHealth(),
-                () => this.testCloudFrontDistribution(),
-                () => this.testS3DirectAccess(),
-                () => this.testLambdaFunctions()
+                { name: 'API Gateway Health', run: () => this.testAPIGatewayHealth() },
+                { name: 'CloudFront Distribution', run: () => this.testCloudFrontDistribution() },
+                { name: 'S3 Direct Access', run: () => this.testS3DirectAccess() },
+                { name: 'Lambda Functions', run: () => this.testLambdaFunctions() }
             ]);
 
             // API Endpoint Tests
             await this.testGroup('API Endpoints', [
-                () => this.testCoreHealthEndpoint(),
-                () => this.testAPIGatewayRouting(),
-                () => this.testErrorHandling()
+                { name: 'Core Health Endpoint', run: () => this.testCoreHealthEndpoint() },
+                { name: 'API Gateway Routing', run: () => this.testAPIGatewayRouting() },
+                { name: 'Error Handling', run: () => this.testErrorHandling() }
             ]);
 
             // Frontend Tests
             await this.testGroup('Frontend Deployment', [
-                () => this.testStaticAssets(),
-                () => this.testIndexHTML(),
-                () => this.testModuleFederationAssets()
+                { name: 'Static Assets', run: () => this.testStaticAssets() },
+                { name: 'Index HTML', run: () => this.testIndexHTML() },
+                { name: 'Module Federation Assets', run: () => this.testModuleFederationAssets() }
             ]);
 
-            // Multitenant Tests
+            // Multitenant Tests; the suite cannot pass without them
             await this.testGroup('Multitenant Functionality', [
-                () => this.testTenantRouting(),
-                () => this.testTenantIsolation()
+                { name: 'Tenant Routing', run: () => this.testTenantRouting(), required: true },
+                { name: 'Tenant Isolation', run: () => this.testTenantIsolation(), required: true }
             ]);
 
             // Performance Tests
             await this.testGroup('Performance & Reliability', [
-                () => this.testResponseTimes(),
-                () => this.testLoadHandling()
+                { name: 'Response Times', run: () => this.testResponseTimes() },
+                { name: 'Load Handling', run: () => this.testLoadHandling() }
             ]);
 
-            await this.generateReport();
+            return await this.generateReport();
 
         } catch (error) {
             console.error('❌ Test suite failed:', error);
-            process.exit(1);
+            throw error;
         }
     }
 
@@ -79,9 +92,12 @@ class IntegrationTestSuite {
         console.log(`\n🔍 ${groupName}`);
         console.log('-'.repeat(50));
 
+        // Each test is { name, run, required }; a failure is recorded under the test's own name
         for (const test of tests) {
+            if (test.required) this.requiredTests.add(test.name);
+            this.testStartTime = Date.now();
             try {
-                await test();
+                await test.run();
             } catch (error) {
                 this.recordResult(test.name, false, error.message);
                 console.log(`❌ ${test.name}: ${error.message}`);
@@ -90,7 +106,7 @@ class IntegrationTestSuite {
     }
 
     async testAPIGatewayHealth() {
-        const result = await this.makeRequest(`${TEST_CONFIG.endpoints.api}/health`);
+        const result = await this.makeRequest(`${this.endpoints.api}/health`);
         
         if (result.statusCode === 200 && result.body.includes('ok')) {
             this.recordResult('API Gateway Health', true, 'Healthy');
@@ -102,7 +118,7 @@ class IntegrationTestSuite {
     }
 
     async testCloudFrontDistribution() {
-        const result = await this.makeRequest(TEST_CONFIG.endpoints.frontend);
+        const result = await this.makeRequest(this.endpoints.frontend);
         
         if (result.statusCode === 200 && result.body.includes('<!DOCTYPE html>')) {
             this.recordResult('CloudFront Distribution', true, 'Serving content');
@@ -114,7 +130,13 @@ class IntegrationTestSuite {
     }
 
     async testS3DirectAccess() {
-        const result = await this.makeRequest(TEST_CONFIG.endpoints.s3_direct);
+        if (!this.endpoints.s3Website) {
+            this.recordResult('S3 Direct Access', true, `Not configured for ${this.environment.name}`);
+            console.log(`ℹ️ S3 Direct Access: Not configured for ${this.environment.name}`);
+            return true;
+        }
+
+        const result = await this.makeRequest(this.endpoints.s3Website);
         
         if (result.statusCode === 200) {
             this.recordResult('S3 Direct Access', true, 'Accessible');
@@ -135,7 +157,7 @@ class IntegrationTestSuite {
         let successful = 0;
         for (const endpoint of lambdaEndpoints) {
             try {
-                const result = await this.makeRequest(`${TEST_CONFIG.endpoints.api}${endpoint}`);
+                const result = await this.makeRequest(`${this.endpoints.api}${endpoint}`);
                 if (result.statusCode === 200 || result.statusCode === 401) { // 401 is expected for protected endpoints
                     successful++;
                 }
@@ -155,7 +177,7 @@ class IntegrationTestSuite {
 
     async testCoreHealthEndpoint() {
         try {
-            const result = await this.makeRequest(`${TEST_CONFIG.endpoints.api}/core/health`);
+            const result = await this.makeRequest(`${this.endpoints.api}/core/health`);
             
             // Our new Lambda function requires authentication, so 401 is expected
             if (result.statusCode === 401) {
@@ -187,7 +209,7 @@ class IntegrationTestSuite {
         let successful = 0;
         for (const route of routes) {
             try {
-                const result = await this.makeRequest(`${TEST_CONFIG.endpoints.api}${route.path}`);
+                const result = await this.makeRequest(`${this.endpoints.api}${route.path}`);
                 if (route.expectedStatus.includes(result.statusCode)) {
                     successful++;
                 }
@@ -207,7 +229,7 @@ class IntegrationTestSuite {
 
     async testErrorHandling() {
         try {
-            const result = await this.makeRequest(`${TEST_CONFIG.endpoints.api}/nonexistent-endpoint`);
+            const result = await this.makeRequest(`${this.endpoints.api}/nonexistent-endpoint`);
             
             // Should get 404 or 403
             if ([403, 404].includes(result.statusCode)) {
@@ -231,7 +253,7 @@ class IntegrationTestSuite {
         let successful = 0;
         for (const asset of assets) {
             try {
-                const result = await this.makeRequest(`${TEST_CONFIG.endpoints.frontend}${asset}`);
+                const result = await this.makeRequest(`${this.endpoints.frontend}${asset}`);
                 if (result.statusCode === 200) {
                     successful++;
                 }
@@ -247,7 +269,7 @@ class IntegrationTestSuite {
         }
 
         // Try to load any assets
-        const result = await this.makeRequest(TEST_CONFIG.endpoints.frontend);
+        const result = await this.makeRequest(this.endpoints.frontend);
         if (result.body.includes('/assets/')) {
             this.recordResult('Static Assets', true, 'Assets referenced in HTML');
             console.log('✅ Static Assets: Assets referenced in HTML');
@@ -258,7 +280,7 @@ class IntegrationTestSuite {
     }
 
     async testIndexHTML() {
-        const result = await this.makeRequest(TEST_CONFIG.endpoints.frontend);
+        const result = await this.makeRequest(this.endpoints.frontend);
         
         const requiredElements = [
             '<title>',
@@ -281,7 +303,7 @@ class IntegrationTestSuite {
     }
 
     async testModuleFederationAssets() {
-        const result = await this.makeRequest(TEST_CONFIG.endpoints.frontend);
+        const result = await this.makeRequest(this.endpoints.frontend);
         
         // Look for module federation assets
         if (result.body.includes('federation') || result.body.includes('remoteEntry')) {
@@ -296,24 +318,148 @@ class IntegrationTestSuite {
         return true;
     }
 
+    // Two tenants are needed to prove that one cannot see the other
+    async getTestTenants() {
+        if (!this.testTenants) {
+            const file = this.options.tenantsFile || parseArgs().options.tenants || process.env.TEST_TENANTS_FILE;
+            this.testTenants = file
+                ? await authenticateTenants(loadTestTenants(file), this.environment, { timeout: TEST_CONFIG.timeouts.default })
+                : [];
+        }
+        return this.testTenants;
+    }
+
+    async tenantRequest(tenant, route, options = {}) {
+        const url = options.url || tenantApiUrl(this.environment, route, options.params);
+        const response = await this.makeRequest(url, {
+            headers: {
+                Authorization: `Bearer ${tenant.token}`,
+                [this.tenantHeader]: options.tenantId || tenant.id,
+                Accept: 'application/json'
+            }
+        });
+        return { ...response, json: parseJson(response.body) };
+    }
+
+    // currentTenant answers with the tenant itself or a record carrying its tenant id
+    resolvedTenant(response) {
+        const body = response.json || {};
+        const id = tenantIdOf(body) || body.id;
+        return id != null ? String(id) : null;
+    }
+
+    // Without two tenants nothing is proven, so the tenant tests fail instead of passing untested
+    async requireTestTenants() {
+        const tenants = await this.getTestTenants();
+        if (tenants.length < MIN_TENANTS) {
+            throw new Error(`Not tested: needs ${MIN_TENANTS} test tenants (use --tenants <file> or TEST_TENANTS_FILE)`);
+        }
+        return tenants;
+    }
+
     async testTenantRouting() {
-        // Test tenant-related endpoints when available
-        this.recordResult('Tenant Routing', true, 'Placeholder - tenant routing to be implemented');
-        console.log('ℹ️ Tenant Routing: Placeholder - tenant routing to be implemented');
+        const tenants = await this.requireTestTenants();
+
+        const routes = this.environment.tenantApi || {};
+        const failures = [];
+        let verified = 0;
+
+        for (const tenant of tenants) {
+            // Header-based routing through the shared API endpoint
+            const viaHeader = await this.tenantRequest(tenant, 'currentTenant');
+            const headerTenant = this.resolvedTenant(viaHeader);
+            if (viaHeader.statusCode === 200 && headerTenant === tenant.id) {
+                verified++;
+            } else {
+                failures.push(`${tenant.slug} via ${this.tenantHeader} resolved to ${headerTenant || `status ${viaHeader.statusCode}`}`);
+            }
+
+            // Subdomain routing, when the environment serves tenants on their own host
+            if (routes.subdomainTemplate) {
+                const currentTenantPath = new URL(tenantApiUrl(this.environment, 'currentTenant')).pathname;
+                const url = routes.subdomainTemplate.replace('{slug}', tenant.slug) + currentTenantPath;
+                const viaSubdomain = await this.tenantRequest(tenant, 'currentTenant', { url });
+                const subdomainTenant = this.resolvedTenant(viaSubdomain);
+                if (viaSubdomain.statusCode === 200 && subdomainTenant === tenant.id) {
+                    verified++;
+                } else {
+                    failures.push(`${tenant.slug} via subdomain resolved to ${subdomainTenant || `status ${viaSubdomain.statusCode}`}`);
+                }
+            }
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Tenant routing failed: ${failures.join('; ')}`);
+        }
+
+        this.recordResult('Tenant Routing', true, `${verified} routing checks resolved the correct tenant`);
+        console.log(`✅ Tenant Routing: ${verified} routing checks resolved the correct tenant`);
         return true;
     }
 
     async testTenantIsolation() {
-        // Test tenant isolation when authentication is available
-        this.recordResult('Tenant Isolation', true, 'Placeholder - isolation tests to be implemented');
-        console.log('ℹ️ Tenant Isolation: Placeholder - isolation tests to be implemented');
+        const tenants = await this.requireTestTenants();
+
+        const failures = [];
+        let verified = 0;
+
+        for (const [index, tenant] of tenants.entries()) {
+            const foreign = tenants[(index + 1) % tenants.length];
+
+            // Each token must only ever see its own tenant's users and usage
+            for (const route of ['users', 'usage']) {
+                const response = await this.tenantRequest(tenant, route);
+                if (response.statusCode !== 200 || !response.json) {
+                    failures.push(`${tenant.slug} ${route}: status ${response.statusCode}`);
+                    continue;
+                }
+                // A record without a tenant id cannot be shown to be the caller's own
+                const records = extractRecords(response.json);
+                const leaked = records.filter(record => tenantIdOf(record) && tenantIdOf(record) !== tenant.id);
+                const unowned = records.filter(record => !tenantIdOf(record));
+                if (leaked.length > 0) {
+                    failures.push(`${tenant.slug} ${route}: ${leaked.length} records from other tenants`);
+                }
+                if (unowned.length > 0) {
+                    failures.push(`${tenant.slug} ${route}: ${unowned.length} records without a tenant id`);
+                }
+                if (leaked.length === 0 && unowned.length === 0) {
+                    verified++;
+                }
+            }
+
+            // A foreign tenant id in the path must be refused
+            const foreignPath = await this.tenantRequest(tenant, 'tenantUsers', { params: { tenantId: foreign.id } });
+            if ([403, 404].includes(foreignPath.statusCode)) {
+                verified++;
+            } else {
+                failures.push(`${tenant.slug} reading ${foreign.slug} users: status ${foreignPath.statusCode} (expected 403/404)`);
+            }
+
+            // A spoofed tenant header must be refused or ignored, never honoured
+            const spoofed = await this.tenantRequest(tenant, 'users', { tenantId: foreign.id });
+            const spoofedLeak = spoofed.statusCode === 200 &&
+                extractRecords(spoofed.json).some(record => tenantIdOf(record) !== tenant.id);
+            if ([403, 404].includes(spoofed.statusCode) || (spoofed.statusCode === 200 && !spoofedLeak)) {
+                verified++;
+            } else {
+                failures.push(`${tenant.slug} with ${this.tenantHeader}: ${foreign.id}: ${spoofedLeak ? `returned ${foreign.slug} data` : `status ${spoofed.statusCode}`}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Tenant isolation violated: ${failures.join('; ')}`);
+        }
+
+        this.recordResult('Tenant Isolation', true, `${verified} isolation checks across ${tenants.length} tenants`);
+        console.log(`✅ Tenant Isolation: ${verified} isolation checks across ${tenants.length} tenants`);
         return true;
     }
 
     async testResponseTimes() {
         const endpoints = [
-            TEST_CONFIG.endpoints.api + '/health',
-            TEST_CONFIG.endpoints.frontend
+            this.endpoints.api + '/health',
+            this.endpoints.frontend
         ];
 
         let totalTime = 0;
@@ -350,7 +496,7 @@ class IntegrationTestSuite {
         // Simple load test - 5 concurrent requests
         const promises = [];
         for (let i = 0; i < 5; i++) {
-            promises.push(this.makeRequest(`${TEST_CONFIG.endpoints.api}/health`));
+            promises.push(this.makeRequest(`${this.endpoints.api}/health`));
         }
 
         try {
@@ -370,92 +516,97 @@ class IntegrationTestSuite {
     }
 
     recordResult(testName, passed, details) {
-        this.results.push({
-            test: testName,
-            passed,
-            details,
-            timestamp: new Date().toISOString()
-        });
+        this.results.push(createResult(testName, passed ? STATUS.PASSED : STATUS.CRITICAL, {
+            critical: true,
+            responseTime: this.testStartTime ? Date.now() - this.testStartTime : null,
+            error: passed ? null : details,
+            details
+        }));
     }
 
+    // Tests treat transport failures as exceptions, so surface them as rejections
     async makeRequest(url, options = {}) {
-        return new Promise((resolve, reject) => {
-            const client = url.startsWith('https://') ? https : http;
-            const timeout = options.timeout || TEST_CONFIG.timeouts.default;
-            
-            const req = client.get(url, { timeout }, (res) => {
-                let body = '';
-                
-                res.on('data', chunk => {
-                    body += chunk;
-                });
-                
-                res.on('end', () => {
-                    resolve({
-                        statusCode: res.statusCode,
-                        headers: res.headers,
-                        body
-                    });
-                });
-            });
-            
-            req.on('timeout', () => {
-                req.destroy();
-                reject(new Error('Request timeout'));
-            });
-            
-            req.on('error', reject);
-            
-            setTimeout(() => {
-                if (!req.destroyed) {
-                    req.destroy();
-                    reject(new Error('Request timeout'));
-                }
-            }, timeout);
+        const response = await request(url, {
+            headers: options.headers,
+            timeout: options.timeout || TEST_CONFIG.timeouts.default
         });
+
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        return response;
     }
 
     async generateReport() {
         const duration = Date.now() - this.startTime;
-        const passed = this.results.filter(r => r.passed).length;
-        const total = this.results.length;
-        const successRate = Math.round((passed / total) * 100);
+        const { passed, warnings, failed, total } = summarize(this.results);
+        const successRate = total > 0 ? Math.round((passed / total) * 100) : 0;
+        const requiredFailures = this.results
+            .filter(result => this.requiredTests.has(result.name) && result.status !== STATUS.PASSED)
+            .map(result => result.name);
 
         console.log('\n' + '='.repeat(80));
         console.log('📊 INTEGRATION TEST SUMMARY');
         console.log('='.repeat(80));
         
         console.log(`⏱️ Duration: ${Math.round(duration / 1000)}s`);
-        console.log(`📈 Success Rate: ${successRate}% (${passed}/${total})`);
-        console.log(`🌍 Environment: ${TEST_CONFIG.environment}`);
+        console.log(`📈 Success Rate: ${successRate}% (${passed}/${total}, ${warnings} warnings)`);
+        console.log(`🌍 Environment: ${this.environment.name}`);
         console.log(`📅 Completed: ${new Date().toISOString()}`);
         
         console.log('\n📋 DETAILED RESULTS:');
         this.results.forEach(result => {
-            const icon = result.passed ? '✅' : '❌';
-            console.log(`${icon} ${result.test}: ${result.details}`);
+            const icon = result.status === STATUS.PASSED ? '✅' : result.status === STATUS.WARNING ? '⚠️' : '❌';
+            console.log(`${icon} ${result.name}: ${result.details}`);
         });
 
         // Deployment URLs
         console.log('\n🔗 DEPLOYMENT URLS:');
-        console.log(`🌐 Frontend (CloudFront): ${TEST_CONFIG.endpoints.frontend}`);
-        console.log(`🔌 API Gateway: ${TEST_CONFIG.endpoints.api}`);
-        console.log(`📦 S3 Direct: ${TEST_CONFIG.endpoints.s3_direct}`);
+        console.log(`🌐 Frontend (CloudFront): ${this.endpoints.frontend}`);
+        console.log(`🔌 API Gateway: ${this.endpoints.api}`);
+        if (this.endpoints.s3Website) {
+            console.log(`📦 S3 Direct: ${this.endpoints.s3Website}`);
+        }
         
-        if (successRate >= 80) {
+        const success = successRate >= 80 && requiredFailures.length === 0;
+        if (success) {
             console.log('\n🎉 DEPLOYMENT SUCCESSFUL! Multitenant environment is ready.');
-            process.exit(0);
+        } else if (requiredFailures.length > 0) {
+            console.log(`\n❌ DEPLOYMENT BLOCKED: ${requiredFailures.join(', ')} did not pass.`);
         } else {
             console.log('\n⚠️ DEPLOYMENT ISSUES DETECTED. Some components may need attention.');
-            process.exit(1);
         }
+
+        return {
+            environment: this.environment.name,
+            success,
+            passed,
+            warnings,
+            failed,
+            successRate,
+            requiredFailures,
+            duration,
+            results: [...this.results]
+        };
     }
 }
 
 // Run the tests
 if (require.main === module) {
-    const testSuite = new IntegrationTestSuite();
-    testSuite.runAllTests().catch(error => {
+    initLogging('deployment-integration-tests');
+    let reporting;
+    Promise.resolve().then(() => {
+        reporting = prepareReporting();
+        return resolveEnvironment();
+    }).then(environment => {
+        const testSuite = new IntegrationTestSuite({ environment });
+        return testSuite.runAllTests();
+    }).then(summary => {
+        writeReport(buildReport('deployment-integration-tests', summary.environment, summary.results, {
+            successRate: summary.successRate
+        }), reporting);
+        process.exit(summary.success ? 0 : 1);
+    }).catch(error => {
         console.error('Test suite crashed:', error);
         process.exit(1);
     });
@@ -5,14 +5,21 @@
  * Runs all health checks, monitors tenant performance, and validates deployment readiness
  */
 
-const { execSync } = require('child_process');
+const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('./lib/cli');
+const { loadEnvironment } = require('./lib/environments');
+const { STATUS, createResult } = require('./lib/check-runner');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { childEnv, initLogging, logFormat, relayOutput } = require('./lib/logger');
+const { Orchestrator, STEP_STATUS, runCommand } = require('./lib/orchestrator');
 
 const config = {
-  environment: process.env.ENVIRONMENT || 'staging',
+  defaultEnvironment: 'stg',
   healthCheckTimeout: 300000, // 5 minutes
   retryAttempts: 3,
-  retryDelay: 10000 // 10 seconds
+  retryDelay: 10000, // 10 seconds
+  concurrency: parseInt(process.env.VALIDATION_CONCURRENCY) || 3 // Steps running at once
 };
 
 const colors = {
@@ -25,7 +32,15 @@ const colors = {
 };
 
 class DeploymentValidator {
-  constructor() {
+  constructor(options = {}) {
+    const { options: args } = parseArgs();
+    this.environment = options.environment ||
+      loadEnvironment(args.env || process.env.ENVIRONMENT || config.defaultEnvironment);
+    this.reporting = options.reporting || null;
+    this.concurrency = options.concurrency || parseInt(args.concurrency) || config.concurrency;
+    this.orchestrator = null;
+    this.lastRun = null;
+    this.checks = [];
     this.results = {
       infrastructure: false,
       tenantHealth: false,
@@ -37,105 +52,115 @@ class DeploymentValidator {
     console.log(`${color}${message}${colors.reset}`);
   }
 
-  async runTest(name, command, workingDir = '.') {
-    this.log(`\n${colors.blue}═══ ${name} ═══${colors.reset}`);
-    
-    for (let attempt = 1; attempt <= config.retryAttempts; attempt++) {
-      try {
-        const result = execSync(command, { 
-          cwd: workingDir, 
-          encoding: 'utf-8',
-          timeout: config.healthCheckTimeout,
-          stdio: ['ignore', 'pipe', 'pipe']
-        });
-        
-        this.log(`${colors.green}✓${colors.reset} ${name} - PASSED`, colors.green);
-        return { success: true, output: result };
-        
-      } catch (error) {
-        if (attempt === config.retryAttempts) {
-          this.log(`${colors.red}✗${colors.reset} ${name} - FAILED after ${attempt} attempts`, colors.red);
-          console.log(`Error: ${error.message}`);
-          if (error.stdout) console.log(`Stdout: ${error.stdout}`);
-          if (error.stderr) console.log(`Stderr: ${error.stderr}`);
-          return { success: false, error: error.message };
-        } else {
-          this.log(`${colors.yellow}⚠${colors.reset} ${name} - Attempt ${attempt} failed, retrying in ${config.retryDelay/1000}s...`);
-          await this.sleep(config.retryDelay);
-        }
+  // The validation graph: application tests never block deployment, and the platform
+  // integration tests only run once the infrastructure they exercise is healthy
+  steps() {
+    const root = path.resolve(__dirname, '..');
+    const env = this.environment.name;
+    return [
+      { id: 'infrastructure-health', name: 'Infrastructure Health Check', command: ['node', ['scripts/production-health-check.js', '--env', env]], cwd: root },
+      { id: 'infrastructure-detailed', name: 'Detailed Infrastructure Tests', command: ['node', ['tests/infrastructure-test-fixed.js']], cwd: root },
+      { id: 'tenant-health', name: 'Production Tenant Health Check', command: ['node', ['scripts/tenant-health-production.js', '--env', env]], cwd: root },
+      { id: 'auth-tests', name: 'Auth Service Tests', command: ['npm', ['test']], cwd: path.resolve(__dirname, '../ns-auth/backend'), critical: false },
+      { id: 'user-tests', name: 'User Service Tests', command: ['npm', ['test']], cwd: path.resolve(__dirname, '../ns-user/backend'), critical: false },
+      {
+        id: 'platform-tests',
+        name: 'Platform Tests',
+        command: ['npm', ['run', 'test:integration']],
+        cwd: path.resolve(__dirname, '../ns-platform-tests'),
+        critical: false,
+        dependsOn: ['infrastructure-health']
       }
-    }
+    ].map(step => ({ ...step, run: context => this.runCommandStep(step, context) }));
   }
 
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+  async runCommandStep(step, { signal }) {
+    const [command, args] = step.command;
+    if (!fs.existsSync(step.cwd)) {
+      // Retrying cannot create the directory
+      const error = new Error(`${step.cwd} not found`);
+      error.retryable = false;
+      throw error;
+    }
+    const json = logFormat() === 'json';
+    const result = await runCommand(command, args, {
+      cwd: step.cwd,
+      // Child scripts log under this run's id
+      env: { ...process.env, ...childEnv() },
+      signal,
+      // Steps run side by side, so text output is only shown for failures
+      onLine: json ? line => relayOutput(line, { check: step.name }) : null
+    });
 
-  async validateInfrastructure() {
-    this.log(`\n${colors.bold}${colors.blue}╔════════════════════════════════════════╗${colors.reset}`);
-    this.log(`${colors.bold}${colors.blue}║       INFRASTRUCTURE VALIDATION        ║${colors.reset}`);
-    this.log(`${colors.bold}${colors.blue}╚════════════════════════════════════════╝${colors.reset}`);
+    if (result.code !== 0) {
+      const error = new Error(`Command failed: ${command} ${args.join(' ')} (${result.signal ? `killed by ${result.signal}` : `exit code ${result.code}`})`);
+      error.output = json ? null : result;
+      throw error;
+    }
+    return result;
+  }
 
-    // Run infrastructure tests
-    const infraResult = await this.runTest(
-      'Infrastructure Health Check',
-      'node scripts/production-health-check.js',
-      path.resolve(__dirname, '..')
-    );
-
-    // Run updated infrastructure tests
-    const detailedResult = await this.runTest(
-      'Detailed Infrastructure Tests',
-      'node tests/infrastructure-test-fixed.js',
-      path.resolve(__dirname, '..')
-    );
-
-    this.results.infrastructure = infraResult.success && detailedResult.success;
-    return this.results.infrastructure;
+  onStepStart(step) {
+    this.log(`${colors.blue}▶${colors.reset} ${step.name} - started`);
   }
 
-  async validateTenantHealth() {
-    this.log(`\n${colors.bold}${colors.blue}╔════════════════════════════════════════╗${colors.reset}`);
-    this.log(`${colors.bold}${colors.blue}║         TENANT HEALTH VALIDATION       ║${colors.reset}`);
-    this.log(`${colors.bold}${colors.blue}╚════════════════════════════════════════╝${colors.reset}`);
+  onStepRetry(step, { attempt, error, retryDelay }) {
+    this.log(`${colors.yellow}⚠${colors.reset} ${step.name} - Attempt ${attempt} failed (${error}), retrying in ${retryDelay/1000}s...`);
+  }
 
-    const tenantResult = await this.runTest(
-      'Production Tenant Health Check',
-      'node scripts/tenant-health-production.js',
-      path.resolve(__dirname, '..')
-    );
+  onStepFinish(step, result) {
+    const seconds = (result.durationMs / 1000).toFixed(1);
+    if (result.status === STEP_STATUS.PASSED) {
+      this.log(`${colors.green}✓${colors.reset} ${step.name} - PASSED (${seconds}s)`, colors.green);
+    } else if (result.status === STEP_STATUS.SKIPPED || result.status === STEP_STATUS.CANCELLED) {
+      this.log(`${colors.yellow}⚠${colors.reset} ${step.name} - ${result.status.toUpperCase()} (${result.error})`);
+    } else {
+      const icon = result.critical ? `${colors.red}✗` : `${colors.yellow}⚠`;
+      this.log(`${icon}${colors.reset} ${step.name} - ${result.status.toUpperCase()} after ${result.attempts} attempts (${seconds}s)`);
+      console.log(`Error: ${result.error}`);
+      if (result.output) {
+        relayOutput(result.output.stdout, { check: step.name });
+        relayOutput(result.output.stderr, { check: step.name });
+      }
+    }
 
-    this.results.tenantHealth = tenantResult.success;
-    return this.results.tenantHealth;
+    const status = result.status === STEP_STATUS.PASSED ? STATUS.PASSED : result.critical ? STATUS.CRITICAL : STATUS.WARNING;
+    this.checks.push(createResult(step.name, status, {
+      critical: result.critical,
+      responseTime: result.durationMs,
+      attempts: result.attempts,
+      error: result.status === STEP_STATUS.PASSED ? null : `${result.status}: ${result.error}`,
+      details: { step: step.id, status: result.status }
+    }));
   }
 
-  async validateApplicationTests() {
-    this.log(`\n${colors.bold}${colors.blue}╔════════════════════════════════════════╗${colors.reset}`);
-    this.log(`${colors.bold}${colors.blue}║        APPLICATION TEST VALIDATION     ║${colors.reset}`);
-    this.log(`${colors.bold}${colors.blue}╚════════════════════════════════════════╝${colors.reset}`);
-
-    // Test critical backend services
-    const services = [
-      { name: 'Auth Service Tests', path: '../ns-auth/backend', command: 'npm test' },
-      { name: 'User Service Tests', path: '../ns-user/backend', command: 'npm test' },
-      { name: 'Platform Tests', path: '../ns-platform-tests', command: 'npm run test:integration' }
-    ];
-
-    let allPassed = true;
-    
-    for (const service of services) {
-      const result = await this.runTest(
-        service.name,
-        service.command,
-        path.resolve(__dirname, service.path)
-      );
-      
-      if (!result.success) {
-        allPassed = false;
-      }
+  // Stops running steps and skips the rest; the run still resolves with a report
+  cancel(reason) {
+    if (this.orchestrator) {
+      this.orchestrator.cancel(reason);
     }
+  }
 
-    return allPassed;
+  async runSteps() {
+    this.orchestrator = new Orchestrator(this.steps(), {
+      concurrency: this.concurrency,
+      timeout: config.healthCheckTimeout,
+      retries: config.retryAttempts - 1,
+      retryDelay: config.retryDelay
+    });
+    this.orchestrator.on('step-start', step => this.onStepStart(step));
+    this.orchestrator.on('step-retry', (step, retry) => this.onStepRetry(step, retry));
+    this.orchestrator.on('step-finish', (step, result) => this.onStepFinish(step, result));
+
+    const run = await this.orchestrator.run();
+    this.lastRun = run;
+    const passed = ids => ids.every(id => run.steps.find(step => step.id === id).status === STEP_STATUS.PASSED);
+    this.results = {
+      infrastructure: passed(['infrastructure-health', 'infrastructure-detailed']),
+      tenantHealth: passed(['tenant-health']),
+      productionReadiness: passed(['auth-tests', 'user-tests', 'platform-tests'])
+    };
+    return run;
   }
 
   async generateDeploymentReport() {
@@ -154,20 +179,24 @@ class DeploymentValidator {
     const overallReady = this.results.infrastructure && this.results.tenantHealth;
 
     if (overallReady) {
-      this.log(`\n${colors.green}${colors.bold}🚀 DEPLOYMENT APPROVED FOR ${config.environment.toUpperCase()}!${colors.reset}`);
+      this.log(`\n${colors.green}${colors.bold}🚀 DEPLOYMENT APPROVED FOR ${this.environment.name.toUpperCase()}!${colors.reset}`);
       this.log(`${colors.green}✅ Infrastructure is stable and healthy${colors.reset}`);
       this.log(`${colors.green}✅ Tenant isolation and performance validated${colors.reset}`);
-      this.log(`${colors.green}✅ Ready for ${config.environment} deployment${colors.reset}`);
+      this.log(`${colors.green}✅ Ready for ${this.environment.name} deployment${colors.reset}`);
       
       // Generate deployment commands
       this.log(`\n${colors.blue}Next Steps:${colors.reset}`);
-      this.log(`1. Push to ${config.environment} branch: git push origin ${config.environment}`);
-      this.log(`2. Monitor deployment: gh run watch`);
-      this.log(`3. Run post-deployment validation: npm run validate:${config.environment}`);
+      if (this.environment.branch) {
+        this.log(`1. Push to ${this.environment.branch} branch: git push origin ${this.environment.branch}`);
+        this.log(`2. Monitor deployment: gh run watch`);
+        this.log(`3. Run post-deployment validation: npm run validate:${this.environment.name}`);
+      } else {
+        this.log(`${this.environment.name} is not deployed from a branch; nothing to push`);
+      }
       
       return true;
     } else {
-      this.log(`\n${colors.red}${colors.bold}🛑 DEPLOYMENT BLOCKED FOR ${config.environment.toUpperCase()}${colors.reset}`);
+      this.log(`\n${colors.red}${colors.bold}🛑 DEPLOYMENT BLOCKED FOR ${this.environment.name.toUpperCase()}${colors.reset}`);
       this.log(`${colors.red}❌ Critical issues must be resolved before deployment${colors.reset}`);
       
       if (!this.results.infrastructure) {
@@ -184,46 +213,65 @@ class DeploymentValidator {
   async runFullValidation() {
     this.log(`${colors.bold}${colors.blue}╔════════════════════════════════════════╗${colors.reset}`);
     this.log(`${colors.bold}${colors.blue}║     COMPREHENSIVE DEPLOYMENT VALIDATION║${colors.reset}`);
-    this.log(`${colors.bold}${colors.blue}║           Environment: ${config.environment.toUpperCase().padEnd(13)}   ║${colors.reset}`);
+    this.log(`${colors.bold}${colors.blue}║           Environment: ${this.environment.name.toUpperCase().padEnd(13)}   ║${colors.reset}`);
     this.log(`${colors.bold}${colors.blue}║           ${new Date().toISOString()}    ║${colors.reset}`);
     this.log(`${colors.bold}${colors.blue}╚════════════════════════════════════════╝${colors.reset}`);
 
+    this.log(`\nRunning validation steps, ${this.concurrency} at a time`);
+
     try {
-      // Step 1: Infrastructure validation
-      await this.validateInfrastructure();
-      
-      // Step 2: Tenant health validation
-      await this.validateTenantHealth();
-      
-      // Step 3: Application tests (optional - don't block deployment)
-      try {
-        this.results.productionReadiness = await this.validateApplicationTests();
-      } catch (error) {
-        this.log(`${colors.yellow}⚠${colors.reset} Application tests had issues but won't block deployment`);
-        this.results.productionReadiness = false; // Don't fail deployment for test issues
+      const run = await this.runSteps();
+      if (run.cancelled) {
+        this.log(`\n${colors.yellow}⚠${colors.reset} Validation cancelled after ${(run.durationMs / 1000).toFixed(1)}s`);
       }
-      
-      // Step 4: Generate final report
-      const deploymentApproved = await this.generateDeploymentReport();
-      
-      process.exit(deploymentApproved ? 0 : 1);
-      
+
+      const deploymentApproved = !run.cancelled && await this.generateDeploymentReport();
+      this.writeReport();
+      return deploymentApproved;
+
     } catch (error) {
       this.log(`${colors.red}${colors.bold}💥 VALIDATION FAILED${colors.reset}`);
       this.log(`${colors.red}Error: ${error.message}${colors.reset}`);
-      process.exit(1);
+      this.writeReport();
+      return false;
+    }
+  }
+
+  writeReport() {
+    if (this.reporting) {
+      const run = this.lastRun && {
+        status: this.lastRun.status,
+        durationMs: this.lastRun.durationMs,
+        concurrency: this.concurrency,
+        steps: this.lastRun.steps.map(({ id, status, attempts, durationMs }) => ({ id, status, attempts, durationMs }))
+      };
+      writeReport(buildReport('deployment-validation', this.environment.name, this.checks, { run }), this.reporting);
     }
   }
 }
 
 // Main execution
 if (require.main === module) {
-  const validator = new DeploymentValidator();
+  // --env dev|stg|prd selects the target; --format json|junit|tap and --output <file> emit a report;
+  // --concurrency <n> limits how many steps run at once (default $VALIDATION_CONCURRENCY or 3)
+  const logger = initLogging('deployment-validation');
+  let validator;
+  try {
+    validator = new DeploymentValidator({ reporting: prepareReporting() });
+    // The validator defaults to stg rather than the registry default
+    logger.setContext({ environment: validator.environment.name });
+  } catch (error) {
+    console.error(`${colors.red}Error:${colors.reset}`, error.message);
+    process.exit(1);
+  }
   
-  // Handle process signals gracefully
+  // The first interrupt cancels the running steps and still writes the report; a second one exits
+  let interrupted = false;
   process.on('SIGINT', () => {
-    console.log(`\n${colors.yellow}⚠${colors.reset} Validation interrupted by user`);
-    process.exit(1);
+    if (interrupted) process.exit(1);
+    interrupted = true;
+    console.log(`\n${colors.yellow}⚠${colors.reset} Validation interrupted by user, cancelling running steps`);
+    validator.cancel('Interrupted by user');
   });
 
   process.on('unhandledRejection', (error) => {
@@ -231,7 +279,7 @@ if (require.main === module) {
     process.exit(1);
   });
 
-  validator.runFullValidation();
+  validator.runFullValidation().then(approved => process.exit(approved ? 0 : 1));
 }
 
 module.exports = { DeploymentValidator };
\ No newline at end of file
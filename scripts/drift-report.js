@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { parseArgs } = require('./lib/cli');
+const { STATUS } = require('./lib/check-runner');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { selectEnvironment } = require('./lib/environments');
+const {
+  DRIFT_STATUS,
+  DriftDetector,
+  FixtureDriftSource,
+  driftToChecks
+} = require('./lib/drift-detector');
+const { initLogging } = require('./lib/logger');
+
+// Drift of an environment's stacks (config/stacks.json) from cloudformation/templates: manual
+// changes found by CloudFormation drift detection, and resources only in the template or only
+// in the stack. Live data comes from the AWS SDK or a recorded fixture (DRIFT_FIXTURE).
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  gray: '\x1b[90m',
+  bold: '\x1b[1m'
+};
+
+const ICONS = {
+  [DRIFT_STATUS.IN_SYNC]: `${colors.green}✓`,
+  [DRIFT_STATUS.DRIFTED]: `${colors.yellow}⚠`,
+  [DRIFT_STATUS.OUT_OF_DATE]: `${colors.yellow}⚠`,
+  [DRIFT_STATUS.NOT_DEPLOYED]: `${colors.gray}○`,
+  [DRIFT_STATUS.ERROR]: `${colors.red}✗`
+};
+
+function printStack(stack) {
+  const deleted = stack.resources.some(resource => resource.status === 'deleted');
+  const icon = deleted ? `${colors.red}✗` : ICONS[stack.status];
+  console.log(`${icon}${colors.reset} ${stack.stackName} (${stack.template}): ${stack.status}`);
+  stack.resources.forEach(resource => {
+    console.log(`    ${resource.logicalId} (${resource.type}): ${resource.status}`);
+    resource.differences.forEach(difference => {
+      console.log(`      ${difference.path}: ${difference.expected} → ${difference.actual}`);
+    });
+  });
+  if (stack.error) {
+    console.log(`    ${colors.red}${stack.error}${colors.reset}`);
+  }
+}
+
+async function runDriftReport(options = {}) {
+  const environment = options.environment;
+  console.log(`${colors.blue}${colors.bold}🧭 Drift report (${environment.name})${colors.reset}`);
+
+  const detector = new DriftDetector({
+    environment,
+    source: options.fixture ? new FixtureDriftSource(options.fixture) : undefined,
+    stacks: options.stacks && options.stacks.length > 0 ? options.stacks : undefined,
+    templatesDir: options.templatesDir
+  });
+  console.log(`Source: ${detector.source.describe()}`);
+
+  const report = await detector.detect();
+  report.stacks.forEach(printStack);
+
+  if (options.record) {
+    fs.writeFileSync(options.record, `${JSON.stringify(detector.recording, null, 2)}\n`);
+    console.log(`\nRecorded live stacks to ${options.record}`);
+  }
+  return { report, checks: driftToChecks(report) };
+}
+
+// Main execution
+if (require.main === module) {
+  // --env dev|stg|prd; [stack ...] limits the report to those config/stacks.json stacks;
+  // --fixture <file> (or DRIFT_FIXTURE) reads recorded stacks instead of calling AWS;
+  // --record <file> saves what was read as a fixture; --templates <dir> defaults to cloudformation/templates
+  initLogging('drift-report');
+  const { options, positional } = parseArgs();
+  let reporting;
+
+  Promise.resolve()
+    .then(() => {
+      reporting = prepareReporting();
+      return runDriftReport({
+        environment: selectEnvironment(),
+        stacks: positional,
+        fixture: options.fixture || process.env.DRIFT_FIXTURE,
+        record: options.record,
+        templatesDir: options.templates
+      });
+    })
+    .then(({ report, checks }) => {
+      const { summary } = report;
+      const failed = checks.some(check => check.status === STATUS.CRITICAL);
+      const message = `${summary.drifted} drifted, ${summary.outOfDate} out of date, ${summary.notDeployed} not deployed, ${summary.errors} failed, of ${summary.stacks} stacks`;
+      if (failed) {
+        console.log(`\n${colors.red}${colors.bold}❌ ${message}${colors.reset}`);
+      } else if (summary.inSync < summary.stacks) {
+        console.log(`\n${colors.yellow}${colors.bold}⚠️  ${message}${colors.reset}`);
+      } else {
+        console.log(`\n${colors.green}${colors.bold}✅ All ${summary.stacks} stacks in sync${colors.reset}`);
+      }
+
+      writeReport(buildReport('drift-report', report.environment, checks, {
+        source: report.source,
+        drift: report.summary,
+        stacks: report.stacks
+      }), reporting);
+      process.exit(failed ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Drift report failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runDriftReport };
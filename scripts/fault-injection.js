@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+const { parseArgs } = require('./lib/cli');
+const { STATUS } = require('./lib/check-runner');
+const { FAULTS, FaultInjector } = require('./lib/fault-injector');
+const { initLogging } = require('./lib/logger');
+const { EXPECTATIONS, LocalHarness } = require('./local-harness');
+
+// Validates the validators: injects one fault at a time into the local harness and asserts that
+// production-health-check.js, TenantHealthMonitor and ProductionTenantHealth report the right
+// severity and exit code for it.
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const TARGETS = ['production-health-check', 'tenant-health-monitor', 'tenant-health-production'];
+const SERVICES = ['auth', 'user', 'dashboard', 'payments'];
+const PROBES = ['acme', 'beta', 'delta', 'epsilon'].map(slug => `Tenant probe ${slug}`);
+
+function every(names, status) {
+  return Object.fromEntries(names.map(name => [name, status]));
+}
+
+// Per fault, what each target must report; targets not listed exit 0 with every check passed
+const SCENARIOS = [
+  { fault: null, expect: {} },
+  {
+    fault: 'slow-responses',
+    expect: {
+      'production-health-check': {
+        exitCode: 0,
+        checks: { 'Shell Frontend': STATUS.WARNING, 'API Health': STATUS.WARNING }
+      },
+      'tenant-health-monitor': {
+        exitCode: 0,
+        checks: { ...every(SERVICES, STATUS.WARNING), ...every(PROBES, STATUS.WARNING) }
+      }
+    }
+  },
+  {
+    fault: 'server-errors',
+    expect: {
+      'production-health-check': {
+        exitCode: 1,
+        checks: { 'Shell Frontend': STATUS.CRITICAL, 'API Health': STATUS.CRITICAL }
+      },
+      'tenant-health-monitor': {
+        exitCode: 1,
+        checks: { ...every(SERVICES, STATUS.CRITICAL), ...every(PROBES, STATUS.CRITICAL) }
+      }
+    }
+  },
+  {
+    fault: 'timeouts',
+    expect: {
+      'production-health-check': { exitCode: 1, checks: { 'API Health': STATUS.CRITICAL } },
+      'tenant-health-monitor': { exitCode: 1, checks: every(SERVICES, STATUS.CRITICAL) }
+    }
+  },
+  {
+    fault: 'tls-errors',
+    expect: {
+      'production-health-check': {
+        exitCode: 1,
+        checks: { 'Shell Frontend': STATUS.CRITICAL, 'API Health': STATUS.CRITICAL }
+      },
+      'tenant-health-monitor': {
+        exitCode: 1,
+        checks: { ...every(SERVICES, STATUS.CRITICAL), ...every(PROBES, STATUS.CRITICAL) }
+      }
+    }
+  },
+  {
+    fault: 'missing-tables',
+    expect: {
+      'tenant-health-monitor': {
+        exitCode: 1,
+        checks: { 'Tenant Performance': STATUS.CRITICAL, ...every(PROBES, STATUS.CRITICAL) }
+      },
+      'tenant-health-production': { exitCode: 1, checks: { 'Database Health': STATUS.CRITICAL } }
+    }
+  },
+  {
+    fault: 'over-limit-tenants',
+    expect: {
+      'tenant-health-monitor': { exitCode: 1, checks: { 'Tenant Performance': STATUS.CRITICAL } },
+      'tenant-health-production': { exitCode: 1, checks: { 'Tenant Capacity': STATUS.CRITICAL } }
+    }
+  },
+  {
+    fault: 'cross-tenant-rows',
+    expect: {
+      'tenant-health-monitor': { exitCode: 1, checks: { 'Tenant Isolation': STATUS.CRITICAL } },
+      'tenant-health-production': { exitCode: 1, checks: { 'Tenant Isolation': STATUS.CRITICAL } }
+    }
+  }
+];
+
+class FaultInjectionSuite extends LocalHarness {
+  constructor(options = {}) {
+    super(options);
+    this.faults = options.faults ? String(options.faults).split(',') : null;
+    this.responseTimeThreshold = options.responseTimeThreshold;
+  }
+
+  scenarios() {
+    if (!this.faults) return SCENARIOS;
+    const unknown = this.faults.filter(name => !FAULTS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fault "${unknown[0]}". Expected one of: ${Object.keys(FAULTS).join(', ')}`);
+    }
+    return SCENARIOS.filter(scenario => this.faults.includes(scenario.fault));
+  }
+
+  // Every target's expectation for one scenario, in the harness's expectation format
+  expectations(scenario) {
+    return TARGETS.map(name => ({
+      name,
+      exitCode: 0,
+      checks: {},
+      ignore: (EXPECTATIONS.find(expectation => expectation.name === name) || {}).ignore,
+      ...scenario.expect[name]
+    }));
+  }
+
+  async runScenario(scenario, injector) {
+    const label = scenario.fault || 'baseline';
+    console.log(`\n${colors.blue}${colors.bold}💥 ${label}${colors.reset}${scenario.fault ? ` - ${FAULTS[scenario.fault].description}` : ''}`);
+
+    // Each fault starts from the healthy fixtures
+    await this.loadFixtures(['schema.sql', 'seed.sql']);
+    const env = await injector.inject(scenario.fault);
+
+    const results = [];
+    try {
+      for (const expectation of this.expectations(scenario)) {
+        const result = await this.runScript(expectation, env, `${label}.`);
+        results.push({ ...result, name: `${label}: ${expectation.name}` });
+      }
+    } finally {
+      injector.clear();
+    }
+    return results;
+  }
+
+  async run() {
+    console.log(`${colors.blue}${colors.bold}🧪 Fault injection suite${colors.reset}`);
+    const scenarios = this.scenarios();
+    const results = [];
+
+    try {
+      await this.startDatabase();
+      await this.loadFixtures(['schema.sql', 'seed.sql']);
+      await this.startStubs();
+
+      const injector = new FaultInjector(this.pool, this.stubs, {
+        reportsDir: this.reportsDir,
+        responseTimeThreshold: this.responseTimeThreshold
+      });
+      for (const scenario of scenarios) {
+        results.push(...await this.runScenario(scenario, injector));
+      }
+    } finally {
+      await this.stop();
+    }
+
+    this.printSummary(results, 'Fault injection results');
+    return results.every(result => result.mismatches.length === 0);
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  // Same options as local-harness.js (--no-docker, --keep, --reports <dir>), plus
+  // --faults <name,...> to run a subset and --threshold <ms> for RESPONSE_TIME_THRESHOLD (default 1000)
+  initLogging('fault-injection', { environment: 'local' });
+  const { options } = parseArgs();
+
+  Promise.resolve()
+    .then(() => new FaultInjectionSuite({
+      docker: !options['no-docker'],
+      keep: options.keep,
+      reportsDir: options.reports,
+      faults: options.faults,
+      responseTimeThreshold: options.threshold ? parseInt(options.threshold) : undefined
+    }).run())
+    .then(passed => {
+      console.log(passed
+        ? `${colors.green}${colors.bold}✓ Every fault was reported with the expected severity${colors.reset}`
+        : `${colors.red}${colors.bold}✗ Some faults were missed or misreported${colors.reset}`);
+      process.exit(passed ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Fault injection failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { FaultInjectionSuite, SCENARIOS };
@@ -0,0 +1,244 @@
+/**
+ * CloudFormation template loading and intrinsic-function helpers.
+ *
+ * Templates are parsed with js-yaml and a schema for the short-form intrinsic tags (`!Ref`,
+ * `!Sub`, `!GetAtt`, ...). Each tag becomes its long form (`{ Ref: ... }`, `{ 'Fn::Sub': ... }`),
+ * so callers only deal with one shape; JSON templates parse the same way. Export and import
+ * names are compared as patterns in which every `${...}` or `!Ref` is a wildcard, since their
+ * values are only known at deploy time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const TEMPLATES_DIR = path.join(ROOT, 'cloudformation', 'templates');
+const PARAMETERS_DIR = path.join(ROOT, 'cloudformation', 'parameters');
+
+const PSEUDO_PARAMETERS = [
+  'AWS::AccountId',
+  'AWS::NotificationARNs',
+  'AWS::NoValue',
+  'AWS::Partition',
+  'AWS::Region',
+  'AWS::StackId',
+  'AWS::StackName',
+  'AWS::URLSuffix'
+];
+
+const FUNCTIONS = [
+  'And', 'Base64', 'Cidr', 'Equals', 'FindInMap', 'GetAZs', 'If', 'ImportValue',
+  'Join', 'Not', 'Or', 'Select', 'Split', 'Sub', 'Transform', 'GetAtt'
+];
+
+// Matches ${Name} and ${Resource.Attribute}; ${!Literal} is an escaped literal
+const PLACEHOLDER = /\$\{([^}]+)\}/g;
+const WILDCARD = '*';
+
+let schema = null;
+
+// js-yaml is pinned to 4.x in package.json; other majors changed the Type and schema API
+function loadYaml() {
+  let yaml;
+  try {
+    yaml = require('js-yaml');
+  } catch (error) {
+    throw new Error('Template parsing needs js-yaml installed (npm ci)');
+  }
+  if (typeof yaml.Type !== 'function' || !yaml.DEFAULT_SCHEMA) {
+    throw new Error('Template parsing needs js-yaml 4.x (npm ci); the installed version is incompatible');
+  }
+  return yaml;
+}
+
+// Throws when js-yaml is missing or incompatible, so callers can fail before reading any template
+function cfnSchema() {
+  if (schema) return schema;
+  const yaml = loadYaml();
+  const types = [];
+
+  ['scalar', 'sequence', 'mapping'].forEach(kind => {
+    types.push(new yaml.Type('!Ref', { kind, construct: data => ({ Ref: data }) }));
+    types.push(new yaml.Type('!Condition', { kind, construct: data => ({ Condition: data }) }));
+    FUNCTIONS.forEach(name => {
+      types.push(new yaml.Type(`!${name}`, {
+        kind,
+        construct: data => {
+          // !GetAtt Resource.Attribute is shorthand for [Resource, Attribute]
+          if (name === 'GetAtt' && typeof data === 'string') {
+            const dot = data.indexOf('.');
+            return { 'Fn::GetAtt': [data.slice(0, dot), data.slice(dot + 1)] };
+          }
+          return { [`Fn::${name}`]: data };
+        }
+      }));
+    });
+  });
+
+  schema = yaml.DEFAULT_SCHEMA.extend(types);
+  return schema;
+}
+
+function parseTemplate(source, file = 'template') {
+  const template = loadYaml().load(source, { schema: cfnSchema(), filename: file });
+  if (!template || typeof template !== 'object') {
+    throw new Error(`${file} is not a CloudFormation template`);
+  }
+  return template;
+}
+
+function loadTemplate(file) {
+  return {
+    file,
+    name: path.basename(file),
+    template: parseTemplate(fs.readFileSync(file, 'utf-8'), path.basename(file))
+  };
+}
+
+function listTemplates(directory = TEMPLATES_DIR) {
+  return fs.readdirSync(directory)
+    .filter(file => /\.(ya?ml|json|template)$/.test(file))
+    .sort()
+    .map(file => path.join(directory, file));
+}
+
+// `aws cloudformation` parameter files: [{ ParameterKey, ParameterValue }] to { key: value }
+function loadParameterFile(file) {
+  const document = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(document)) {
+    throw new Error(`${file} is not a parameter file (expected an array of ParameterKey/ParameterValue)`);
+  }
+  return Object.fromEntries(document.map(entry => [entry.ParameterKey, entry.ParameterValue]));
+}
+
+function listParameterFiles(directory = PARAMETERS_DIR) {
+  if (!fs.existsSync(directory)) return [];
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => path.join(directory, file));
+}
+
+// Calls visit(node, path) for every object and array in the tree
+function walk(node, visit, trail = []) {
+  if (!node || typeof node !== 'object') return;
+  visit(node, trail);
+  Object.entries(node).forEach(([key, child]) => walk(child, visit, [...trail, key]));
+}
+
+// Logical names a Sub string refers to; `defined` holds the names of its variable map
+function subReferences(value, defined = {}) {
+  const names = [];
+  for (const match of String(value).matchAll(PLACEHOLDER)) {
+    const name = match[1].trim();
+    if (name.startsWith('!')) continue;
+    const logical = name.startsWith('AWS::') ? name : name.split('.')[0];
+    if (!(logical in defined)) names.push(logical);
+  }
+  return names;
+}
+
+// Every logical name or pseudo parameter a tree refers to through Ref, GetAtt and Sub
+function references(node) {
+  const names = new Set();
+  walk(node, value => {
+    if (Array.isArray(value)) return;
+    if (typeof value.Ref === 'string') {
+      names.add(value.Ref);
+    }
+    const getAtt = value['Fn::GetAtt'];
+    if (Array.isArray(getAtt) && typeof getAtt[0] === 'string') {
+      names.add(getAtt[0]);
+    }
+    const sub = value['Fn::Sub'];
+    if (typeof sub === 'string') {
+      subReferences(sub).forEach(name => names.add(name));
+    } else if (Array.isArray(sub) && typeof sub[0] === 'string') {
+      subReferences(sub[0], sub[1] || {}).forEach(name => names.add(name));
+    }
+  });
+  return names;
+}
+
+// An export or import name as a pattern: literal text, with WILDCARD wherever the value is
+// only known at deploy time
+function namePattern(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return String(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return WILDCARD;
+  }
+  if ('Fn::Sub' in value) {
+    const sub = value['Fn::Sub'];
+    const source = Array.isArray(sub) ? sub[0] : sub;
+    if (typeof source !== 'string') return WILDCARD;
+    return source.replace(PLACEHOLDER, (match, name) => (name.startsWith('!') ? `\${${name.slice(1)}}` : WILDCARD));
+  }
+  if ('Fn::Join' in value && Array.isArray(value['Fn::Join'])) {
+    const [separator, parts] = value['Fn::Join'];
+    if (!Array.isArray(parts)) return WILDCARD;
+    return parts.map(namePattern).join(separator);
+  }
+  return WILDCARD;
+}
+
+// Whether two patterns can name the same export, each WILDCARD matching any text
+function patternsOverlap(a, b) {
+  const memo = new Map();
+  const match = (i, j) => {
+    const key = `${i},${j}`;
+    if (memo.has(key)) return memo.get(key);
+    let result;
+    if (i === a.length && j === b.length) {
+      result = true;
+    } else if (a[i] === WILDCARD) {
+      result = match(i + 1, j) || (j < b.length && match(i, j + 1));
+    } else if (b[j] === WILDCARD) {
+      result = match(i, j + 1) || (i < a.length && match(i + 1, j));
+    } else {
+      result = i < a.length && j < b.length && a[i] === b[j] && match(i + 1, j + 1);
+    }
+    memo.set(key, result);
+    return result;
+  };
+  return match(0, 0);
+}
+
+// Export names declared in a template's Outputs: [{ output, name, pattern }]
+function templateExports(template) {
+  return Object.entries(template.Outputs || {})
+    .filter(([, output]) => output && output.Export && output.Export.Name != null)
+    .map(([output, { Export }]) => ({ output, name: Export.Name, pattern: namePattern(Export.Name) }));
+}
+
+// Fn::ImportValue calls anywhere in a template: [{ path, name, pattern }]
+function templateImports(template) {
+  const imports = [];
+  walk(template, (node, trail) => {
+    if (!Array.isArray(node) && 'Fn::ImportValue' in node) {
+      const name = node['Fn::ImportValue'];
+      imports.push({ path: trail.join('.'), name, pattern: namePattern(name) });
+    }
+  });
+  return imports;
+}
+
+module.exports = {
+  PARAMETERS_DIR,
+  PSEUDO_PARAMETERS,
+  TEMPLATES_DIR,
+  WILDCARD,
+  cfnSchema,
+  listParameterFiles,
+  listTemplates,
+  loadParameterFile,
+  loadTemplate,
+  namePattern,
+  parseTemplate,
+  patternsOverlap,
+  references,
+  templateExports,
+  templateImports,
+  walk
+};
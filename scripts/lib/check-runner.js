@@ -0,0 +1,216 @@
+/**
+ * Shared HTTP check runner used by every validation script.
+ *
+ * `request()` is the single HTTP primitive: it never rejects, it resolves with an
+ * `error` field instead. `runCheck()` wraps it with retries, fallbacks and assertions
+ * and returns a CheckResult:
+ *
+ *   { name, status, critical, url, statusCode, responseTime, attempts, error, details, timestamp }
+ *
+ * Status meanings are shared by all scripts:
+ *   passed   - the check met every expectation
+ *   warning  - a non-critical check failed, or a check passed but was slower than allowed
+ *   critical - a critical check failed; deployment must be blocked
+ */
+
+const https = require('https');
+const http = require('http');
+const { logCheck } = require('./logger');
+
+const STATUS = {
+  PASSED: 'passed',
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+const DEFAULTS = {
+  timeout: 10000,
+  retries: 0,
+  retryDelay: 1000,
+  expectedStatus: [200],
+  maxBodyLength: 64 * 1024
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function request(url, options = {}) {
+  const timeout = options.timeout || DEFAULTS.timeout;
+  const maxBodyLength = options.maxBodyLength || DEFAULTS.maxBodyLength;
+
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      resolve({ ...result, responseTime: Date.now() - startTime });
+    };
+
+    let client;
+    try {
+      client = new URL(url).protocol === 'http:' ? http : https;
+    } catch (error) {
+      finish({ error: `Invalid URL: ${url}` });
+      return;
+    }
+
+    const req = client.request(url, {
+      method: options.method || 'GET',
+      headers: options.headers || {},
+      timeout
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => {
+        if (body.length < maxBodyLength) {
+          body += chunk;
+        }
+      });
+      res.on('end', () => {
+        finish({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: body.substring(0, maxBodyLength)
+        });
+      });
+      res.on('error', (err) => finish({ error: err.message }));
+    });
+
+    // The socket timeout is the only timer; destroying the request settles it
+    req.on('timeout', () => {
+      req.destroy(new Error('Request timeout'));
+    });
+
+    req.on('error', (err) => {
+      finish({ error: err.message });
+    });
+
+    if (options.body) {
+      req.write(typeof options.body === 'string' ? options.body : JSON.stringify(options.body));
+    }
+    req.end();
+  });
+}
+
+// Returns null when the response satisfies the check, otherwise the failure reason
+function evaluateResponse(check, response) {
+  if (response.error) {
+    return response.error;
+  }
+
+  const expectedStatus = check.expectedStatus || DEFAULTS.expectedStatus;
+  if (!expectedStatus.includes(response.statusCode)) {
+    return `Status: ${response.statusCode} (expected ${expectedStatus.join('/')})`;
+  }
+
+  const bodyIncludes = [].concat(check.bodyIncludes || []);
+  const missing = bodyIncludes.filter(text => !(response.body || '').includes(text));
+  if (missing.length > 0) {
+    return `Response body missing: ${missing.join(', ')}`;
+  }
+
+  if (check.assert) {
+    const outcome = check.assert(response);
+    if (outcome !== true && outcome !== undefined) {
+      return typeof outcome === 'string' ? outcome : 'Response assertion failed';
+    }
+  }
+
+  return null;
+}
+
+function createResult(name, status, details = {}) {
+  const result = {
+    name,
+    status,
+    critical: details.critical !== undefined ? details.critical : status === STATUS.CRITICAL,
+    url: details.url || null,
+    statusCode: details.statusCode || null,
+    responseTime: details.responseTime != null ? details.responseTime : null,
+    attempts: details.attempts || 0,
+    error: details.error || null,
+    details: details.details || null,
+    timestamp: new Date().toISOString()
+  };
+  logCheck(result);
+  return result;
+}
+
+function failureStatus(check) {
+  return check.critical === false ? STATUS.WARNING : STATUS.CRITICAL;
+}
+
+async function runCheck(check) {
+  const urls = [check.url].concat(check.fallbacks || [], check.fallback || []);
+  const retries = check.retries != null ? check.retries : DEFAULTS.retries;
+  const retryDelay = check.retryDelay != null ? check.retryDelay : DEFAULTS.retryDelay;
+  const critical = check.critical !== false;
+
+  let attempts = 0;
+  let last = null;
+
+  for (const url of urls) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        // Exponential backoff between retries of the same URL
+        await sleep(retryDelay * Math.pow(2, attempt - 1));
+      }
+
+      attempts++;
+      const response = await request(url, check);
+      const error = evaluateResponse(check, response);
+      last = { url, response, error };
+
+      if (!error) {
+        const slow = check.maxResponseTime && response.responseTime > check.maxResponseTime;
+        return createResult(check.name, slow ? STATUS.WARNING : STATUS.PASSED, {
+          critical,
+          url,
+          statusCode: response.statusCode,
+          responseTime: response.responseTime,
+          attempts,
+          error: slow ? `Slow response time: ${response.responseTime}ms` : null,
+          details: check.describe ? check.describe(response) : null
+        });
+      }
+    }
+  }
+
+  return createResult(check.name, failureStatus(check), {
+    critical,
+    url: last.url,
+    statusCode: last.response.statusCode,
+    responseTime: last.response.responseTime,
+    attempts,
+    error: last.error
+  });
+}
+
+function summarize(results) {
+  const passed = results.filter(r => r.status === STATUS.PASSED).length;
+  const warnings = results.filter(r => r.status === STATUS.WARNING).length;
+  const failed = results.filter(r => r.status === STATUS.CRITICAL).length;
+  const total = results.length;
+
+  return {
+    passed,
+    warnings,
+    failed,
+    total,
+    healthScore: total > 0 ? Math.round((passed / total) * 100) : 0,
+    criticalFailures: results.filter(r => r.status === STATUS.CRITICAL).map(r => r.name)
+  };
+}
+
+module.exports = {
+  STATUS,
+  DEFAULTS,
+  request,
+  runCheck,
+  createResult,
+  evaluateResponse,
+  summarize,
+  sleep
+};
@@ -0,0 +1,31 @@
+/**
+ * Minimal argument parser shared by the validation scripts.
+ * Supports `--name value`, `--name=value` and bare `--flag` (true).
+ */
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      options[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options[arg.slice(2)] = true;
+    }
+  }
+
+  return { options, positional };
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,105 @@
+/**
+ * Secrets for the validation scripts, from AWS Secrets Manager or a local stand-in.
+ *
+ * A secret is looked up by id. With SECRETS_FILE set, ids are read from that JSON file
+ * (`{ "<secret id>": <secret>, ... }`), which stands in for Secrets Manager on a laptop or in the
+ * local harness. Otherwise GetSecretValue is called in the environment's region. A secret is
+ * either a plain string or an object in the RDS shape `{ username, password, host, port, dbname }`;
+ * JSON SecretStrings are parsed.
+ *
+ * The database password is looked up lazily: `databasePassword()` returns an async function,
+ * which pg (8.x) accepts as `password` and calls when a connection authenticates, so nothing is
+ * fetched until a script actually connects. A rejection from it rejects `connect()` with the
+ * same error, so a missing secret is reported as such rather than as a failed login.
+ */
+
+const fs = require('fs');
+
+class CredentialSource {
+  constructor(options = {}) {
+    this.secretsFile = options.secretsFile || process.env.SECRETS_FILE || null;
+    this.region = options.region || process.env.AWS_REGION || 'us-east-1';
+    this.cache = new Map();
+    this.client = null;
+  }
+
+  loadSdk() {
+    try {
+      return require('@aws-sdk/client-secrets-manager');
+    } catch (error) {
+      throw new Error('Reading secrets from Secrets Manager needs @aws-sdk/client-secrets-manager installed, or set SECRETS_FILE');
+    }
+  }
+
+  readFile(id) {
+    const secrets = JSON.parse(fs.readFileSync(this.secretsFile, 'utf-8'));
+    if (!(id in secrets)) {
+      throw new Error(`Secret ${id} not found in ${this.secretsFile}`);
+    }
+    return secrets[id];
+  }
+
+  async fetch(id, region) {
+    const { SecretsManagerClient, GetSecretValueCommand } = this.loadSdk();
+    this.client = this.client || new SecretsManagerClient({ region: region || this.region });
+    let response;
+    try {
+      response = await this.client.send(new GetSecretValueCommand({ SecretId: id }));
+    } catch (error) {
+      throw new Error(`Secret ${id} could not be read from Secrets Manager in ${region || this.region}: ${error.message}`);
+    }
+    if (typeof response.SecretString !== 'string') {
+      throw new Error(`Secret ${id} has no SecretString (binary secrets are not supported)`);
+    }
+
+    try {
+      return JSON.parse(response.SecretString);
+    } catch (error) {
+      return response.SecretString;
+    }
+  }
+
+  // Cached per id, so a pool opening many connections reads the secret once
+  getSecret(id, region) {
+    if (!this.cache.has(id)) {
+      const secret = this.secretsFile ? Promise.resolve().then(() => this.readFile(id)) : this.fetch(id, region);
+      // A failed read is retried on the next connection
+      secret.catch(() => this.cache.delete(id));
+      this.cache.set(id, secret);
+    }
+    return this.cache.get(id);
+  }
+
+  // DB_SECRET_ID, else the registry's database.secretId
+  databaseSecretId(environment) {
+    return process.env.DB_SECRET_ID || (environment.database || {}).secretId || null;
+  }
+
+  databasePassword(environment) {
+    return async () => {
+      const id = this.databaseSecretId(environment);
+      if (!id) {
+        throw new Error(`No database password for ${environment.name}: set DB_PASSWORD, DB_SECRET_ID or database.secretId in the registry`);
+      }
+
+      const secret = await this.getSecret(id, environment.region);
+      const password = typeof secret === 'string' ? secret : secret && secret.password;
+      if (typeof password !== 'string' || password === '') {
+        throw new Error(`Secret ${id} has no password`);
+      }
+      return password;
+    };
+  }
+}
+
+let defaultSource = null;
+
+function credentialSource() {
+  defaultSource = defaultSource || new CredentialSource();
+  return defaultSource;
+}
+
+module.exports = {
+  CredentialSource,
+  credentialSource
+};
@@ -0,0 +1,296 @@
+/**
+ * Drift between the live stacks of an environment and the templates in cloudformation/templates.
+ *
+ * For every stack in config/stacks.json, the live resources are compared two ways:
+ *
+ *   - CloudFormation drift detection (DetectStackDrift) reports resources changed or deleted
+ *     outside CloudFormation, e.g. in the console, with the property paths that differ
+ *   - the resource list is compared with the repository template: `not-deployed` resources are
+ *     in the template but not the stack, `not-in-template` ones the other way round. Resources
+ *     with a Condition are skipped, since whether they exist depends on parameters
+ *
+ * Live data comes from the AWS SDK, or from a recorded fixture keyed by stack name that holds
+ * the same responses (`--record` writes one):
+ *
+ *   { "<stack name>": { resources: [StackResourceSummary], drifts: [StackResourceDrift],
+ *                       detectionStatus, detectionStatusReason } }
+ *
+ * A stack missing from the fixture has not been deployed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STATUS, createResult } = require('./check-runner');
+const { TEMPLATES_DIR, loadTemplate } = require('./cfn-template');
+const { catalogStackName, loadStackCatalog } = require('./stack-graph');
+const { sleep } = require('./orchestrator');
+
+const DEFAULTS = {
+  pollInterval: 5000,
+  detectionTimeout: 3 * 60 * 1000
+};
+
+// Stack result statuses; resources are `modified`, `deleted`, `not-deployed` or `not-in-template`
+const DRIFT_STATUS = {
+  IN_SYNC: 'in-sync',
+  DRIFTED: 'drifted',
+  OUT_OF_DATE: 'out-of-date',
+  NOT_DEPLOYED: 'not-deployed',
+  ERROR: 'error'
+};
+
+class AwsDriftSource {
+  constructor(options = {}) {
+    const given = Object.entries(options).filter(([, value]) => value != null);
+    this.options = { ...DEFAULTS, ...Object.fromEntries(given) };
+    this.client = null;
+  }
+
+  loadSdk() {
+    try {
+      return require('@aws-sdk/client-cloudformation');
+    } catch (error) {
+      throw new Error('Drift detection needs @aws-sdk/client-cloudformation installed, or a recorded fixture (--fixture or DRIFT_FIXTURE)');
+    }
+  }
+
+  describe() {
+    return 'aws';
+  }
+
+  async send(command, signal) {
+    this.client = this.client || new this.sdk.CloudFormationClient({ region: this.options.region });
+    return this.client.send(command, { abortSignal: signal });
+  }
+
+  async listResources(stackName, signal) {
+    const resources = [];
+    let token;
+    do {
+      const page = await this.send(new this.sdk.ListStackResourcesCommand({ StackName: stackName, NextToken: token }), signal);
+      resources.push(...page.StackResourceSummaries);
+      token = page.NextToken;
+    } while (token);
+    return resources;
+  }
+
+  async detect(stackName, signal) {
+    const { StackDriftDetectionId: id } = await this.send(new this.sdk.DetectStackDriftCommand({ StackName: stackName }), signal);
+    const deadline = Date.now() + this.options.detectionTimeout;
+    for (;;) {
+      const status = await this.send(new this.sdk.DescribeStackDriftDetectionStatusCommand({ StackDriftDetectionId: id }), signal);
+      if (status.DetectionStatus !== 'DETECTION_IN_PROGRESS') {
+        return { detectionStatus: status.DetectionStatus, detectionStatusReason: status.DetectionStatusReason || null };
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Drift detection for ${stackName} did not finish within ${this.options.detectionTimeout}ms`);
+      }
+      await sleep(this.options.pollInterval, signal);
+    }
+  }
+
+  async listDrifts(stackName, signal) {
+    const drifts = [];
+    let token;
+    do {
+      const page = await this.send(new this.sdk.DescribeStackResourceDriftsCommand({
+        StackName: stackName,
+        StackResourceDriftStatusFilters: ['MODIFIED', 'DELETED'],
+        NextToken: token
+      }), signal);
+      drifts.push(...page.StackResourceDrifts);
+      token = page.NextToken;
+    } while (token);
+    return drifts;
+  }
+
+  // Recorded-fixture shape for one stack, or null when it does not exist
+  async stack(stackName, signal) {
+    this.sdk = this.sdk || this.loadSdk();
+    let resources;
+    try {
+      resources = await this.listResources(stackName, signal);
+    } catch (error) {
+      if (/does not exist/.test(error.message)) return null;
+      throw error;
+    }
+
+    // A failed detection still reports the resources it could check
+    const detection = await this.detect(stackName, signal);
+    return { resources, drifts: await this.listDrifts(stackName, signal), ...detection };
+  }
+}
+
+class FixtureDriftSource {
+  constructor(file) {
+    this.file = file;
+    this.recorded = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  describe() {
+    return this.file;
+  }
+
+  async stack(stackName) {
+    return this.recorded[stackName] || null;
+  }
+}
+
+function propertyDifferences(drift) {
+  return (drift.PropertyDifferences || []).map(difference => ({
+    path: difference.PropertyPath,
+    expected: difference.ExpectedValue,
+    actual: difference.ActualValue,
+    type: difference.DifferenceType
+  }));
+}
+
+// Live stack (fixture shape) against the repository template
+function compareStack(live, template) {
+  const templateResources = Object.entries(template.Resources || {})
+    .filter(([, resource]) => resource && !resource.Condition);
+  const liveIds = new Set(live.resources.map(resource => resource.LogicalResourceId));
+  const templateIds = new Set(Object.keys(template.Resources || {}));
+
+  const drifted = live.drifts.map(drift => ({
+    logicalId: drift.LogicalResourceId,
+    type: drift.ResourceType,
+    physicalId: drift.PhysicalResourceId || null,
+    status: drift.StackResourceDriftStatus === 'DELETED' ? 'deleted' : 'modified',
+    differences: propertyDifferences(drift)
+  }));
+  const notDeployed = templateResources
+    .filter(([logicalId]) => !liveIds.has(logicalId))
+    .map(([logicalId, resource]) => ({ logicalId, type: resource.Type, physicalId: null, status: 'not-deployed', differences: [] }));
+  const notInTemplate = live.resources
+    .filter(resource => !templateIds.has(resource.LogicalResourceId))
+    .map(resource => ({
+      logicalId: resource.LogicalResourceId,
+      type: resource.ResourceType,
+      physicalId: resource.PhysicalResourceId || null,
+      status: 'not-in-template',
+      differences: []
+    }));
+
+  const resources = [...drifted, ...notDeployed, ...notInTemplate];
+  let status = DRIFT_STATUS.IN_SYNC;
+  if (drifted.length > 0) {
+    status = DRIFT_STATUS.DRIFTED;
+  } else if (resources.length > 0) {
+    status = DRIFT_STATUS.OUT_OF_DATE;
+  }
+  return { status, resources };
+}
+
+class DriftDetector {
+  constructor(options = {}) {
+    this.environment = options.environment;
+    this.catalog = options.catalog || loadStackCatalog();
+    this.templatesDir = options.templatesDir || TEMPLATES_DIR;
+    this.source = options.source || new AwsDriftSource({ region: this.environment.region });
+    this.stacks = options.stacks || Object.keys(this.catalog.stacks);
+    // What the source returned, by stack name, in the fixture format
+    this.recording = {};
+  }
+
+  async checkStack(key, signal) {
+    const entry = this.catalog.stacks[key];
+    if (!entry) {
+      throw new Error(`Unknown stack "${key}". Expected one of: ${Object.keys(this.catalog.stacks).join(', ')}`);
+    }
+    const result = {
+      stack: key,
+      stackName: catalogStackName(this.catalog, key, this.environment),
+      template: entry.template,
+      status: DRIFT_STATUS.NOT_DEPLOYED,
+      detectionStatus: null,
+      resources: [],
+      error: null
+    };
+
+    try {
+      const live = await this.source.stack(result.stackName, signal);
+      if (!live) return result;
+      this.recording[result.stackName] = live;
+
+      const { template } = loadTemplate(path.join(this.templatesDir, entry.template));
+      result.detectionStatus = live.detectionStatus || null;
+      Object.assign(result, compareStack({ resources: [], drifts: [], ...live }, template));
+      if (live.detectionStatus === 'DETECTION_FAILED') {
+        result.error = `Drift detection incomplete: ${live.detectionStatusReason || 'unknown reason'}`;
+      }
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      result.status = DRIFT_STATUS.ERROR;
+      result.error = error.message;
+    }
+    return result;
+  }
+
+  async detect(options = {}) {
+    const stacks = [];
+    // One stack at a time: DetectStackDrift is rate limited per account
+    for (const key of this.stacks) {
+      stacks.push(await this.checkStack(key, options.signal));
+    }
+
+    const count = status => stacks.filter(stack => stack.status === status).length;
+    return {
+      environment: this.environment.name,
+      source: this.source.describe(),
+      checkedAt: new Date().toISOString(),
+      stacks,
+      summary: {
+        stacks: stacks.length,
+        inSync: count(DRIFT_STATUS.IN_SYNC),
+        drifted: count(DRIFT_STATUS.DRIFTED),
+        outOfDate: count(DRIFT_STATUS.OUT_OF_DATE),
+        notDeployed: count(DRIFT_STATUS.NOT_DEPLOYED),
+        errors: count(DRIFT_STATUS.ERROR),
+        resources: stacks.reduce((total, stack) => total + stack.resources.length, 0)
+      }
+    };
+  }
+}
+
+function describeResource(resource) {
+  if (resource.status === 'modified') {
+    const paths = resource.differences.map(difference => difference.path).join(', ');
+    return `${resource.logicalId} modified${paths ? ` (${paths})` : ''}`;
+  }
+  return `${resource.logicalId} ${resource.status}`;
+}
+
+// One check per stack: deleted resources and failed lookups are critical, other drift a warning
+function driftToChecks(report) {
+  return report.stacks.map(stack => {
+    let status = STATUS.PASSED;
+    let error = stack.error;
+    if (stack.status === DRIFT_STATUS.ERROR || stack.resources.some(resource => resource.status === 'deleted')) {
+      status = STATUS.CRITICAL;
+    } else if (stack.status !== DRIFT_STATUS.IN_SYNC || stack.error) {
+      status = STATUS.WARNING;
+    }
+    if (stack.status === DRIFT_STATUS.NOT_DEPLOYED) {
+      error = 'stack not deployed';
+    } else if (stack.resources.length > 0) {
+      error = [stack.resources.map(describeResource).join('; '), stack.error].filter(Boolean).join('; ');
+    }
+
+    return createResult(stack.stackName, status, {
+      critical: status === STATUS.CRITICAL,
+      error,
+      details: stack
+    });
+  });
+}
+
+module.exports = {
+  AwsDriftSource,
+  DRIFT_STATUS,
+  DriftDetector,
+  FixtureDriftSource,
+  compareStack,
+  describeResource,
+  driftToChecks
+};
@@ -0,0 +1,138 @@
+/**
+ * Resolves environment endpoints from CloudFormation stack outputs.
+ *
+ * Stack data uses the `aws cloudformation describe-stacks` JSON shape and comes either
+ * from a saved file (`--stack-outputs <file>`, for offline runs) or live from the
+ * AWS SDK (`--resolve-endpoints`). Which output feeds which endpoint is declared per
+ * environment under `stackOutputs` in config/environments.json.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('./cli');
+const { selectEnvironment, withEndpoints } = require('./environments');
+
+function loadCloudFormationSdk() {
+  try {
+    return require('@aws-sdk/client-cloudformation');
+  } catch (error) {
+    throw new Error('Live endpoint resolution needs @aws-sdk/client-cloudformation installed, or pass --stack-outputs <file>');
+  }
+}
+
+function readStackOutputsFile(file) {
+  const document = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(document.Stacks)) {
+    throw new Error(`${file} is not describe-stacks output (missing "Stacks" array)`);
+  }
+  return document;
+}
+
+async function describeStacks(stackNames, region) {
+  const { CloudFormationClient, DescribeStacksCommand } = loadCloudFormationSdk();
+  const client = new CloudFormationClient({ region });
+  const stacks = [];
+
+  for (const stackName of stackNames) {
+    try {
+      const response = await client.send(new DescribeStacksCommand({ StackName: stackName }));
+      stacks.push(...response.Stacks);
+    } catch (error) {
+      // A missing stack only loses its endpoints; the registry values still apply
+      if (!/does not exist/.test(error.message)) {
+        throw error;
+      }
+    }
+  }
+
+  return { Stacks: stacks };
+}
+
+function indexStacks(document) {
+  const stacks = {};
+  const exports = {};
+
+  document.Stacks.forEach(stack => {
+    const outputs = {};
+    (stack.Outputs || []).forEach(output => {
+      outputs[output.OutputKey] = output.OutputValue;
+      if (output.ExportName) {
+        exports[output.ExportName] = output.OutputValue;
+      }
+    });
+    stacks[stack.StackName] = outputs;
+  });
+
+  return { stacks, exports };
+}
+
+// Maps stack outputs onto endpoint names according to environment.stackOutputs
+function endpointsFromStacks(environment, document) {
+  const { stacks, exports } = indexStacks(document);
+  const endpoints = {};
+  const sources = {};
+  const missing = [];
+
+  Object.entries(environment.stackOutputs || {}).forEach(([endpoint, mapping]) => {
+    let value;
+    let source;
+
+    if (mapping.export) {
+      value = exports[mapping.export];
+      source = `export:${mapping.export}`;
+    } else {
+      value = (stacks[mapping.stack] || {})[mapping.output];
+      source = `${mapping.stack}/${mapping.output}`;
+    }
+
+    if (value === undefined) {
+      missing.push(source);
+      return;
+    }
+
+    endpoints[endpoint] = mapping.format ? mapping.format.replace('{value}', value) : value;
+    sources[endpoint] = source;
+  });
+
+  return { endpoints, sources, missing };
+}
+
+async function resolveEndpoints(environment, options = {}) {
+  let document;
+  if (options.file) {
+    document = readStackOutputsFile(options.file);
+  } else {
+    const stackNames = [...new Set(
+      Object.values(environment.stackOutputs || {}).map(mapping => mapping.stack).filter(Boolean)
+    )];
+    document = await describeStacks(stackNames, options.region || environment.region);
+  }
+
+  const { endpoints, sources, missing } = endpointsFromStacks(environment, document);
+  const resolved = withEndpoints(environment, endpoints);
+  resolved.endpointSources = sources;
+  resolved.unresolvedOutputs = missing;
+  return resolved;
+}
+
+// Selects the environment from argv and, when asked, resolves its endpoints from stack outputs
+async function resolveEnvironment(argv = process.argv.slice(2)) {
+  const { options } = parseArgs(argv);
+  const environment = selectEnvironment(argv);
+  const file = options['stack-outputs'] || process.env.STACK_OUTPUTS_FILE;
+
+  if (file) {
+    return resolveEndpoints(environment, { file });
+  }
+  if (options['resolve-endpoints']) {
+    return resolveEndpoints(environment);
+  }
+  return environment;
+}
+
+module.exports = {
+  describeStacks,
+  endpointsFromStacks,
+  readStackOutputsFile,
+  resolveEndpoints,
+  resolveEnvironment
+};
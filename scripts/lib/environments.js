@@ -0,0 +1,106 @@
+/**
+ * Environment registry loader.
+ * Reads config/environments.json and resolves check definitions into concrete URLs,
+ * so every script can target dev, stg or prd through `--env` without code changes.
+ */
+
+const path = require('path');
+const { parseArgs } = require('./cli');
+const { credentialSource } = require('./credentials');
+
+const REGISTRY_FILE = process.env.ENVIRONMENTS_FILE || path.resolve(__dirname, '..', '..', 'config', 'environments.json');
+const DEFAULT_ENVIRONMENT = 'dev';
+
+function loadRegistry() {
+  return require(REGISTRY_FILE);
+}
+
+function resolveEnvironmentName(name, registry = loadRegistry()) {
+  const wanted = String(name || DEFAULT_ENVIRONMENT).toLowerCase();
+
+  const match = Object.keys(registry).find(key =>
+    key === wanted || (registry[key].aliases || []).includes(wanted)
+  );
+  if (!match) {
+    throw new Error(`Unknown environment "${name}". Expected one of: ${Object.keys(registry).join(', ')}`);
+  }
+  return match;
+}
+
+function resolveCheck(check, endpoints) {
+  const { endpoint, path: checkPath = '', fallbackPath, ...rest } = check;
+  const baseUrl = endpoints[endpoint];
+  if (!baseUrl) {
+    return null;
+  }
+
+  const resolved = { ...rest, url: `${baseUrl}${checkPath}` };
+  if (fallbackPath !== undefined) {
+    resolved.fallback = `${baseUrl}${fallbackPath}`;
+  }
+  return resolved;
+}
+
+function resolveChecks(checkDefinitions, endpoints) {
+  return Object.fromEntries(
+    Object.entries(checkDefinitions || {}).map(([group, checks]) => [
+      group,
+      checks.map(check => resolveCheck(check, endpoints)).filter(Boolean)
+    ])
+  );
+}
+
+function loadEnvironment(name) {
+  const registry = loadRegistry();
+  const key = resolveEnvironmentName(name, registry);
+  // Copy so callers can adjust endpoints without mutating the cached registry
+  const environment = JSON.parse(JSON.stringify(registry[key]));
+
+  environment.name = key;
+  environment.checkDefinitions = environment.checks || {};
+  environment.checks = resolveChecks(environment.checkDefinitions, environment.endpoints);
+
+  return environment;
+}
+
+// Returns a copy of the environment with endpoint overrides applied and checks re-resolved
+function withEndpoints(environment, endpoints) {
+  const merged = { ...environment.endpoints, ...endpoints };
+
+  return {
+    ...environment,
+    endpoints: merged,
+    checks: resolveChecks(environment.checkDefinitions, merged)
+  };
+}
+
+// Connection settings for pg; DB_* environment variables override the registry. Without
+// DB_PASSWORD, `password` is an async function (see credentials.js): pg calls it when the first
+// connection opens, and a missing secret rejects connect() with a message naming the secret.
+function databaseConfig(environment) {
+  const database = environment.database || {};
+
+  return {
+    host: process.env.DB_HOST || database.host || 'localhost',
+    port: process.env.DB_PORT || database.port || 5432,
+    database: process.env.DB_NAME || database.name,
+    user: process.env.DB_USER || database.user,
+    password: process.env.DB_PASSWORD || credentialSource().databasePassword(environment)
+  };
+}
+
+// `--env` wins over $ENVIRONMENT, which wins over the default
+function selectEnvironment(argv = process.argv.slice(2)) {
+  const { options } = parseArgs(argv);
+  return loadEnvironment(options.env || process.env.ENVIRONMENT || DEFAULT_ENVIRONMENT);
+}
+
+module.exports = {
+  DEFAULT_ENVIRONMENT,
+  databaseConfig,
+  loadRegistry,
+  loadEnvironment,
+  resolveEnvironmentName,
+  selectEnvironment,
+  withEndpoints
+};
@@ -0,0 +1,112 @@
+/**
+ * Fault injection for the local harness.
+ *
+ * Each fault breaks one thing the validators are supposed to notice: the stub services answer
+ * slowly, with 5xx or not at all; the registry points at TLS the stubs do not speak; or the
+ * harness database loses a table, gains an over-limit tenant or a cross-tenant row. Faults are
+ * applied to a freshly seeded database and the running stubs, and `inject()` returns the
+ * environment variables the validators need to see the broken registry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRegistry } = require('./environments');
+const { withStubPorts } = require('./local-stubs');
+
+const DEFAULTS = {
+  responseTimeThreshold: 1000,
+  requestTimeout: 2000
+};
+
+const HEALTH_PATHS = /^\/(api\/)?health$/;
+
+const FAULTS = {
+  'slow-responses': {
+    description: 'every stub answers later than RESPONSE_TIME_THRESHOLD',
+    stubs: settings => ({ delay: settings.responseTimeThreshold + 500 })
+  },
+  'server-errors': {
+    description: 'every stub answers 503',
+    stubs: () => ({ status: 503 })
+  },
+  timeouts: {
+    description: 'health endpoints never answer',
+    stubs: () => ({ paths: HEALTH_PATHS, hang: true })
+  },
+  'tls-errors': {
+    description: 'the registry uses https for stubs that only speak http',
+    registry: environment => JSON.parse(JSON.stringify(environment).replace(/http:\/\/localhost/g, 'https://localhost'))
+  },
+  'missing-tables': {
+    description: 'tenant_usage_stats is dropped',
+    sql: 'DROP TABLE tenant_usage_stats CASCADE'
+  },
+  'over-limit-tenants': {
+    description: 'gamma has 6 users on the 5-user free plan',
+    sql: `
+      INSERT INTO tenant_users (tenant_id, email)
+      SELECT '00000000-0000-4000-8000-00000000000c', 'gamma-extra-' || n || '@local.test'
+      FROM generate_series(1, 4) AS n
+    `
+  },
+  'cross-tenant-rows': {
+    description: 'an acme usage row points at a beta user',
+    sql: `
+      INSERT INTO tenant_usage_stats (tenant_id, user_id, stat_date, api_calls_count)
+      SELECT '00000000-0000-4000-8000-00000000000a', id, CURRENT_DATE, 1
+      FROM tenant_users WHERE email = 'beta-1@local.test'
+    `
+  }
+};
+
+class FaultInjector {
+  constructor(db, stubs, options = {}) {
+    this.db = db;
+    this.stubs = stubs;
+    const given = Object.entries(options).filter(([, value]) => value != null);
+    this.settings = { ...DEFAULTS, ...Object.fromEntries(given) };
+    this.registryFile = path.join(this.settings.reportsDir, 'environments.json');
+  }
+
+  // The registry with the stub ports and the settings' timeout and threshold on every local check,
+  // then the fault's rewrite
+  writeRegistry(fault) {
+    const registry = JSON.parse(JSON.stringify(loadRegistry()));
+    const local = withStubPorts(registry.local);
+    Object.values(local.checks || {}).forEach(checks => checks.forEach(check => {
+      check.timeout = this.settings.requestTimeout;
+      check.maxResponseTime = this.settings.responseTimeThreshold;
+      check.retries = 0;
+    }));
+    registry.local = fault && fault.registry ? fault.registry(local) : local;
+    fs.writeFileSync(this.registryFile, JSON.stringify(registry, null, 2));
+  }
+
+  // Applies a fault (or none for the baseline) and returns the validators' environment overrides
+  async inject(name) {
+    const fault = name ? FAULTS[name] : null;
+    if (name && !fault) {
+      throw new Error(`Unknown fault "${name}". Expected one of: ${Object.keys(FAULTS).join(', ')}`);
+    }
+
+    if (fault && fault.sql) {
+      await this.db.query(fault.sql);
+    }
+    this.stubs.fault = fault && fault.stubs ? fault.stubs(this.settings) : null;
+    this.writeRegistry(fault);
+
+    return {
+      ENVIRONMENTS_FILE: this.registryFile,
+      RESPONSE_TIME_THRESHOLD: String(this.settings.responseTimeThreshold)
+    };
+  }
+
+  clear() {
+    this.stubs.fault = null;
+  }
+}
+
+module.exports = {
+  FAULTS,
+  FaultInjector
+};
@@ -0,0 +1,217 @@
+/**
+ * Append-only JSONL store for deployment validation runs.
+ * Every run is one line in <directory>/runs.jsonl so history survives dashboard restarts.
+ *
+ * Runs are appended in time order, so listings read the file backwards from the end and stop
+ * once they have enough runs. Recording prunes the file: runs older than `retentionDays` are
+ * dropped at most once per `pruneInterval`, and the oldest runs go whenever the file grows past
+ * `maxBytes`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIRECTORY = process.env.HEALTH_HISTORY_DIR || path.resolve(__dirname, '..', '..', '.health-history');
+
+const DEFAULTS = {
+  retentionDays: parseInt(process.env.HEALTH_HISTORY_RETENTION_DAYS) || 30,
+  maxBytes: (parseInt(process.env.HEALTH_HISTORY_MAX_MB) || 20) * 1024 * 1024,
+  pruneInterval: 60 * 60 * 1000,
+  chunkSize: 64 * 1024
+};
+
+const SECTIONS = ['infrastructure', 'tenantHealth', 'tests'];
+
+// Accepts an ISO timestamp or a relative window such as "24h" or "7d"
+function parseSince(since) {
+  if (!since) return null;
+
+  const relative = /^(\d+)([mhd])$/.exec(since);
+  if (relative) {
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return new Date(Date.now() - parseInt(relative[1]) * units[relative[2]]);
+  }
+
+  const date = new Date(since);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid "since" value: ${since}`);
+  }
+  return date;
+}
+
+function parseLine(line) {
+  if (!line.trim()) return null;
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    // A partially written last line must not break the whole history
+    return null;
+  }
+}
+
+class HealthHistoryStore {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+    this.file = path.join(this.directory, 'runs.jsonl');
+    const given = Object.entries(options).filter(([, value]) => value != null);
+    this.options = { ...DEFAULTS, ...Object.fromEntries(given) };
+    this.lastPrune = 0;
+    // Appends and prunes run one at a time, so a prune never drops a run being appended
+    this.writes = Promise.resolve();
+  }
+
+  record(results, environment) {
+    const run = {
+      runId: crypto.randomUUID(),
+      environment,
+      timestamp: results.lastUpdate || new Date().toISOString(),
+      durationMs: results.durationMs != null ? results.durationMs : null,
+      overall: results.overall
+    };
+    SECTIONS.forEach(section => {
+      run[section] = results[section];
+    });
+
+    const write = this.writes.then(async () => {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.appendFile(this.file, JSON.stringify(run) + '\n');
+      await this.pruneIfNeeded();
+      return run;
+    });
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  async pruneIfNeeded() {
+    const { size } = await fs.promises.stat(this.file);
+    if (size > this.options.maxBytes || Date.now() - this.lastPrune >= this.options.pruneInterval) {
+      await this.prune();
+    }
+  }
+
+  // Rewrites the file without expired runs, and without the oldest ones while it is over maxBytes
+  async prune() {
+    this.lastPrune = Date.now();
+    const cutoff = Date.now() - this.options.retentionDays * 24 * 60 * 60 * 1000;
+    const lines = (await this.readLines()).filter(line => {
+      const run = parseLine(line);
+      return run && new Date(run.timestamp).getTime() >= cutoff;
+    });
+
+    // Keeps the newest runs up to three quarters of maxBytes, so the next prune is not one run away
+    const budget = this.options.maxBytes * 0.75;
+    let bytes = 0;
+    let first = lines.length;
+    while (first > 0 && bytes + Buffer.byteLength(lines[first - 1]) + 1 <= budget) {
+      first--;
+      bytes += Buffer.byteLength(lines[first]) + 1;
+    }
+    const kept = lines.slice(first);
+
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, kept.map(line => `${line}\n`).join(''));
+    await fs.promises.rename(temporary, this.file);
+    return { kept: kept.length, dropped: lines.length - kept.length };
+  }
+
+  async readLines() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.file, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return content.split('\n').filter(line => line.trim());
+  }
+
+  // Runs newest first, reading the file backwards one chunk at a time
+  async *newestFirst() {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    try {
+      let position = (await handle.stat()).size;
+      let rest = Buffer.alloc(0);
+      while (position > 0) {
+        const length = Math.min(this.options.chunkSize, position);
+        position -= length;
+        const chunk = Buffer.alloc(length);
+        await handle.read(chunk, 0, length, position);
+        // Split on bytes, so a multi-byte character across chunks stays whole
+        const buffer = Buffer.concat([chunk, rest]);
+        let end = buffer.length;
+        for (let i = buffer.length - 1; i >= 0; i--) {
+          if (buffer[i] !== 0x0a) continue;
+          const run = parseLine(buffer.toString('utf-8', i + 1, end));
+          if (run) yield run;
+          end = i;
+        }
+        rest = buffer.subarray(0, end);
+      }
+      const run = parseLine(rest.toString('utf-8'));
+      if (run) yield run;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Every stored run, oldest first
+  async readAll() {
+    const runs = [];
+    for await (const run of this.newestFirst()) runs.push(run);
+    return runs.reverse();
+  }
+
+  // Returns run summaries (no per-check payload), oldest first
+  async list({ env, since, limit } = {}) {
+    const sinceDate = parseSince(since);
+    const runs = [];
+
+    for await (const run of this.newestFirst()) {
+      if (sinceDate && new Date(run.timestamp) < sinceDate) break;
+      if (env && run.environment !== env) continue;
+      runs.push(summarizeRun(run));
+      if (limit && runs.length >= limit) break;
+    }
+
+    return runs.reverse();
+  }
+
+  async get(runId) {
+    for await (const run of this.newestFirst()) {
+      if (run.runId === runId) return run;
+    }
+    return null;
+  }
+}
+
+function summarizeRun(run) {
+  const summary = {
+    runId: run.runId,
+    environment: run.environment,
+    timestamp: run.timestamp,
+    durationMs: run.durationMs,
+    ready: run.overall ? run.overall.ready : false
+  };
+
+  SECTIONS.forEach(section => {
+    const data = run[section] || {};
+    let score = data.score;
+    if (score == null && data.passed != null) {
+      const total = data.passed + data.failed;
+      score = total > 0 ? Math.round((data.passed / total) * 100) : 0;
+    }
+    summary[section] = { status: data.status || 'unknown', score: score || 0 };
+  });
+
+  return summary;
+}
+
+module.exports = { HealthHistoryStore, parseSince, summarizeRun };
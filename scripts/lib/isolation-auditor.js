@@ -0,0 +1,311 @@
+/**
+ * Schema-wide tenant isolation auditor.
+ *
+ * Discovers every table with a `tenant_id` column through information_schema, works out how
+ * tables without one reach a tenant through their foreign keys, and then checks every foreign
+ * key between tenant-owned rows: a row must never reference a row that belongs to another
+ * tenant (e.g. a tenant_usage_stats row pointing at another tenant's user). It also reports
+ * rows whose tenant no longer exists (orphaned) and rows with no tenant at all.
+ *
+ * Findings carry up to `sampleSize` offending row ids per table so they can be inspected or
+ * repaired:
+ *
+ *   { type: 'cross-tenant'|'orphaned'|'missing-tenant'|'error', table, via, count, rows: [...] }
+ */
+
+const DEFAULTS = {
+  schema: 'public',
+  tenantTable: 'tenants',
+  tenantColumn: 'tenant_id',
+  sampleSize: 20,
+  maxDepth: 3
+};
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Schema-qualified, so audit queries never resolve tables through search_path
+function qualifiedName(schema, table) {
+  return `${quoteIdent(schema)}.${quoteIdent(table)}`;
+}
+
+class IsolationAuditor {
+  constructor(db, options = {}) {
+    this.db = db;
+    const given = Object.entries(options).filter(([, value]) => value !== undefined);
+    this.options = { ...DEFAULTS, ...Object.fromEntries(given) };
+  }
+
+  async discoverColumns() {
+    const result = await this.db.query(`
+      SELECT c.table_name, c.column_name
+      FROM information_schema.columns c
+      JOIN information_schema.tables t
+        ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+      WHERE c.table_schema = $1 AND t.table_type = 'BASE TABLE'
+      ORDER BY c.table_name, c.ordinal_position
+    `, [this.options.schema]);
+
+    const tables = {};
+    result.rows.forEach(row => {
+      (tables[row.table_name] = tables[row.table_name] || []).push(row.column_name);
+    });
+    return tables;
+  }
+
+  async discoverPrimaryKeys() {
+    const result = await this.db.query(`
+      SELECT kcu.table_name, kcu.column_name
+      FROM information_schema.table_constraints tc
+      JOIN information_schema.key_column_usage kcu
+        ON kcu.constraint_schema = tc.constraint_schema AND kcu.constraint_name = tc.constraint_name
+      WHERE tc.table_schema = $1 AND tc.constraint_type = 'PRIMARY KEY'
+      ORDER BY kcu.table_name, kcu.ordinal_position
+    `, [this.options.schema]);
+
+    const keys = {};
+    result.rows.forEach(row => {
+      (keys[row.table_name] = keys[row.table_name] || []).push(row.column_name);
+    });
+    return keys;
+  }
+
+  // Foreign keys with their columns paired in order, composite keys included
+  async discoverForeignKeys() {
+    const result = await this.db.query(`
+      SELECT
+        kcu.constraint_name,
+        kcu.table_name,
+        kcu.column_name,
+        ref.table_name AS referenced_table,
+        ref.column_name AS referenced_column
+      FROM information_schema.referential_constraints rc
+      JOIN information_schema.key_column_usage kcu
+        ON kcu.constraint_schema = rc.constraint_schema AND kcu.constraint_name = rc.constraint_name
+      JOIN information_schema.key_column_usage ref
+        ON ref.constraint_schema = rc.unique_constraint_schema
+        AND ref.constraint_name = rc.unique_constraint_name
+        AND ref.ordinal_position = kcu.position_in_unique_constraint
+      WHERE kcu.table_schema = $1
+      ORDER BY kcu.table_name, kcu.constraint_name, kcu.ordinal_position
+    `, [this.options.schema]);
+
+    const keys = new Map();
+    result.rows.forEach(row => {
+      const id = `${row.table_name}.${row.constraint_name}`;
+      if (!keys.has(id)) {
+        keys.set(id, {
+          name: row.constraint_name,
+          table: row.table_name,
+          columns: [],
+          referencedTable: row.referenced_table,
+          referencedColumns: []
+        });
+      }
+      keys.get(id).columns.push(row.column_name);
+      keys.get(id).referencedColumns.push(row.referenced_column);
+    });
+    return [...keys.values()];
+  }
+
+  async discover() {
+    // Sequential: a single pg client cannot run queries concurrently
+    const columns = await this.discoverColumns();
+    const primaryKeys = await this.discoverPrimaryKeys();
+    const foreignKeys = await this.discoverForeignKeys();
+    const { tenantTable, tenantColumn, maxDepth } = this.options;
+
+    const direct = Object.keys(columns).filter(table => table !== tenantTable && columns[table].includes(tenantColumn));
+
+    // Tables without tenant_id inherit a tenant from the first foreign key chain that leads to one
+    const paths = { [tenantTable]: [] };
+    direct.forEach(table => { paths[table] = []; });
+    for (let depth = 0; depth < maxDepth; depth++) {
+      foreignKeys.forEach(fk => {
+        if (paths[fk.table] === undefined && paths[fk.referencedTable] !== undefined) {
+          paths[fk.table] = [fk, ...paths[fk.referencedTable]];
+        }
+      });
+    }
+
+    return { columns, primaryKeys, foreignKeys, direct, paths };
+  }
+
+  tableName(table) {
+    return qualifiedName(this.options.schema, table);
+  }
+
+  describeForeignKey(fk) {
+    return `${fk.table}(${fk.columns.join(', ')}) -> ${fk.referencedTable}(${fk.referencedColumns.join(', ')})`;
+  }
+
+  rowIdExpression(alias, table, primaryKeys) {
+    const key = primaryKeys[table];
+    if (!key || key.length === 0) {
+      return `${alias}.ctid::text`;
+    }
+    if (key.length === 1) {
+      return `${alias}.${quoteIdent(key[0])}::text`;
+    }
+    return `concat_ws(',', ${key.map(column => `${alias}.${quoteIdent(column)}`).join(', ')})`;
+  }
+
+  // Joins that walk `path` from `alias` and the expression holding the row's tenant
+  tenantExpression(alias, table, path, prefix) {
+    const { tenantTable, tenantColumn } = this.options;
+    const joins = [];
+    let current = alias;
+    let currentTable = table;
+
+    path.forEach((fk, index) => {
+      const next = `${prefix}${index}`;
+      const on = fk.columns
+        .map((column, i) => `${next}.${quoteIdent(fk.referencedColumns[i])} = ${current}.${quoteIdent(column)}`)
+        .join(' AND ');
+      joins.push(`LEFT JOIN ${this.tableName(fk.referencedTable)} ${next} ON ${on}`);
+      current = next;
+      currentTable = fk.referencedTable;
+    });
+
+    const column = currentTable === tenantTable ? 'id' : tenantColumn;
+    return { joins, expression: `${current}.${quoteIdent(column)}::text` };
+  }
+
+  // Foreign keys whose two ends can belong to different tenants without the database noticing
+  auditableForeignKeys(schema) {
+    const { tenantTable, tenantColumn } = this.options;
+
+    return schema.foreignKeys.filter(fk => {
+      if (schema.paths[fk.table] === undefined || schema.paths[fk.referencedTable] === undefined) return false;
+      // tenant_id -> tenants(id) is the tenant itself; dangling ones are reported as orphans
+      if (fk.referencedTable === tenantTable && fk.columns.includes(tenantColumn)) return false;
+      // The foreign key a table inherits its tenant through cannot disagree with itself
+      if (schema.paths[fk.table][0] === fk) return false;
+      // Composite keys that carry tenant_id on both sides are already enforced by the database
+      const tenantIndex = fk.columns.indexOf(tenantColumn);
+      if (tenantIndex !== -1 && fk.referencedColumns[tenantIndex] === tenantColumn) return false;
+      return true;
+    });
+  }
+
+  async runFinding(finding, sql) {
+    try {
+      const result = await this.db.query(sql, [this.options.sampleSize]);
+      const count = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+      if (count === 0) return null;
+
+      return {
+        ...finding,
+        count,
+        rows: result.rows.map(({ total, ...row }) => row)
+      };
+    } catch (error) {
+      return { ...finding, type: 'error', count: 0, rows: [], error: error.message };
+    }
+  }
+
+  async auditForeignKey(fk, schema) {
+    const childId = this.rowIdExpression('c', fk.table, schema.primaryKeys);
+    const parentId = this.rowIdExpression('p', fk.referencedTable, schema.primaryKeys);
+    const child = this.tenantExpression('c', fk.table, schema.paths[fk.table], 'cp');
+    const parent = this.tenantExpression('p', fk.referencedTable, schema.paths[fk.referencedTable], 'pp');
+    const on = fk.columns
+      .map((column, i) => `p.${quoteIdent(fk.referencedColumns[i])} = c.${quoteIdent(column)}`)
+      .join(' AND ');
+
+    return this.runFinding({ type: 'cross-tenant', table: fk.table, via: this.describeForeignKey(fk) }, `
+      SELECT
+        ${childId} AS id,
+        ${child.expression} AS tenant_id,
+        ${parentId} AS referenced_id,
+        ${parent.expression} AS referenced_tenant_id,
+        COUNT(*) OVER () AS total
+      FROM ${this.tableName(fk.table)} c
+      JOIN ${this.tableName(fk.referencedTable)} p ON ${on}
+      ${child.joins.join('\n      ')}
+      ${parent.joins.join('\n      ')}
+      WHERE ${child.expression} <> ${parent.expression}
+      LIMIT $1
+    `);
+  }
+
+  async auditTenantColumn(table, schema) {
+    const { tenantTable, tenantColumn } = this.options;
+    const rowId = this.rowIdExpression('c', table, schema.primaryKeys);
+    const column = `c.${quoteIdent(tenantColumn)}`;
+
+    const orphaned = await this.runFinding({ type: 'orphaned', table, via: `${table}.${tenantColumn}` }, `
+      SELECT ${rowId} AS id, ${column}::text AS tenant_id, COUNT(*) OVER () AS total
+      FROM ${this.tableName(table)} c
+      WHERE ${column} IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM ${this.tableName(tenantTable)} t WHERE t.id::text = ${column}::text)
+      LIMIT $1
+    `);
+
+    const missing = await this.runFinding({ type: 'missing-tenant', table, via: `${table}.${tenantColumn}` }, `
+      SELECT ${rowId} AS id, COUNT(*) OVER () AS total
+      FROM ${this.tableName(table)} c
+      WHERE ${column} IS NULL
+      LIMIT $1
+    `);
+
+    return [orphaned, missing];
+  }
+
+  async audit() {
+    const schema = await this.discover();
+    const foreignKeys = this.auditableForeignKeys(schema);
+    const findings = [];
+
+    for (const table of schema.direct) {
+      findings.push(...await this.auditTenantColumn(table, schema));
+    }
+    for (const fk of foreignKeys) {
+      findings.push(await this.auditForeignKey(fk, schema));
+    }
+
+    const results = findings.filter(Boolean);
+    const orphans = Object.fromEntries(schema.direct.map(table => [table, 0]));
+    results.filter(finding => finding.type === 'orphaned').forEach(finding => {
+      orphans[finding.table] = finding.count;
+    });
+
+    return {
+      schema: this.options.schema,
+      tables: Object.entries(schema.paths)
+        .filter(([table]) => table !== this.options.tenantTable)
+        .map(([table, path]) => ({
+          table,
+          tenantVia: path.length === 0 ? this.options.tenantColumn : path.map(fk => this.describeForeignKey(fk)).join(' / ')
+        })),
+      foreignKeysChecked: foreignKeys.map(fk => this.describeForeignKey(fk)),
+      findings: results,
+      violations: results.filter(finding => finding.type === 'cross-tenant').reduce((sum, finding) => sum + finding.count, 0),
+      orphans
+    };
+  }
+}
+
+// One line per finding, shared by the monitor, the production validator and the audit CLI
+function describeFinding(finding) {
+  if (finding.type === 'error') {
+    return `${finding.via}: audit query failed (${finding.error})`;
+  }
+  const ids = finding.rows.map(row => row.id).join(', ');
+  const more = finding.count > finding.rows.length ? `, +${finding.count - finding.rows.length} more` : '';
+  const label = {
+    'cross-tenant': 'cross-tenant references',
+    orphaned: 'rows with a deleted tenant',
+    'missing-tenant': 'rows without a tenant'
+  }[finding.type];
+
+  return `${finding.table}: ${finding.count} ${label} via ${finding.via} (ids: ${ids}${more})`;
+}
+
+module.exports = {
+  IsolationAuditor,
+  describeFinding,
+  qualifiedName,
+  quoteIdent
+};
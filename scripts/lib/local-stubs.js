@@ -0,0 +1,211 @@
+/**
+ * Stub HTTP services for the local harness.
+ *
+ * Stands in for the shell (port of the `api`/`frontend` endpoints) and for the auth, user,
+ * dashboard and payments services on the ports in the registry's `services`, answering the
+ * health endpoints and every `tenantApi` route from the harness database. Tokens are issued by
+ * `POST /auth/login` for any active user with the shared fixture password; the tenant always
+ * comes from the token, and a mismatching tenant header or path is refused with 403.
+ *
+ * A tenant's `features.harness` can break it on purpose: `{ "dashboard": "error" }` makes the
+ * dashboard overview (the canary probe's route) fail, `{ "subscription": "past_due" }` changes
+ * its subscription status.
+ *
+ * `fault` injects a failure into every request whose path matches `fault.paths` (all paths when
+ * unset): `delay` ms before answering, a `status` instead of the real response, or `hang` to never
+ * answer, leaving the client to time out.
+ *
+ * docker-compose publishes the real services on the `local` registry ports (3000-3004), so the
+ * stubs run on those ports plus PORT_OFFSET; `withStubPorts()` rewrites the registry to match.
+ */
+
+const http = require('http');
+
+const FIXTURE_PASSWORD = 'local-harness';
+const PORT_OFFSET = 100;
+
+const SHELL_HTML = `<!DOCTYPE html>
+<html>
+<head>
+  <title>NiroSubs (local harness)</title>
+  <link rel="stylesheet" href="/assets/index.css">
+  <script type="module" src="/assets/index.js"></script>
+</head>
+<body><div id="root"></div></body>
+</html>`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function send(res, statusCode, body, contentType = 'application/json') {
+  res.writeHead(statusCode, { 'Content-Type': contentType });
+  res.end(contentType === 'application/json' ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+function issueToken(user) {
+  return `local.${Buffer.from(JSON.stringify({ tenantId: user.tenant_id, userId: user.id })).toString('base64url')}`;
+}
+
+function readToken(req) {
+  const match = /^Bearer local\.(.+)$/.exec(req.headers.authorization || '');
+  if (!match) return null;
+  try {
+    return JSON.parse(Buffer.from(match[1], 'base64url').toString('utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// A copy with every http://localhost:<port> URL moved up by PORT_OFFSET
+function withStubPorts(value) {
+  return JSON.parse(JSON.stringify(value).replace(
+    /(:\/\/localhost:)(\d+)/g,
+    (match, prefix, port) => `${prefix}${parseInt(port) + PORT_OFFSET}`
+  ));
+}
+
+class LocalStubs {
+  constructor(db, environment) {
+    this.db = db;
+    this.environment = environment;
+    this.servers = [];
+    this.fault = null;
+  }
+
+  // Every distinct port among the endpoints and services, e.g. 3100-3104 for the local entry with stub ports
+  ports() {
+    const urls = [...Object.values(this.environment.endpoints), ...Object.values(this.environment.services)];
+    return [...new Set(urls.filter(Boolean).map(url => parseInt(new URL(url).port)).filter(Boolean))];
+  }
+
+  async tenant(id) {
+    const result = await this.db.query('SELECT id, name, slug, plan, features FROM tenants WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async login(req, res) {
+    const { email, password, tenantId } = await readBody(req);
+    const result = await this.db.query(
+      "SELECT id, tenant_id, email FROM tenant_users WHERE email = $1 AND status = 'active'",
+      [email]
+    );
+    const user = result.rows[0];
+    if (!user || password !== FIXTURE_PASSWORD || (tenantId && tenantId !== user.tenant_id)) {
+      return send(res, 401, { error: 'Invalid credentials' });
+    }
+    send(res, 200, { token: issueToken(user) });
+  }
+
+  async tenantRoute(req, res, path, session) {
+    const tenant = await this.tenant(session.tenantId);
+    if (!tenant) return send(res, 401, { error: 'Unknown tenant' });
+    const harness = (tenant.features && tenant.features.harness) || {};
+
+    const headerName = (this.environment.tenantApi.tenantHeader || '').toLowerCase();
+    if (headerName && req.headers[headerName] && req.headers[headerName] !== tenant.id) {
+      return send(res, 403, { error: 'Tenant header does not match the token' });
+    }
+
+    const users = async () => (await this.db.query(
+      "SELECT id, email, tenant_id AS \"tenantId\" FROM tenant_users WHERE tenant_id = $1 AND status = 'active' ORDER BY id",
+      [tenant.id]
+    )).rows;
+
+    const tenantUsers = /^\/api\/users\/tenants\/([^/]+)\/users$/.exec(path);
+    if (tenantUsers) {
+      if (decodeURIComponent(tenantUsers[1]) !== tenant.id) return send(res, 403, { error: 'Forbidden' });
+      return send(res, 200, { users: await users() });
+    }
+
+    switch (path) {
+      case '/api/users/tenant':
+        return send(res, 200, { tenantId: tenant.id, name: tenant.name, slug: tenant.slug });
+      case '/api/users/list':
+        return send(res, 200, { users: await users() });
+      case '/api/users/profile': {
+        const profile = (await users()).find(user => user.id === session.userId);
+        return profile ? send(res, 200, profile) : send(res, 404, { error: 'User not found' });
+      }
+      case '/api/dashboard/usage':
+      case '/api/dashboard/overview': {
+        if (harness.dashboard === 'error' && path.endsWith('/overview')) return send(res, 500, { error: 'Injected dashboard failure' });
+        const usage = await this.db.query(`
+          SELECT tenant_id AS "tenantId", stat_date::text AS date, SUM(api_calls_count)::int AS "apiCalls"
+          FROM tenant_usage_stats
+          WHERE tenant_id = $1 AND stat_date > CURRENT_DATE - 30
+          GROUP BY tenant_id, stat_date
+          ORDER BY stat_date
+        `, [tenant.id]);
+        return send(res, 200, path.endsWith('/usage') ? { usage: usage.rows } : { data: usage.rows });
+      }
+      case '/api/payments/subscription':
+        return send(res, 200, {
+          subscription: { tenantId: tenant.id, plan: tenant.plan, status: harness.subscription || 'active' }
+        });
+      default:
+        return send(res, 404, { error: 'Not found' });
+    }
+  }
+
+  async handle(req, res) {
+    const path = new URL(req.url, 'http://localhost').pathname;
+
+    const fault = this.fault;
+    if (fault && (!fault.paths || fault.paths.test(path))) {
+      if (fault.hang) return;
+      if (fault.delay) await sleep(fault.delay);
+      if (fault.status) return send(res, fault.status, { error: 'Injected fault' });
+    }
+
+    if (path === '/health' || path === '/api/health') return send(res, 200, { status: 'ok' });
+    if (path === '/core/health') return send(res, 401, { error: 'Authentication required' });
+    if (path === '/') return send(res, 200, SHELL_HTML, 'text/html');
+    if (path.startsWith('/assets/')) {
+      return send(res, 200, '', path.endsWith('.css') ? 'text/css' : 'application/javascript');
+    }
+    if (path === '/auth/login' && req.method === 'POST') return this.login(req, res);
+
+    const session = readToken(req);
+    if (!session) return send(res, path.startsWith('/api/') ? 401 : 404, { error: 'Not found' });
+    return this.tenantRoute(req, res, path, session);
+  }
+
+  async start() {
+    for (const port of this.ports()) {
+      const server = http.createServer((req, res) => {
+        this.handle(req, res).catch(error => send(res, 500, { error: error.message }));
+      });
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+      });
+      this.servers.push(server);
+    }
+    return this.ports();
+  }
+
+  async stop() {
+    await Promise.all(this.servers.map(server => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })));
+    this.servers = [];
+  }
+}
+
+module.exports = { FIXTURE_PASSWORD, LocalStubs, withStubPorts };
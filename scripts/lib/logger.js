@@ -0,0 +1,183 @@
+/**
+ * Structured logging shared by the validation scripts.
+ *
+ * On a terminal the scripts keep their colored console output. Anywhere else (CI, cron, a
+ * container shipping to CloudWatch Logs), or with LOG_FORMAT=json, `initLogging()` turns every
+ * console call into one JSON line:
+ *
+ *   { timestamp, level, script, environment, runId, parentRunId, message }
+ *
+ * Check results are logged as they are created, adding `check`, `status`, `durationMs` and
+ * `error`. A script that starts other scripts passes `childEnv()` to them: their lines carry its
+ * run id as `parentRunId`, so one deployment validation can be followed end to end.
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { parseArgs } = require('./cli');
+const { DEFAULT_ENVIRONMENT, resolveEnvironmentName } = require('./environments');
+
+// Leading icons the scripts already use for failures and warnings
+const ERROR_ICONS = /^(✗|❌|🚨|💥)/u;
+const WARN_ICONS = /^⚠/u;
+const ANSI = /\x1b\[[0-9;]*m/g;
+// Box-drawing banners around section titles
+const DECORATION = /^[\s═║╔╗╚╝─]+|[\s═║╔╗╚╝─]+$/gu;
+
+let active = null;
+let stdoutReserved = false;
+
+function logFormat() {
+  const format = (process.env.LOG_FORMAT || '').toLowerCase();
+  if (format === 'json' || format === 'text') return format;
+  return process.stdout.isTTY ? 'text' : 'json';
+}
+
+function environmentName(name) {
+  try {
+    return resolveEnvironmentName(name);
+  } catch (error) {
+    return name;
+  }
+}
+
+class Logger {
+  constructor(fields, options = {}) {
+    this.format = options.format || 'json';
+    this.fields = fields;
+    this.startTime = Date.now();
+  }
+
+  get runId() {
+    return this.fields.runId;
+  }
+
+  setContext(fields) {
+    Object.assign(this.fields, fields);
+  }
+
+  write(level, message, extra = {}) {
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level,
+      ...this.fields,
+      message,
+      ...extra
+    });
+    // One stream keeps the lines in order; stderr only when a report owns stdout
+    (stdoutReserved ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  // One console call, one line per text line; ANSI codes and banners are dropped and status icons set the level
+  console(level, args) {
+    const text = util.format(...args).replace(ANSI, '');
+    text.split('\n').map(line => line.replace(DECORATION, '')).filter(Boolean).forEach(message => {
+      let lineLevel = level;
+      if (ERROR_ICONS.test(message)) {
+        lineLevel = 'error';
+      } else if (WARN_ICONS.test(message) && level !== 'error') {
+        lineLevel = 'warn';
+      }
+      this.write(lineLevel, message);
+    });
+  }
+
+  check(result) {
+    const level = { passed: 'info', warning: 'warn', critical: 'error' }[result.status] || 'info';
+    this.write(level, `${result.name}: ${result.status}${result.error ? ` - ${result.error}` : ''}`, {
+      check: result.name,
+      status: result.status,
+      durationMs: result.responseTime,
+      error: result.error || undefined,
+      url: result.url || undefined,
+      statusCode: result.statusCode || undefined
+    });
+  }
+}
+
+function installConsole(logger) {
+  console.log = (...args) => logger.console('info', args);
+  console.info = (...args) => logger.console('info', args);
+  console.debug = (...args) => logger.console('debug', args);
+  console.warn = (...args) => logger.console('warn', args);
+  console.error = (...args) => logger.console('error', args);
+
+  process.on('exit', code => {
+    logger.write(code === 0 ? 'info' : 'error', 'run finished', {
+      argv: process.argv.slice(2),
+      exitCode: code,
+      durationMs: Date.now() - logger.startTime
+    });
+  });
+}
+
+// Sets up the process logger once; later calls return the same logger
+function initLogging(script, options = {}) {
+  if (active) return active;
+
+  const { options: args } = parseArgs();
+  const format = options.format || logFormat();
+  active = new Logger({
+    script,
+    environment: environmentName(options.environment || args.env || process.env.ENVIRONMENT || DEFAULT_ENVIRONMENT),
+    runId: crypto.randomUUID(),
+    parentRunId: process.env.PARENT_RUN_ID || null
+  }, { format });
+
+  if (format === 'json') {
+    installConsole(active);
+  }
+  return active;
+}
+
+// Structured reports own stdout, so log output moves to stderr
+function reserveStdout() {
+  stdoutReserved = true;
+  if (!active || active.format !== 'json') {
+    console.log = console.error;
+    console.info = console.error;
+  }
+}
+
+function logCheck(result) {
+  if (active && active.format === 'json') {
+    active.check(result);
+  }
+}
+
+// Variables for child scripts, so their lines join this run
+function childEnv() {
+  if (!active) return {};
+  return { PARENT_RUN_ID: active.runId, LOG_FORMAT: active.format };
+}
+
+// Passes a child script's JSON lines through unchanged and wraps anything else
+function relayOutput(output, extra = {}) {
+  if (!output) return;
+  String(output).split('\n').filter(line => line.trim()).forEach(line => {
+    if (active && active.format === 'json') {
+      try {
+        const entry = JSON.parse(line);
+        if (entry && entry.runId) {
+          (stdoutReserved ? process.stderr : process.stdout).write(`${line}\n`);
+          return;
+        }
+      } catch (error) {
+        // Not one of our lines; wrapped below
+      }
+      active.write('info', line.replace(ANSI, ''), extra);
+    } else {
+      console.log(line);
+    }
+  });
+}
+
+module.exports = {
+  Logger,
+  childEnv,
+  initLogging,
+  logCheck,
+  logFormat,
+  relayOutput,
+  reserveStdout
+};
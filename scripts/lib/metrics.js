@@ -0,0 +1,233 @@
+/**
+ * Prometheus text-format metrics for the deployment dashboard's `GET /metrics`.
+ *
+ * A deliberately small registry (gauges, counters, histograms) so the scripts need no
+ * client library. `ValidationMetrics.recordRun()` maps a dashboard run onto metric families.
+ */
+
+const { STATUS } = require('./check-runner');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value != null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  entry(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  // Drops every series, e.g. tenants or checks that no longer exist
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics
+      .filter(metric => metric.series.size > 0)
+      .map(metric => [...metric.header(), ...metric.render()].join('\n'))
+      .join('\n') + '\n';
+  }
+}
+
+class ValidationMetrics {
+  constructor() {
+    this.registry = new Registry();
+    const gauge = (name, help) => this.registry.register(new Gauge(name, help));
+
+    this.probeSuccess = gauge('nirosubs_probe_success', 'Whether the last run of a check passed (1), warned (0.5) or failed (0)');
+    this.probeDuration = this.registry.register(new Histogram('nirosubs_probe_duration_seconds', 'Check response time'));
+    this.runs = this.registry.register(new Counter('nirosubs_validation_runs_total', 'Validation runs by outcome'));
+    this.ready = gauge('nirosubs_validation_ready', 'Whether the last validation run found the deployment ready');
+    this.sectionScore = gauge('nirosubs_section_health_score', 'Health score (0-100) of each dashboard section');
+    this.lastRun = gauge('nirosubs_validation_last_run_timestamp_seconds', 'Completion time of the last validation run');
+    this.lastRunDuration = gauge('nirosubs_validation_last_run_duration_seconds', 'Duration of the last validation run');
+    this.tenantUsers = gauge('nirosubs_tenant_users', 'Active users per tenant');
+    this.tenantApiCalls = gauge('nirosubs_tenant_api_calls_30d', 'API calls per tenant over the last 30 days');
+    this.tenantUserUtilization = gauge('nirosubs_tenant_user_utilization_ratio', 'Active users as a fraction of the plan limit');
+    this.tenantApiUtilization = gauge('nirosubs_tenant_api_call_utilization_ratio', 'API calls as a fraction of the plan limit');
+    this.isolationViolations = gauge('nirosubs_tenant_isolation_violations', 'Cross-tenant isolation violations found by the last run');
+    this.orphanRecords = gauge('nirosubs_orphan_records', 'Rows whose tenant no longer exists, per table');
+    this.tenantProbeSuccess = gauge('nirosubs_tenant_probe_success', 'Whether the last synthetic probe of a tenant passed (1), warned (0.5) or failed (0)');
+    this.tenantProbeStepDuration = gauge('nirosubs_tenant_probe_step_duration_seconds', 'Duration of each step of the last synthetic probe of a tenant');
+    this.tenantMetricsTimestamp = gauge('nirosubs_tenant_metrics_last_collected_timestamp_seconds', 'When tenant metrics were last collected');
+  }
+
+  observeChecks(environment, suite, checks) {
+    checks.forEach(check => {
+      const labels = { environment, suite, check: check.name };
+      const success = { [STATUS.PASSED]: 1, [STATUS.WARNING]: 0.5 }[check.status] || 0;
+
+      this.probeSuccess.set(labels, success);
+      if (check.responseTime != null) {
+        this.probeDuration.observe(labels, check.responseTime / 1000);
+      }
+    });
+  }
+
+  recordTenantMetrics(environment, tenantMetrics) {
+    [this.tenantUsers, this.tenantApiCalls, this.tenantUserUtilization, this.tenantApiUtilization, this.orphanRecords,
+      this.tenantProbeSuccess, this.tenantProbeStepDuration]
+      .forEach(metric => metric.reset());
+
+    (tenantMetrics.tenants || []).forEach(tenant => {
+      const labels = { environment, tenant: tenant.name, tenant_id: tenant.id, plan: tenant.plan };
+      this.tenantUsers.set(labels, tenant.users);
+      this.tenantApiCalls.set(labels, tenant.apiCalls);
+      // Unlimited plans have no meaningful utilization
+      if (tenant.maxUsers > 0) this.tenantUserUtilization.set(labels, tenant.users / tenant.maxUsers);
+      if (tenant.maxApiCalls > 0) this.tenantApiUtilization.set(labels, tenant.apiCalls / tenant.maxApiCalls);
+    });
+
+    (tenantMetrics.probes || []).forEach(probe => {
+      const labels = { environment, tenant: probe.details.slug, tenant_id: probe.details.tenantId };
+      this.tenantProbeSuccess.set(labels, { [STATUS.PASSED]: 1, [STATUS.WARNING]: 0.5 }[probe.status] || 0);
+      probe.details.steps
+        .filter(step => !step.skipped)
+        .forEach(step => this.tenantProbeStepDuration.set({ ...labels, step: step.step }, step.responseTime / 1000));
+    });
+
+    const isolation = tenantMetrics.isolation;
+    if (isolation) {
+      this.isolationViolations.set({ environment }, isolation.violations);
+      Object.entries(isolation.orphans || {}).forEach(([table, count]) => {
+        this.orphanRecords.set({ environment, table }, count);
+      });
+    }
+    this.tenantMetricsTimestamp.set({ environment }, Math.floor(Date.now() / 1000));
+  }
+
+  recordRun(environment, results, tenantMetrics = null) {
+    this.probeSuccess.reset();
+
+    this.observeChecks(environment, 'infrastructure', results.infrastructure.checks || []);
+    this.observeChecks(environment, 'tenant-health', results.tenantHealth.checks || []);
+    this.observeChecks(environment, 'integration-tests', results.tests.checks || []);
+
+    this.sectionScore.set({ environment, section: 'infrastructure' }, results.infrastructure.score || 0);
+    this.sectionScore.set({ environment, section: 'tenant-health' }, results.tenantHealth.score || 0);
+    const { passed = 0, failed = 0 } = results.tests;
+    this.sectionScore.set({ environment, section: 'integration-tests' }, passed + failed > 0 ? Math.round((passed / (passed + failed)) * 100) : 0);
+
+    this.ready.set({ environment }, results.overall.ready ? 1 : 0);
+    this.runs.inc({ environment, outcome: results.overall.status });
+    this.lastRun.set({ environment }, Math.floor(new Date(results.lastUpdate || Date.now()).getTime() / 1000));
+    if (results.durationMs != null) {
+      this.lastRunDuration.set({ environment }, results.durationMs / 1000);
+    }
+
+    if (tenantMetrics) {
+      this.recordTenantMetrics(environment, tenantMetrics);
+    }
+  }
+
+  render() {
+    return this.registry.render();
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  ValidationMetrics
+};
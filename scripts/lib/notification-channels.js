@@ -0,0 +1,180 @@
+/**
+ * Delivery channels for the notifier.
+ *
+ * Every channel takes a notification ({ kind, severity, title, message, environment, source, ... })
+ * and rejects when delivery fails. A channel whose required setting is empty is created
+ * disabled, so config/notifications.json can list every channel and let the environment decide.
+ */
+
+const { request } = require('./check-runner');
+
+const SEVERITY_COLORS = {
+  critical: '#e53e3e',
+  warning: '#dd6b20',
+  ok: '#38a169'
+};
+
+function headline(notification) {
+  const prefix = {
+    alert: notification.severity === 'critical' ? '🚨 CRITICAL' : '⚠️ WARNING',
+    reminder: `⏰ REMINDER ${notification.severity.toUpperCase()}`,
+    recovery: '✅ RESOLVED'
+  }[notification.kind];
+
+  return `${prefix} [${notification.environment}] ${notification.title}`;
+}
+
+function plainText(notification) {
+  const lines = [headline(notification), '', notification.message || ''];
+  if (notification.since) lines.push('', `Since: ${notification.since}`);
+  if (notification.url) lines.push(`Link: ${notification.url}`);
+  return lines.join('\n');
+}
+
+async function postJson(url, payload, headers = {}) {
+  const response = await request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: payload
+  });
+
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new Error(`HTTP ${response.statusCode}`);
+  }
+}
+
+class SlackChannel {
+  constructor(name, settings) {
+    this.name = name;
+    this.webhookUrl = settings.webhookUrl;
+    this.enabled = Boolean(this.webhookUrl);
+    this.reason = this.enabled ? null : 'webhookUrl not set';
+  }
+
+  async send(notification) {
+    const color = notification.kind === 'recovery' ? SEVERITY_COLORS.ok : SEVERITY_COLORS[notification.severity];
+
+    await postJson(this.webhookUrl, {
+      text: headline(notification),
+      attachments: [{
+        color,
+        text: notification.message,
+        fields: [
+          { title: 'Source', value: notification.source, short: true },
+          { title: 'Since', value: notification.since || notification.timestamp, short: true }
+        ],
+        ts: Math.floor(new Date(notification.timestamp).getTime() / 1000)
+      }]
+    });
+  }
+}
+
+// Posts the notification as-is for any HTTP receiver (PagerDuty bridges, chat bots, ...)
+class WebhookChannel {
+  constructor(name, settings) {
+    this.name = name;
+    this.url = settings.url;
+    this.headers = settings.headers || {};
+    this.enabled = Boolean(this.url);
+    this.reason = this.enabled ? null : 'url not set';
+  }
+
+  async send(notification) {
+    const { html, ...payload } = notification;
+    await postJson(this.url, payload, this.headers);
+  }
+}
+
+// Publishes to an SNS topic such as the AlertsTopic from monitoring.yaml
+class SnsChannel {
+  constructor(name, settings) {
+    this.name = name;
+    this.topicArn = settings.topicArn;
+    this.region = settings.region || process.env.AWS_REGION || 'us-east-1';
+    this.enabled = Boolean(this.topicArn);
+    this.reason = this.enabled ? null : 'topicArn not set';
+    this.client = null;
+  }
+
+  loadSdk() {
+    try {
+      return require('@aws-sdk/client-sns');
+    } catch (error) {
+      throw new Error('SNS notifications need @aws-sdk/client-sns installed');
+    }
+  }
+
+  async send(notification) {
+    const { SNSClient, PublishCommand } = this.loadSdk();
+    this.client = this.client || new SNSClient({ region: this.region });
+
+    await this.client.send(new PublishCommand({
+      TopicArn: this.topicArn,
+      // SNS subjects are limited to 100 ASCII characters
+      Subject: headline(notification).replace(/[^\x20-\x7e]/g, '').trim().substring(0, 100),
+      Message: plainText(notification),
+      MessageAttributes: {
+        severity: { DataType: 'String', StringValue: notification.severity },
+        kind: { DataType: 'String', StringValue: notification.kind },
+        environment: { DataType: 'String', StringValue: notification.environment }
+      }
+    }));
+  }
+}
+
+class EmailChannel {
+  constructor(name, settings) {
+    this.name = name;
+    this.to = settings.to;
+    this.from = settings.from || (settings.smtp && settings.smtp.user);
+    this.smtp = settings.smtp || {};
+    this.enabled = Boolean(this.to && this.smtp.user && this.smtp.password);
+    this.reason = this.enabled ? null : 'to or SMTP credentials not set';
+    this.transporter = null;
+  }
+
+  async send(notification) {
+    if (!this.transporter) {
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport({
+        host: this.smtp.host || 'smtp.gmail.com',
+        port: parseInt(this.smtp.port) || 587,
+        secure: false,
+        auth: { user: this.smtp.user, pass: this.smtp.password }
+      });
+    }
+
+    await this.transporter.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: headline(notification),
+      text: plainText(notification),
+      html: notification.html || undefined
+    });
+  }
+}
+
+const CHANNEL_TYPES = {
+  slack: SlackChannel,
+  webhook: WebhookChannel,
+  sns: SnsChannel,
+  email: EmailChannel
+};
+
+function createChannel(name, settings) {
+  const Channel = CHANNEL_TYPES[settings.type];
+  if (!Channel) {
+    throw new Error(`Unknown notification channel type "${settings.type}" for ${name}. Expected one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+  }
+  return new Channel(name, settings);
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  createChannel,
+  headline,
+  plainText
+};
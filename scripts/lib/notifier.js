@@ -0,0 +1,240 @@
+/**
+ * Alert notifier shared by the tenant monitor and the deployment dashboard.
+ *
+ * Callers report the current state of each thing they watch as events:
+ *
+ *   { key, severity: 'critical'|'warning'|'ok', title, message, environment, source, url?, html? }
+ *
+ * The notifier only sends when an event's severity changes (alert) or returns to ok (recovery),
+ * repeats unresolved alerts every `reminderInterval`, skips events inside a silencing window,
+ * and routes each notification to channels by severity. Rules live in config/notifications.json;
+ * `${VAR}` and `${VAR:-default}` in that file are read from the environment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STATUS } = require('./check-runner');
+const { createChannel } = require('./notification-channels');
+
+const CONFIG_FILE = process.env.NOTIFICATIONS_FILE || path.resolve(__dirname, '..', '..', 'config', 'notifications.json');
+const DEFAULT_STATE_FILE = path.join(
+  process.env.HEALTH_HISTORY_DIR || path.resolve(__dirname, '..', '..', '.health-history'),
+  'notifier-state.json'
+);
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseDuration(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+)([smhd])$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  return parseInt(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function interpolate(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) =>
+      process.env[name] || fallback || ''
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolate);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item)]));
+  }
+  return value;
+}
+
+function loadNotificationConfig(file = CONFIG_FILE) {
+  if (!fs.existsSync(file)) {
+    return { channels: {}, routes: [], silences: [] };
+  }
+  return interpolate(JSON.parse(fs.readFileSync(file, 'utf-8')));
+}
+
+// "22:00-06:00" (UTC) wraps past midnight when the end is before the start
+function inDailyWindow(window, at) {
+  const [start, end] = window.split('-').map(time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  });
+  const minute = at.getUTCHours() * 60 + at.getUTCMinutes();
+
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+function matchesList(list, value) {
+  return !list || [].concat(list).includes(value);
+}
+
+// Maps CheckResults onto notifier events, one key per check
+function eventsFromChecks(checks, { source, environment }) {
+  return checks.map(check => ({
+    key: `${environment}/${source}/${check.name}`,
+    severity: check.status === STATUS.PASSED ? 'ok' : check.status,
+    title: check.name,
+    message: check.error || (check.status === STATUS.PASSED ? 'Check passed' : 'Check failed'),
+    environment,
+    source,
+    url: check.url || undefined,
+    timestamp: check.timestamp
+  }));
+}
+
+class Notifier {
+  constructor(options = {}) {
+    const config = options.config || loadNotificationConfig(options.configFile);
+
+    this.channels = Object.entries(config.channels || {}).map(([name, settings]) => createChannel(name, settings));
+    this.routes = config.routes && config.routes.length > 0
+      ? config.routes
+      : [{ severity: ['critical', 'warning', 'recovery'], channels: this.channels.map(channel => channel.name) }];
+    this.silences = config.silences || [];
+    this.reminderInterval = config.reminderInterval || null;
+    this.stateFile = options.stateFile !== undefined ? options.stateFile : DEFAULT_STATE_FILE;
+    this.state = this.loadState();
+  }
+
+  get enabledChannels() {
+    return this.channels.filter(channel => channel.enabled);
+  }
+
+  describe() {
+    return this.channels
+      .map(channel => channel.enabled ? channel.name : `${channel.name} (off: ${channel.reason})`)
+      .join(', ') || 'none';
+  }
+
+  loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf-8'));
+    } catch (error) {
+      console.error(`🔔 Ignoring unreadable notifier state ${this.stateFile}: ${error.message}`);
+      return {};
+    }
+  }
+
+  saveState() {
+    if (!this.stateFile) return;
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+  }
+
+  reminderFor(severity) {
+    const interval = this.reminderInterval;
+    return parseDuration(interval && typeof interval === 'object' ? interval[severity] : interval);
+  }
+
+  silenceFor(event, at) {
+    return this.silences.find(silence => {
+      if (silence.match && !new RegExp(silence.match).test(event.key)) return false;
+      if (!matchesList(silence.severity, event.severity)) return false;
+      if (!matchesList(silence.environment, event.environment)) return false;
+      if (silence.from && at < new Date(silence.from)) return false;
+      if (silence.until && at >= new Date(silence.until)) return false;
+      if (silence.daily && !inDailyWindow(silence.daily, at)) return false;
+      return true;
+    }) || null;
+  }
+
+  channelsFor(notification) {
+    const routeSeverity = notification.kind === 'recovery' ? 'recovery' : notification.severity;
+    const names = new Set();
+
+    this.routes
+      .filter(route => matchesList(route.severity, routeSeverity))
+      .filter(route => matchesList(route.environment, notification.environment))
+      .filter(route => matchesList(route.source, notification.source))
+      .forEach(route => route.channels.forEach(name => names.add(name)));
+
+    return this.enabledChannels.filter(channel => names.has(channel.name));
+  }
+
+  // Decides whether an event needs a notification and updates the stored state
+  evaluate(event, at) {
+    const now = at.toISOString();
+    const previous = this.state[event.key];
+
+    if (event.severity === 'ok') {
+      delete this.state[event.key];
+      if (!previous) return null;
+      // Nothing was sent for an alert raised entirely inside a silence, so stay quiet now too
+      if (!previous.lastNotified) return null;
+      return { kind: 'recovery', previousSeverity: previous.severity, since: previous.since };
+    }
+
+    if (!previous || previous.severity !== event.severity) {
+      this.state[event.key] = { severity: event.severity, since: now, lastNotified: null };
+      return { kind: 'alert', previousSeverity: previous ? previous.severity : null, since: now };
+    }
+
+    const reminder = this.reminderFor(event.severity);
+    if (!previous.lastNotified) {
+      // Raised while silenced; send once the silence is over
+      return { kind: 'alert', previousSeverity: null, since: previous.since };
+    }
+    if (reminder && at - new Date(previous.lastNotified) >= reminder) {
+      return { kind: 'reminder', previousSeverity: previous.severity, since: previous.since };
+    }
+    return null;
+  }
+
+  async notify(events, at = new Date()) {
+    const sent = [];
+
+    for (const event of events) {
+      const decision = this.evaluate(event, at);
+      if (!decision) continue;
+
+      const notification = { ...event, ...decision, timestamp: at.toISOString() };
+      const silence = this.silenceFor(notification, at);
+      if (silence) {
+        console.log(`🔕 Silenced ${notification.key}${silence.reason ? ` (${silence.reason})` : ''}`);
+        continue;
+      }
+
+      const channels = this.channelsFor(notification);
+      const delivered = [];
+      for (const channel of channels) {
+        try {
+          await channel.send(notification);
+          delivered.push(channel.name);
+        } catch (error) {
+          console.error(`🔔 ${channel.name} notification failed for ${notification.key}: ${error.message}`);
+        }
+      }
+
+      // If every channel failed, leave the alert pending so the next run retries it
+      if (this.state[event.key] && (channels.length === 0 || delivered.length > 0)) {
+        this.state[event.key].lastNotified = notification.timestamp;
+      }
+      if (delivered.length > 0) {
+        console.log(`🔔 ${notification.kind} ${notification.key} sent via ${delivered.join(', ')}`);
+      }
+      sent.push({ ...notification, channels: delivered });
+    }
+
+    try {
+      this.saveState();
+    } catch (error) {
+      console.error(`🔔 Failed to save notifier state: ${error.message}`);
+    }
+    return sent;
+  }
+}
+
+module.exports = {
+  Notifier,
+  eventsFromChecks,
+  inDailyWindow,
+  loadNotificationConfig,
+  parseDuration
+};
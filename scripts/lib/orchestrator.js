@@ -0,0 +1,290 @@
+/**
+ * Dependency-graph orchestrator for validation steps.
+ *
+ * A step is `{ id, name, dependsOn, run(context), critical, timeout, retries, retryDelay }`.
+ * Steps start as soon as every step they depend on has passed, at most `concurrency` at a time;
+ * a step whose dependency did not pass is skipped. `run()` gets `{ signal, attempt, results }`
+ * and fails by throwing; an error with `retryable: false` fails the step without retries. The signal aborts on the step's timeout or on `cancel()`, and a step that
+ * ignores it is abandoned at that point, so one stuck step cannot hold up the graph.
+ *
+ * Progress is emitted as 'step-start', 'step-retry' and 'step-finish' events, and `run()` resolves
+ * with one aggregated result:
+ *
+ *   { status, passed, cancelled, startedAt, finishedAt, durationMs, steps: [StepResult] }
+ */
+
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+
+const STEP_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed-out',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled'
+};
+
+const DEFAULTS = {
+  concurrency: 3,
+  timeout: 300000,
+  retries: 0,
+  retryDelay: 1000
+};
+
+// Resolves after `ms`, or early when the signal aborts
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+function rejectOnAbort(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+class Orchestrator extends EventEmitter {
+  constructor(steps, options = {}) {
+    super();
+    const given = Object.entries(options).filter(([, value]) => value != null);
+    this.options = { ...DEFAULTS, ...Object.fromEntries(given) };
+    this.steps = steps.map(step => ({ dependsOn: [], critical: true, ...step }));
+    this.results = new Map();
+    this.controller = new AbortController();
+    this.validate();
+  }
+
+  // Rejects duplicate ids, unknown dependencies and cycles before anything runs
+  validate() {
+    const ids = new Set();
+    this.steps.forEach(step => {
+      if (ids.has(step.id)) throw new Error(`Duplicate step "${step.id}"`);
+      ids.add(step.id);
+    });
+    this.steps.forEach(step => step.dependsOn.forEach(dependency => {
+      if (!ids.has(dependency)) throw new Error(`Step "${step.id}" depends on unknown step "${dependency}"`);
+    }));
+
+    const byId = new Map(this.steps.map(step => [step.id, step]));
+    const state = new Map();
+    const visit = (id, path) => {
+      if (state.get(id) === 'done') return;
+      if (state.get(id) === 'visiting') {
+        throw new Error(`Dependency cycle: ${[...path, id].join(' -> ')}`);
+      }
+      state.set(id, 'visiting');
+      byId.get(id).dependsOn.forEach(dependency => visit(dependency, [...path, id]));
+      state.set(id, 'done');
+    };
+    this.steps.forEach(step => visit(step.id, []));
+  }
+
+  get cancelled() {
+    return this.controller.signal.aborted;
+  }
+
+  cancel(reason = 'Cancelled') {
+    if (!this.cancelled) {
+      this.controller.abort(new Error(reason));
+    }
+  }
+
+  async attempt(step, attempt) {
+    const timeout = step.timeout || this.options.timeout;
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(new Error(`Timed out after ${timeout}ms`));
+    }, timeout);
+    const onCancel = () => controller.abort(this.controller.signal.reason);
+    this.controller.signal.addEventListener('abort', onCancel, { once: true });
+
+    try {
+      const value = await Promise.race([
+        Promise.resolve().then(() => step.run({ signal: controller.signal, attempt, results: this.results })),
+        rejectOnAbort(controller.signal)
+      ]);
+      return { status: STEP_STATUS.PASSED, value };
+    } catch (error) {
+      let status = STEP_STATUS.FAILED;
+      if (timedOut) {
+        status = STEP_STATUS.TIMED_OUT;
+      } else if (this.cancelled) {
+        status = STEP_STATUS.CANCELLED;
+      }
+      return { status, error: error.message, output: error.output, retryable: error.retryable !== false };
+    } finally {
+      clearTimeout(timer);
+      this.controller.signal.removeEventListener('abort', onCancel);
+    }
+  }
+
+  async runStep(step) {
+    const retries = step.retries != null ? step.retries : this.options.retries;
+    const retryDelay = step.retryDelay != null ? step.retryDelay : this.options.retryDelay;
+    const startTime = Date.now();
+    this.emit('step-start', step);
+
+    let outcome;
+    let attempts = 0;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      attempts = attempt;
+      const { retryable, ...result } = await this.attempt(step, attempt);
+      outcome = result;
+      if (outcome.status === STEP_STATUS.PASSED || outcome.status === STEP_STATUS.CANCELLED || !retryable || attempt > retries) {
+        break;
+      }
+      this.emit('step-retry', step, { attempt, error: outcome.error, retryDelay });
+      await sleep(retryDelay, this.controller.signal);
+      if (this.cancelled) {
+        outcome = { status: STEP_STATUS.CANCELLED, error: this.controller.signal.reason.message };
+        break;
+      }
+    }
+
+    this.finish(step, { ...outcome, attempts, startedAt: new Date(startTime).toISOString(), durationMs: Date.now() - startTime });
+  }
+
+  finish(step, outcome) {
+    const result = { id: step.id, name: step.name || step.id, critical: step.critical, attempts: 0, durationMs: 0, ...outcome };
+    this.results.set(step.id, result);
+    this.emit('step-finish', step, result);
+  }
+
+  summary(startTime) {
+    const steps = this.steps.map(step => this.results.get(step.id));
+    const passed = !this.cancelled && steps.every(result => !result.critical || result.status === STEP_STATUS.PASSED);
+    return {
+      status: this.cancelled ? 'cancelled' : passed ? 'passed' : 'failed',
+      passed,
+      cancelled: this.cancelled,
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startTime,
+      steps
+    };
+  }
+
+  run() {
+    const startTime = Date.now();
+    const pending = new Set(this.steps.map(step => step.id));
+    const running = new Set();
+
+    return new Promise(resolve => {
+      const schedule = () => {
+        // Skips can unblock (or skip) later steps, so repeat until nothing changes
+        let changed = true;
+        while (changed) {
+          changed = false;
+          for (const step of this.steps) {
+            if (!pending.has(step.id)) continue;
+            const dependencies = step.dependsOn.map(id => this.results.get(id));
+
+            if (this.cancelled) {
+              pending.delete(step.id);
+              this.finish(step, { status: STEP_STATUS.CANCELLED, error: this.controller.signal.reason.message });
+              changed = true;
+              continue;
+            }
+            if (dependencies.some(result => !result)) continue;
+
+            const blocker = step.dependsOn.find(id => this.results.get(id).status !== STEP_STATUS.PASSED);
+            if (blocker) {
+              pending.delete(step.id);
+              this.finish(step, { status: STEP_STATUS.SKIPPED, error: `${blocker} ${this.results.get(blocker).status}` });
+              changed = true;
+              continue;
+            }
+            if (running.size >= this.options.concurrency) continue;
+
+            pending.delete(step.id);
+            running.add(step.id);
+            this.runStep(step).then(() => {
+              running.delete(step.id);
+              schedule();
+            });
+          }
+        }
+
+        if (pending.size === 0 && running.size === 0) {
+          resolve(this.summary(startTime));
+        }
+      };
+
+      this.controller.signal.addEventListener('abort', schedule, { once: true });
+      schedule();
+    });
+  }
+}
+
+const WINDOWS = process.platform === 'win32';
+
+// cmd.exe joins the arguments with spaces, so ones with spaces or quotes are quoted
+function shellArg(arg) {
+  return /[\s"]/.test(arg) ? `"${String(arg).replace(/"/g, '""')}"` : arg;
+}
+
+// Runs a command without blocking the event loop. Resolves with its exit code and output, calls
+// onLine for every output line as it arrives, and kills the process when the signal aborts.
+// On Windows it goes through the shell, which resolves `npm` and other .cmd shims.
+function runCommand(command, args = [], options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, WINDOWS ? args.map(shellArg) : args, {
+      cwd: options.cwd,
+      env: options.env || process.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      shell: WINDOWS
+    });
+    const output = { stdout: '', stderr: '' };
+
+    ['stdout', 'stderr'].forEach(stream => {
+      let partial = '';
+      child[stream].setEncoding('utf-8');
+      child[stream].on('data', chunk => {
+        output[stream] += chunk;
+        if (!options.onLine) return;
+        const lines = (partial + chunk).split('\n');
+        partial = lines.pop();
+        lines.forEach(line => options.onLine(line, stream));
+      });
+      child[stream].on('end', () => {
+        if (partial && options.onLine) options.onLine(partial, stream);
+      });
+    });
+
+    // Killing the shell would leave the command running, so Windows kills the whole tree
+    const kill = () => {
+      if (!WINDOWS) return child.kill('SIGTERM');
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' }).on('error', () => child.kill());
+    };
+    if (options.signal) {
+      if (options.signal.aborted) kill();
+      options.signal.addEventListener('abort', kill, { once: true });
+    }
+
+    child.on('error', error => {
+      if (options.signal) options.signal.removeEventListener('abort', kill);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      if (options.signal) options.signal.removeEventListener('abort', kill);
+      resolve({ code, signal, ...output });
+    });
+  });
+}
+
+module.exports = {
+  Orchestrator,
+  STEP_STATUS,
+  runCommand,
+  sleep
+};
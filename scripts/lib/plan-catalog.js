@@ -0,0 +1,103 @@
+/**
+ * Plan limit catalog.
+ * Reads config/plans.json, which gives every plan its default limits (users, apiCalls,
+ * storageGb, seats) and the warning/critical utilization ratios. A tenant's own `limits`
+ * column is merged on top of its plan's defaults, so both tenant checkers evaluate the same
+ * effective limits. A `null` limit, or a legacy `-1` override, means unlimited.
+ */
+
+const path = require('path');
+
+const PLANS_FILE = process.env.PLANS_FILE || path.resolve(__dirname, '..', '..', 'config', 'plans.json');
+const DEFAULT_THRESHOLDS = { warning: 0.8, critical: 1.0 };
+const METRICS = ['users', 'apiCalls', 'storageGb', 'seats'];
+
+// Ordered so the worst status of a tenant's metrics can be picked with Math.max
+const LIMIT_STATUS = ['unlimited', 'ok', 'high', 'exceeded'];
+
+function loadPlanCatalog(file = PLANS_FILE) {
+  return require(file);
+}
+
+function normalizeLimit(value) {
+  if (value === null || value === undefined) return null;
+  const limit = Number(value);
+  if (Number.isNaN(limit) || limit < 0) return null;
+  return limit;
+}
+
+class PlanCatalog {
+  constructor(catalog = loadPlanCatalog()) {
+    this.plans = catalog.plans || {};
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...catalog.thresholds };
+  }
+
+  plan(name) {
+    return this.plans[String(name || '').toLowerCase()] || null;
+  }
+
+  // Plan defaults with the tenant's own overrides on top; unknown plans get only the overrides
+  limitsFor(tenant) {
+    const plan = this.plan(tenant.plan);
+    const unlimited = Object.fromEntries(METRICS.map(metric => [metric, null]));
+    const merged = { ...unlimited, ...(plan ? plan.limits : {}), ...(tenant.limits || {}) };
+    return Object.fromEntries(Object.entries(merged).map(([key, value]) => [key, normalizeLimit(value)]));
+  }
+
+  thresholdsFor(tenant) {
+    const plan = this.plan(tenant.plan);
+    return { ...this.thresholds, ...(plan ? plan.thresholds : {}) };
+  }
+
+  /**
+   * Compares measured usage (e.g. `{ users: 12, apiCalls: 40000 }`) with the tenant's limits.
+   * Metrics without a limit are unlimited; the tenant's status is its worst metric.
+   */
+  evaluate(tenant, usage) {
+    const limits = this.limitsFor(tenant);
+    const thresholds = this.thresholdsFor(tenant);
+
+    const metrics = {};
+    Object.entries(usage).forEach(([metric, used]) => {
+      const limit = limits[metric] === undefined ? null : limits[metric];
+      if (limit === null) {
+        metrics[metric] = { used, limit, ratio: null, status: 'unlimited' };
+        return;
+      }
+
+      const ratio = limit === 0 ? (used > 0 ? Infinity : 0) : used / limit;
+      let status = 'ok';
+      if (ratio >= thresholds.critical) {
+        status = 'exceeded';
+      } else if (ratio >= thresholds.warning) {
+        status = 'high';
+      }
+      metrics[metric] = { used, limit, ratio, status };
+    });
+
+    const worst = Math.max(0, ...Object.values(metrics).map(metric => LIMIT_STATUS.indexOf(metric.status)));
+    return {
+      plan: tenant.plan,
+      knownPlan: this.plan(tenant.plan) !== null,
+      limits,
+      thresholds,
+      metrics,
+      status: LIMIT_STATUS[worst]
+    };
+  }
+}
+
+// "12/25 (48%)" or "12/∞" for console output
+function formatUsage(metric) {
+  if (metric.limit === null) return `${metric.used}/∞`;
+  return `${metric.used}/${metric.limit} (${Math.round(metric.ratio * 100)}%)`;
+}
+
+module.exports = {
+  LIMIT_STATUS,
+  METRICS,
+  PlanCatalog,
+  formatUsage,
+  loadPlanCatalog,
+  normalizeLimit
+};
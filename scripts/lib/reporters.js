@@ -0,0 +1,151 @@
+/**
+ * Structured report output for the validation scripts.
+ *
+ * `--format json|junit|tap|text` picks the report format and `--output <file>` where it goes.
+ * Without `--output`, a structured report is written to stdout and the scripts' colored
+ * progress log moves to stderr so the two never mix.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./cli');
+const { STATUS, summarize } = require('./check-runner');
+const { reserveStdout } = require('./logger');
+
+const FORMATS = ['text', 'json', 'junit', 'tap'];
+
+function getReportOptions(argv = process.argv.slice(2)) {
+  const { options } = parseArgs(argv);
+  const format = options.format || 'text';
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+  }
+  return { format, output: options.output || null };
+}
+
+// Call before any logging; returns the options to pass to writeReport()
+function prepareReporting(argv = process.argv.slice(2)) {
+  const options = getReportOptions(argv);
+  if (options.format !== 'text' && !options.output) {
+    reserveStdout();
+  }
+  return options;
+}
+
+function buildReport(suite, environment, checks, extra = {}) {
+  return {
+    suite,
+    environment,
+    generatedAt: new Date().toISOString(),
+    ...extra,
+    summary: summarize(checks),
+    checks
+  };
+}
+
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function formatJUnit(report) {
+  const { summary } = report;
+  const totalTime = report.checks.reduce((sum, check) => sum + (check.responseTime || 0), 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(report.suite)}" tests="${summary.total}" failures="${summary.failed}" time="${seconds(totalTime)}">`,
+    `  <testsuite name="${escapeXml(report.suite)}.${escapeXml(report.environment)}" tests="${summary.total}" failures="${summary.failed}" errors="0" skipped="0" time="${seconds(totalTime)}" timestamp="${report.generatedAt}">`
+  ];
+
+  report.checks.forEach(check => {
+    const classname = `${report.suite}.${check.category || 'checks'}`;
+    lines.push(`    <testcase classname="${escapeXml(classname)}" name="${escapeXml(check.name)}" time="${seconds(check.responseTime)}">`);
+    if (check.status === STATUS.CRITICAL) {
+      lines.push(`      <failure type="critical" message="${escapeXml(check.error)}">${escapeXml(check.error)}</failure>`);
+    } else if (check.status === STATUS.WARNING) {
+      // JUnit has no warning state; keep the case passing and attach the reason
+      lines.push(`      <system-out>WARNING: ${escapeXml(check.error)}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  });
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+function formatTap(report) {
+  const lines = ['TAP version 13', `1..${report.checks.length}`];
+
+  report.checks.forEach((check, index) => {
+    const number = index + 1;
+    const name = check.name.replace(/#/g, '\\#');
+    if (check.status === STATUS.PASSED) {
+      lines.push(`ok ${number} - ${name}`);
+    } else if (check.status === STATUS.WARNING) {
+      // TODO marks a non-blocking failure for TAP consumers
+      lines.push(`not ok ${number} - ${name} # TODO warning: ${check.error}`);
+    } else {
+      lines.push(`not ok ${number} - ${name}`);
+      lines.push('  ---');
+      lines.push(`  message: ${JSON.stringify(check.error || 'failed')}`);
+      lines.push(`  severity: ${check.status}`);
+      if (check.url) lines.push(`  url: ${JSON.stringify(check.url)}`);
+      if (check.statusCode) lines.push(`  statusCode: ${check.statusCode}`);
+      if (check.responseTime != null) lines.push(`  responseTime: ${check.responseTime}`);
+      lines.push('  ...');
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function formatText(report) {
+  const { summary } = report;
+  const lines = [`${report.suite} (${report.environment}) - ${report.generatedAt}`];
+
+  report.checks.forEach(check => {
+    const timing = check.responseTime != null ? ` (${check.responseTime}ms)` : '';
+    const reason = check.error ? ` - ${check.error}` : '';
+    lines.push(`${check.status.toUpperCase().padEnd(8)} ${check.name}${reason}${timing}`);
+  });
+
+  lines.push(`Passed: ${summary.passed}, Warnings: ${summary.warnings}, Failed: ${summary.failed}, Score: ${summary.healthScore}%`);
+  return lines.join('\n') + '\n';
+}
+
+function formatReport(report, format) {
+  switch (format) {
+    case 'json': return JSON.stringify(report, null, 2) + '\n';
+    case 'junit': return formatJUnit(report);
+    case 'tap': return formatTap(report);
+    default: return formatText(report);
+  }
+}
+
+// Synchronous so the report is complete even when the caller exits right after
+function writeReport(report, options) {
+  if (options.output) {
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, formatReport(report, options.format));
+  } else if (options.format !== 'text') {
+    fs.writeSync(1, formatReport(report, options.format));
+  }
+}
+
+module.exports = {
+  FORMATS,
+  buildReport,
+  formatReport,
+  getReportOptions,
+  prepareReporting,
+  writeReport
+};
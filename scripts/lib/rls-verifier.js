@@ -0,0 +1,214 @@
+/**
+ * Postgres row-level-security verifier.
+ *
+ * For every tenant-scoped table (one with a `tenant_id` column) it confirms from the catalog that
+ * RLS is enabled and forced (`pg_class.relrowsecurity` / `relforcerowsecurity`) and that a policy
+ * in `pg_policies` compares `tenant_id` with the session tenant setting. It then proves the
+ * policies work: inside a rolled-back transaction it switches to the application role, sets the
+ * tenant context to one tenant and counts how many of another tenant's rows are still visible.
+ * When a single tenant owns all the rows, the probe runs as another tenant from `tenants`, which
+ * must see none of them. A table with rows that cannot be probed fails; only empty tables pass
+ * unproven.
+ *
+ * Superusers and BYPASSRLS roles skip every policy, so the proof needs an application role that
+ * is neither; without one the catalog checks still run and the proof is reported as skipped.
+ */
+
+const { IsolationAuditor, quoteIdent } = require('./isolation-auditor');
+
+const DEFAULTS = {
+  schema: 'public',
+  tenantColumn: 'tenant_id',
+  tenantSetting: 'app.current_tenant',
+  appRole: null
+};
+
+class RlsVerifier {
+  constructor(db, options = {}) {
+    this.db = db;
+    const given = Object.entries(options).filter(([, value]) => value != null);
+    this.options = { ...DEFAULTS, ...Object.fromEntries(given) };
+  }
+
+  async tenantTables() {
+    const columns = await new IsolationAuditor(this.db, { schema: this.options.schema }).discoverColumns();
+    return Object.keys(columns).filter(table => table !== 'tenants' && columns[table].includes(this.options.tenantColumn));
+  }
+
+  async tableSecurity(tables) {
+    const result = await this.db.query(`
+      SELECT c.relname, c.relrowsecurity, c.relforcerowsecurity
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1 AND c.relkind IN ('r', 'p') AND c.relname = ANY($2)
+    `, [this.options.schema, tables]);
+
+    return Object.fromEntries(result.rows.map(row => [row.relname, row]));
+  }
+
+  async policies() {
+    const result = await this.db.query(`
+      SELECT tablename, policyname, cmd, roles, qual, with_check
+      FROM pg_policies
+      WHERE schemaname = $1
+    `, [this.options.schema]);
+
+    const byTable = {};
+    result.rows.forEach(row => {
+      (byTable[row.tablename] = byTable[row.tablename] || []).push(row);
+    });
+    return byTable;
+  }
+
+  // A tenant policy must read the session setting and compare it with the tenant column
+  isTenantPolicy(policy) {
+    const { tenantSetting, tenantColumn } = this.options;
+    const expression = `${policy.qual || ''} ${policy.with_check || ''}`;
+    return expression.includes(`current_setting('${tenantSetting}'`) && expression.includes(tenantColumn);
+  }
+
+  async role(name) {
+    const result = await this.db.query(
+      'SELECT rolname, rolsuper, rolbypassrls FROM pg_roles WHERE rolname = COALESCE($1, current_user)',
+      [name]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Two tenants that own rows in the table, read as the connecting (usually privileged) user
+  async sampleTenants(table) {
+    const column = quoteIdent(this.options.tenantColumn);
+    const result = await this.db.query(`
+      SELECT ${column}::text AS tenant_id, COUNT(*) AS row_count
+      FROM ${quoteIdent(this.options.schema)}.${quoteIdent(table)}
+      WHERE ${column} IS NOT NULL
+      GROUP BY 1
+      ORDER BY 2 DESC
+      LIMIT 2
+    `);
+    return result.rows.map(row => ({ tenantId: row.tenant_id, rows: parseInt(row.row_count) }));
+  }
+
+  // Any tenant other than `tenantId`, to probe a table that only one tenant has rows in
+  async otherTenant(tenantId) {
+    const result = await this.db.query(`
+      SELECT id::text AS tenant_id
+      FROM ${quoteIdent(this.options.schema)}.tenants
+      WHERE id::text <> $1
+      ORDER BY id
+      LIMIT 1
+    `, [tenantId]);
+    return result.rows[0] ? { tenantId: result.rows[0].tenant_id, rows: 0 } : null;
+  }
+
+  async probe(table, tenant) {
+    const column = quoteIdent(this.options.tenantColumn);
+
+    await this.db.query('BEGIN');
+    try {
+      if (this.options.appRole) {
+        await this.db.query(`SET LOCAL ROLE ${quoteIdent(this.options.appRole)}`);
+      }
+      await this.db.query('SELECT set_config($1, $2, true)', [this.options.tenantSetting, tenant.tenantId]);
+
+      const result = await this.db.query(`
+        SELECT
+          COUNT(*) AS visible,
+          COUNT(*) FILTER (WHERE ${column}::text IS DISTINCT FROM $1) AS foreign_rows
+        FROM ${quoteIdent(this.options.schema)}.${quoteIdent(table)}
+      `, [tenant.tenantId]);
+
+      return {
+        visible: parseInt(result.rows[0].visible),
+        foreignRows: parseInt(result.rows[0].foreign_rows)
+      };
+    } finally {
+      await this.db.query('ROLLBACK');
+    }
+  }
+
+  async verifyTable(table, security, policies, canProve) {
+    const entry = {
+      table,
+      rlsEnabled: Boolean(security && security.relrowsecurity),
+      rlsForced: Boolean(security && security.relforcerowsecurity),
+      policies: policies.map(policy => policy.policyname),
+      tenantPolicy: policies.some(policy => this.isTenantPolicy(policy)),
+      problems: [],
+      notes: []
+    };
+
+    if (!entry.rlsEnabled) entry.problems.push('row level security is not enabled');
+    if (entry.rlsEnabled && !entry.rlsForced) entry.problems.push('row level security is not forced for the table owner');
+    if (!entry.tenantPolicy) entry.problems.push(`no policy compares ${this.options.tenantColumn} with current_setting('${this.options.tenantSetting}')`);
+
+    if (!canProve) {
+      return entry;
+    }
+
+    try {
+      const owners = await this.sampleTenants(table);
+      if (owners.length === 0) {
+        entry.notes.push('no tenant owns rows; visibility not proven');
+        return entry;
+      }
+
+      const tenant = owners.length > 1 ? owners[0] : await this.otherTenant(owners[0].tenantId);
+      if (!tenant) {
+        entry.problems.push(`only tenant ${owners[0].tenantId} exists, so hiding its rows from other tenants cannot be proven`);
+        return entry;
+      }
+      const other = owners.find(owner => owner.tenantId !== tenant.tenantId);
+
+      entry.probe = { tenantId: tenant.tenantId, ...await this.probe(table, tenant) };
+      if (entry.probe.foreignRows > 0) {
+        entry.problems.push(`tenant ${tenant.tenantId} can see ${entry.probe.foreignRows} rows of other tenants`);
+      } else if (tenant.rows > 0 && entry.probe.visible === 0) {
+        entry.notes.push(`tenant ${tenant.tenantId} cannot see its own ${tenant.rows} rows`);
+      } else {
+        entry.proof = `${other.rows}+ rows of tenant ${other.tenantId} hidden from tenant ${tenant.tenantId}`;
+      }
+    } catch (error) {
+      // Without the probe nothing shows the policies hide other tenants' rows
+      entry.problems.push(`visibility probe failed: ${error.message}`);
+    }
+    return entry;
+  }
+
+  async verify() {
+    const tables = await this.tenantTables();
+    const security = await this.tableSecurity(tables);
+    const policies = await this.policies();
+    const problems = [];
+    const notes = [];
+
+    // Superusers and BYPASSRLS roles would see every row regardless of policies
+    const role = await this.role(this.options.appRole);
+    if (!role) {
+      problems.push(`application role ${this.options.appRole} does not exist`);
+    } else if ((role.rolsuper || role.rolbypassrls) && this.options.appRole) {
+      problems.push(`application role ${role.rolname} bypasses row level security`);
+    } else if (role.rolsuper || role.rolbypassrls) {
+      // A privileged connection without an application role is a gap in the check, not in the database
+      notes.push(`connected as ${role.rolname}, which bypasses row level security; set an application role to prove isolation`);
+    }
+    const canProve = problems.length === 0 && notes.length === 0;
+
+    const results = [];
+    for (const table of tables) {
+      results.push(await this.verifyTable(table, security[table], policies[table] || [], canProve));
+    }
+
+    return {
+      schema: this.options.schema,
+      tenantSetting: this.options.tenantSetting,
+      role: role ? role.rolname : this.options.appRole,
+      proven: canProve,
+      problems,
+      notes,
+      tables: results
+    };
+  }
+}
+
+module.exports = { RlsVerifier };
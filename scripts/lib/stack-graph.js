@@ -0,0 +1,380 @@
+/**
+ * Dependency graph of the CloudFormation templates, and deploy plans drawn from it.
+ *
+ * A template depends on another when it:
+ *
+ *   - import: has an Fn::ImportValue matching the other's Export (as patterns, see cfn-template)
+ *   - nests: declares an AWS::CloudFormation::Stack whose TemplateURL is the other template
+ *   - parameter: is nested next to the other and gets its outputs through `Parameters`
+ *   - depends-on: is nested next to the other and its stack resource has a DependsOn on it
+ *
+ * config/stacks.json names the stacks the infrastructure workflow deploys (its `stack_name`
+ * input) and builds their stack names from the environment's stackPrefix. The plan for one
+ * stack is that stack and everything that depends on it, directly or not, in deploy order.
+ * Without a stack it covers every catalogued stack and what they depend on. Each step has a
+ * wave: a step only depends on steps in earlier waves.
+ */
+
+const path = require('path');
+const {
+  WILDCARD,
+  cfnSchema,
+  listTemplates,
+  loadTemplate,
+  patternsOverlap,
+  references,
+  templateExports,
+  templateImports
+} = require('./cfn-template');
+
+const STACKS_FILE = process.env.STACKS_FILE || path.resolve(__dirname, '..', '..', 'config', 'stacks.json');
+
+function loadStackCatalog(file = STACKS_FILE) {
+  return require(file);
+}
+
+// Deployed stack name of a catalogue entry, e.g. prod-nirosubs-database
+function catalogStackName(catalog, key, environment) {
+  const entry = catalog.stacks[key];
+  return (entry.stackName || catalog.stackName || '{prefix}-{suffix}')
+    .replace('{prefix}', environment.stackPrefix || environment.name)
+    .replace('{suffix}', entry.suffix || key);
+}
+
+function asList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// File name a nested stack's TemplateURL points at, when it is a literal or a Sub string
+function nestedTemplateName(url) {
+  const sub = url && url['Fn::Sub'];
+  const source = typeof url === 'string' ? url : (Array.isArray(sub) ? sub[0] : sub);
+  if (typeof source !== 'string') return null;
+  const name = path.posix.basename(source.split('?')[0]);
+  return /\.(ya?ml|json|template)$/.test(name) ? name : null;
+}
+
+class StackGraph {
+  constructor(options = {}) {
+    this.templateFiles = options.templateFiles || listTemplates(options.templatesDir);
+    this.catalog = options.catalog || loadStackCatalog();
+    this.nodes = new Map();
+    // { from, to, kind, via }: `from` depends on `to`
+    this.edges = [];
+    // Imports no template exports: { template, pattern, path }
+    this.unresolved = [];
+    this.errors = [];
+  }
+
+  stackKey(template) {
+    const stacks = this.catalog.stacks || {};
+    return Object.keys(stacks).find(key => stacks[key].template === template) || null;
+  }
+
+  addNode(name, fields = {}) {
+    if (!this.nodes.has(name)) {
+      this.nodes.set(name, { name, file: null, missing: false, stack: this.stackKey(name), nestedIn: [], ...fields });
+    }
+    return this.nodes.get(name);
+  }
+
+  addEdge(from, to, kind, via) {
+    if (from === to) return;
+    const duplicate = this.edges.some(edge =>
+      edge.from === from && edge.to === to && edge.kind === kind && edge.via === via);
+    if (!duplicate) this.edges.push({ from, to, kind, via });
+  }
+
+  addImportEdges(templates) {
+    const exports = templates.flatMap(({ name, template }) =>
+      templateExports(template).map(entry => ({ ...entry, template: name })));
+
+    templates.forEach(({ name, template }) => {
+      templateImports(template).forEach(entry => {
+        const sources = entry.pattern === WILDCARD
+          ? []
+          : exports.filter(candidate => patternsOverlap(entry.pattern, candidate.pattern));
+        if (sources.length === 0) {
+          if (!this.unresolved.some(other => other.template === name && other.pattern === entry.pattern)) {
+            this.unresolved.push({ template: name, pattern: entry.pattern, path: entry.path });
+          }
+          return;
+        }
+        sources.forEach(source => this.addEdge(name, source.template, 'import', source.pattern));
+      });
+    });
+  }
+
+  addNestedEdges({ name, template }) {
+    const nested = Object.entries(template.Resources || {})
+      .filter(([, resource]) => resource && resource.Type === 'AWS::CloudFormation::Stack')
+      .map(([logicalId, resource]) => ({
+        logicalId,
+        resource,
+        child: nestedTemplateName((resource.Properties || {}).TemplateURL)
+      }))
+      .filter(entry => entry.child);
+    const children = new Map(nested.map(entry => [entry.logicalId, entry.child]));
+
+    nested.forEach(({ logicalId, resource, child }) => {
+      const node = this.addNode(child, { missing: true });
+      if (!node.nestedIn.includes(name)) node.nestedIn.push(name);
+      this.addEdge(name, child, 'nests', logicalId);
+
+      references((resource.Properties || {}).Parameters).forEach(reference => {
+        if (children.has(reference)) this.addEdge(child, children.get(reference), 'parameter', reference);
+      });
+      asList(resource.DependsOn).forEach(dependency => {
+        if (children.has(dependency)) this.addEdge(child, children.get(dependency), 'depends-on', dependency);
+      });
+    });
+  }
+
+  build() {
+    // A missing or incompatible parser fails the build instead of every template
+    cfnSchema();
+    const templates = [];
+    this.templateFiles.forEach(file => {
+      this.addNode(path.basename(file), { file });
+      try {
+        templates.push(loadTemplate(file));
+      } catch (error) {
+        this.errors.push({ template: path.basename(file), message: error.message.split('\n')[0] });
+      }
+    });
+
+    this.addImportEdges(templates);
+    templates.forEach(template => this.addNestedEdges(template));
+    Object.values(this.catalog.stacks || {}).forEach(({ template }) => this.addNode(template, { missing: true }));
+    return this;
+  }
+
+  dependencies(name) {
+    return [...new Set(this.edges.filter(edge => edge.from === name).map(edge => edge.to))].sort();
+  }
+
+  dependents(name) {
+    return [...new Set(this.edges.filter(edge => edge.to === name).map(edge => edge.from))].sort();
+  }
+
+  // The names plus everything reachable from them along dependencies or dependents
+  closure(names, direction) {
+    const next = direction === 'dependents' ? name => this.dependents(name) : name => this.dependencies(name);
+    const seen = new Set(names);
+    const queue = [...names];
+    while (queue.length > 0) {
+      next(queue.shift()).forEach(name => {
+        if (!seen.has(name)) {
+          seen.add(name);
+          queue.push(name);
+        }
+      });
+    }
+    return seen;
+  }
+
+  // Each cycle once, as a path that ends where it starts
+  cycles() {
+    const state = new Map();
+    const found = new Map();
+    const visit = (name, trail) => {
+      if (state.get(name) === 'done') return;
+      if (state.get(name) === 'visiting') {
+        const cycle = [...trail.slice(trail.indexOf(name)), name];
+        const key = cycle.slice(1).sort().join(',');
+        if (!found.has(key)) found.set(key, cycle);
+        return;
+      }
+      state.set(name, 'visiting');
+      this.dependencies(name).forEach(dependency => visit(dependency, [...trail, name]));
+      state.set(name, 'done');
+    };
+    [...this.nodes.keys()].sort().forEach(name => visit(name, []));
+    return [...found.values()];
+  }
+
+  // 0-based wave of each name, counting only dependencies among the names; throws on a cycle
+  waves(names) {
+    const selected = new Set(names);
+    const waves = new Map();
+    const visiting = new Set();
+    const visit = (name, trail) => {
+      if (waves.has(name)) return waves.get(name);
+      if (visiting.has(name)) {
+        throw new Error(`Dependency cycle: ${[...trail.slice(trail.indexOf(name)), name].join(' -> ')}`);
+      }
+      visiting.add(name);
+      const wave = Math.max(0, ...this.dependencies(name)
+        .filter(dependency => selected.has(dependency))
+        .map(dependency => visit(dependency, [...trail, name]) + 1));
+      waves.set(name, wave);
+      return wave;
+    };
+    [...selected].sort().forEach(name => visit(name, []));
+    return waves;
+  }
+
+  // A catalogue key (the workflow's stack_name), or a template name with or without extension
+  resolveStack(name) {
+    const stacks = this.catalog.stacks || {};
+    if (stacks[name]) return stacks[name].template;
+    const match = [name, `${name}.yaml`, `${name}.yml`, `${name}.json`].find(candidate => this.nodes.has(candidate));
+    if (!match) {
+      throw new Error(`Unknown stack "${name}". Expected one of: ${Object.keys(stacks).join(', ')}, or a template name`);
+    }
+    return match;
+  }
+
+  stackName(template, environment) {
+    const key = this.stackKey(template);
+    return key && environment ? catalogStackName(this.catalog, key, environment) : null;
+  }
+
+  describe(template, environment) {
+    const node = this.nodes.get(template);
+    return {
+      template,
+      stack: node.stack,
+      stackName: this.stackName(template, environment),
+      missing: node.missing,
+      nestedIn: node.nestedIn
+    };
+  }
+
+  plan(options = {}) {
+    const { stack, environment, all } = options;
+    let targets;
+    let selected;
+    if (stack) {
+      targets = [this.resolveStack(stack)];
+      selected = this.closure(targets, 'dependents');
+    } else {
+      targets = all
+        ? [...this.nodes.keys()]
+        : Object.values(this.catalog.stacks || {}).map(entry => entry.template);
+      selected = this.closure(targets, 'dependencies');
+    }
+
+    const waves = this.waves(selected);
+    const steps = [...selected]
+      .sort((a, b) => waves.get(a) - waves.get(b) || a.localeCompare(b))
+      .map((template, index) => ({
+        order: index + 1,
+        wave: waves.get(template) + 1,
+        ...this.describe(template, environment),
+        reason: targets.includes(template) ? 'target' : (stack ? 'dependent' : 'dependency'),
+        dependsOn: this.dependencies(template).filter(dependency => selected.has(dependency))
+      }));
+    // Outside the plan, but it needs them deployed already
+    const prerequisites = [...new Set(steps.flatMap(step => this.dependencies(step.template)))]
+      .filter(template => !selected.has(template))
+      .sort()
+      .map(template => this.describe(template, environment));
+
+    return {
+      stack: stack || null,
+      all: Boolean(all) && !stack,
+      environment: environment ? environment.name : null,
+      targets,
+      steps,
+      prerequisites,
+      unresolved: this.unresolved.filter(entry => selected.has(entry.template))
+    };
+  }
+}
+
+// Dependency to dependent, one edge per pair with every reason in its label
+function renderedEdges(graph, names) {
+  const pairs = new Map();
+  graph.edges
+    .filter(edge => names.has(edge.from) && names.has(edge.to))
+    .forEach(edge => {
+      const key = `${edge.to}\n${edge.from}`;
+      pairs.set(key, [...(pairs.get(key) || []), `${edge.kind}: ${edge.via}`]);
+    });
+  return [...pairs].map(([key, labels]) => {
+    const [before, after] = key.split('\n');
+    return { before, after, label: labels.join(', ') };
+  });
+}
+
+// Nodes to render: the plan's steps and prerequisites, or the whole graph
+function renderedNodes(graph, plan, environment) {
+  if (!plan) {
+    return [...graph.nodes.keys()].sort().map(name => ({ ...graph.describe(name, environment), role: null }));
+  }
+  return [
+    // With --all every step is a target, so none is highlighted
+    ...plan.steps.map(step => ({ ...step, role: step.reason === 'target' && !plan.all ? 'target' : null })),
+    ...plan.prerequisites.map(entry => ({ ...entry, role: 'prerequisite' }))
+  ];
+}
+
+function nodeLabel(node) {
+  return [node.template, node.stackName, node.missing ? '(template missing)' : null].filter(Boolean);
+}
+
+function renderDot(graph, plan = null, environment = null) {
+  const nodes = renderedNodes(graph, plan, environment);
+  const names = new Set(nodes.map(node => node.template));
+  const lines = ['digraph stacks {', '  rankdir=LR;', '  node [shape=box, fontname="Helvetica"];'];
+
+  nodes.forEach(node => {
+    const styles = [
+      node.role === 'target' ? 'bold' : null,
+      node.missing || node.role === 'prerequisite' ? 'dashed' : null
+    ].filter(Boolean);
+    const attributes = [`label=${JSON.stringify(nodeLabel(node).join('\n'))}`];
+    if (styles.length > 0) attributes.push(`style="${styles.join(',')}"`);
+    lines.push(`  ${JSON.stringify(node.template)} [${attributes.join(', ')}];`);
+  });
+  renderedEdges(graph, names).forEach(edge => {
+    lines.push(`  ${JSON.stringify(edge.before)} -> ${JSON.stringify(edge.after)} [label=${JSON.stringify(edge.label)}];`);
+  });
+  graph.unresolved.filter(entry => names.has(entry.template)).forEach((entry, index) => {
+    const id = JSON.stringify(`unresolved-${index + 1}`);
+    lines.push(`  ${id} [label=${JSON.stringify(`? ${entry.pattern}`)}, shape=note, style=dashed];`);
+    lines.push(`  ${id} -> ${JSON.stringify(entry.template)} [style=dashed, label="no export"];`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+function mermaidId(name) {
+  return name.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function renderMermaid(graph, plan = null, environment = null) {
+  const nodes = renderedNodes(graph, plan, environment);
+  const names = new Set(nodes.map(node => node.template));
+  const lines = ['graph LR'];
+
+  nodes.forEach(node => {
+    lines.push(`  ${mermaidId(node.template)}["${nodeLabel(node).join('<br/>')}"]`);
+  });
+  renderedEdges(graph, names).forEach(edge => {
+    lines.push(`  ${mermaidId(edge.before)} -->|"${edge.label}"| ${mermaidId(edge.after)}`);
+  });
+  graph.unresolved.filter(entry => names.has(entry.template)).forEach((entry, index) => {
+    lines.push(`  unresolved_${index + 1}{{"? ${entry.pattern}"}} -.->|no export| ${mermaidId(entry.template)}`);
+  });
+
+  lines.push('  classDef target stroke-width:3px');
+  lines.push('  classDef dashed stroke-dasharray:5 5');
+  const targets = nodes.filter(node => node.role === 'target').map(node => mermaidId(node.template));
+  const dashed = nodes.filter(node => node.missing || node.role === 'prerequisite').map(node => mermaidId(node.template));
+  if (targets.length > 0) lines.push(`  class ${targets.join(',')} target`);
+  if (dashed.length > 0) lines.push(`  class ${dashed.join(',')} dashed`);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  StackGraph,
+  catalogStackName,
+  loadStackCatalog,
+  nestedTemplateName,
+  renderDot,
+  renderMermaid
+};
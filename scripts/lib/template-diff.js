@@ -0,0 +1,233 @@
+/**
+ * Resource-level diff between two versions of a template, with a risk level per change.
+ *
+ * Resources are matched by logical id. A change is one of:
+ *
+ *   - add: the logical id is new
+ *   - remove: the logical id is gone, so CloudFormation deletes the resource
+ *   - replace: the type changed, or a property that forces a new physical resource changed
+ *   - modify: anything else changed; `replacement` is 'Conditional' when a property that can
+ *     force a new resource changed
+ *
+ * Which properties force a replacement is only known for the types in REPLACEMENT_PROPERTIES;
+ * for other types a changed `...Name` property counts as Conditional. Property values that come
+ * from parameters are compared as written, so only a change set (`describe-change-set` JSON)
+ * sees the effect of new parameter values. A change set is read into the same shape:
+ *
+ *   { logicalId, type, action, replacement: 'True'|'False'|'Conditional'|null, properties, source }
+ *
+ * Assessed changes add `stateful`, `risk` ('high'|'medium'|'low'), `destructive` and a `warning`.
+ * Replacing or removing a stateful resource (database, user pool, bucket, table, ...) is
+ * destructive, unless a removal keeps the resource with DeletionPolicy Retain.
+ */
+
+// Resources whose replacement or removal loses data
+const STATEFUL_TYPES = [
+  'AWS::Cognito::UserPool',
+  'AWS::DynamoDB::GlobalTable',
+  'AWS::DynamoDB::Table',
+  'AWS::EFS::FileSystem',
+  'AWS::KMS::Key',
+  'AWS::RDS::DBCluster',
+  'AWS::RDS::DBInstance',
+  'AWS::S3::Bucket',
+  'AWS::SecretsManager::Secret'
+];
+
+// Properties whose update requires replacement (always) or may (conditional), per type
+const REPLACEMENT_PROPERTIES = {
+  'AWS::Cognito::UserPool': {
+    always: ['AliasAttributes', 'UsernameAttributes', 'UsernameConfiguration'],
+    conditional: ['Schema']
+  },
+  'AWS::Cognito::UserPoolClient': { always: ['UserPoolId', 'GenerateSecret'] },
+  'AWS::DynamoDB::GlobalTable': {
+    always: ['TableName', 'KeySchema', 'LocalSecondaryIndexes'],
+    conditional: ['AttributeDefinitions']
+  },
+  'AWS::DynamoDB::Table': {
+    always: ['TableName', 'KeySchema', 'LocalSecondaryIndexes'],
+    conditional: ['AttributeDefinitions']
+  },
+  'AWS::EC2::SecurityGroup': { always: ['GroupName', 'GroupDescription', 'VpcId'] },
+  'AWS::EC2::Subnet': { always: ['AvailabilityZone', 'CidrBlock', 'VpcId'] },
+  'AWS::EC2::VPC': { always: ['CidrBlock'], conditional: ['InstanceTenancy'] },
+  'AWS::EFS::FileSystem': { always: ['Encrypted', 'KmsKeyId', 'PerformanceMode', 'AvailabilityZoneName'] },
+  'AWS::IAM::Role': { always: ['RoleName', 'Path'] },
+  'AWS::KMS::Key': { always: ['KeySpec', 'KeyUsage', 'MultiRegion'] },
+  'AWS::Lambda::Function': { always: ['FunctionName', 'PackageType'] },
+  'AWS::Logs::LogGroup': { always: ['LogGroupName'] },
+  'AWS::RDS::DBCluster': {
+    always: [
+      'AvailabilityZones', 'DatabaseName', 'DBClusterIdentifier', 'DBSubnetGroupName', 'Engine',
+      'EngineMode', 'KmsKeyId', 'MasterUsername', 'SnapshotIdentifier', 'SourceDBClusterIdentifier',
+      'SourceRegion', 'StorageEncrypted'
+    ]
+  },
+  'AWS::RDS::DBInstance': {
+    always: [
+      'CharacterSetName', 'DBClusterIdentifier', 'DBInstanceIdentifier', 'DBName',
+      'DBSubnetGroupName', 'KmsKeyId', 'MasterUsername', 'StorageEncrypted'
+    ],
+    conditional: ['AvailabilityZone', 'DBSnapshotIdentifier', 'Engine']
+  },
+  'AWS::RDS::DBSubnetGroup': { always: ['DBSubnetGroupName'] },
+  'AWS::S3::Bucket': { always: ['BucketName', 'ObjectLockEnabled'] },
+  'AWS::SecretsManager::Secret': { always: ['Name'] },
+  'AWS::SNS::Topic': { always: ['TopicName', 'FifoTopic'] },
+  'AWS::SQS::Queue': { always: ['QueueName', 'FifoQueue'] }
+};
+
+// Resource attributes compared next to Properties; none of them replaces the resource
+const ATTRIBUTES = ['Condition', 'DeletionPolicy', 'DependsOn', 'Metadata', 'UpdatePolicy', 'UpdateReplacePolicy'];
+const RETAINED = ['Retain', 'RetainExceptOnCreate'];
+
+// JSON with sorted keys, so key order does not count as a change
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function changedKeys(before = {}, after = {}, keys = null) {
+  const names = keys || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return names.filter(name => canonical((before || {})[name]) !== canonical((after || {})[name])).sort();
+}
+
+function replacementFor(type, properties) {
+  const rule = REPLACEMENT_PROPERTIES[type];
+  if (!rule) {
+    // Most types take their physical name from a ...Name property, and renaming replaces them
+    return properties.some(property => /Name$/.test(property)) ? 'Conditional' : 'False';
+  }
+  if (properties.some(property => rule.always.includes(property))) return 'True';
+  if (properties.some(property => (rule.conditional || []).includes(property))) return 'Conditional';
+  return 'False';
+}
+
+function diffTemplates(before, after) {
+  const oldResources = (before && before.Resources) || {};
+  const newResources = (after && after.Resources) || {};
+  const ids = [...new Set([...Object.keys(oldResources), ...Object.keys(newResources)])].sort();
+
+  return ids.flatMap(logicalId => {
+    const previous = oldResources[logicalId];
+    const next = newResources[logicalId];
+    if (!previous) {
+      return [{ logicalId, type: next.Type, action: 'add', replacement: null, properties: [], source: 'template' }];
+    }
+    if (!next) {
+      return [{ logicalId, type: previous.Type, action: 'remove', replacement: null, properties: [], source: 'template' }];
+    }
+    if (previous.Type !== next.Type) {
+      return [{ logicalId, type: next.Type, action: 'replace', replacement: 'True', properties: ['Type'], source: 'template' }];
+    }
+
+    const properties = changedKeys(previous.Properties, next.Properties);
+    const attributes = changedKeys(previous, next, ATTRIBUTES);
+    if (properties.length === 0 && attributes.length === 0) return [];
+
+    const replacement = replacementFor(next.Type, properties);
+    return [{
+      logicalId,
+      type: next.Type,
+      action: replacement === 'True' ? 'replace' : 'modify',
+      replacement,
+      properties: [...properties, ...attributes],
+      source: 'template'
+    }];
+  });
+}
+
+// `aws cloudformation describe-change-set --output json`
+function changesFromChangeSet(changeSet) {
+  return (changeSet.Changes || [])
+    .filter(change => change.Type === 'Resource' && change.ResourceChange)
+    .map(({ ResourceChange: change }) => {
+      let action = String(change.Action || '').toLowerCase();
+      if (action === 'modify' && change.Replacement === 'True') action = 'replace';
+      const properties = (change.Details || [])
+        .map(detail => detail.Target && (detail.Target.Name || detail.Target.Attribute))
+        .filter(Boolean);
+
+      return {
+        logicalId: change.LogicalResourceId,
+        type: change.ResourceType,
+        action,
+        replacement: change.Replacement || null,
+        properties: [...new Set(properties)].sort(),
+        physicalId: change.PhysicalResourceId || null,
+        source: 'change-set'
+      };
+    });
+}
+
+// `oldResource` is the deployed definition, when known, for its DeletionPolicy
+function assessChange(change, oldResource = null) {
+  const stateful = STATEFUL_TYPES.includes(change.type);
+  const deletionPolicy = oldResource ? oldResource.DeletionPolicy || null : null;
+  const forcedBy = change.properties.length > 0 ? ` (${change.properties.join(', ')})` : '';
+  let risk = 'low';
+  let warning = null;
+
+  if (change.action === 'replace') {
+    risk = stateful ? 'high' : 'medium';
+    warning = stateful
+      ? `Replacing ${change.type} ${change.logicalId}${forcedBy} creates a new, empty resource; its data is not carried over`
+      : `${change.logicalId} is replaced${forcedBy}; its physical id changes`;
+  } else if (change.action === 'remove') {
+    const retained = RETAINED.includes(deletionPolicy);
+    risk = stateful && !retained ? 'high' : 'medium';
+    if (retained) {
+      warning = `${change.logicalId} leaves the stack but is retained (DeletionPolicy ${deletionPolicy})`;
+    } else if (stateful) {
+      warning = `Removing ${change.type} ${change.logicalId} deletes it and its data` +
+        (deletionPolicy === 'Snapshot' ? ', leaving only a final snapshot' : '');
+    } else {
+      warning = `${change.logicalId} is deleted`;
+    }
+  } else if (change.action === 'modify' && change.replacement === 'Conditional') {
+    risk = stateful ? 'high' : 'medium';
+    warning = `${change.properties.join(', ')} may replace ${change.type} ${change.logicalId}`;
+  } else if (change.action === 'modify' && stateful) {
+    risk = 'medium';
+  }
+
+  return { ...change, stateful, deletionPolicy, risk, destructive: risk === 'high', warning };
+}
+
+function assessChanges(changes, before = null) {
+  const resources = (before && before.Resources) || {};
+  return changes.map(change => assessChange(change, resources[change.logicalId] || null));
+}
+
+function summarizeChanges(changes) {
+  const count = predicate => changes.filter(predicate).length;
+  return {
+    total: changes.length,
+    add: count(change => change.action === 'add'),
+    modify: count(change => change.action === 'modify'),
+    replace: count(change => change.action === 'replace'),
+    remove: count(change => change.action === 'remove'),
+    destructive: count(change => change.destructive)
+  };
+}
+
+function describeChange(change) {
+  const what = `${change.action} ${change.logicalId} (${change.type})`;
+  if (change.warning) return `${what}: ${change.warning}`;
+  return change.properties.length > 0 ? `${what}: ${change.properties.join(', ')}` : what;
+}
+
+module.exports = {
+  REPLACEMENT_PROPERTIES,
+  STATEFUL_TYPES,
+  assessChange,
+  assessChanges,
+  changesFromChangeSet,
+  describeChange,
+  diffTemplates,
+  summarizeChanges
+};
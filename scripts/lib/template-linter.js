@@ -0,0 +1,230 @@
+/**
+ * Offline CloudFormation template linter.
+ *
+ * Each template is checked on its own: it must parse, every Ref, GetAtt, Sub placeholder and
+ * condition must name something it declares, and parameters and supporting resources nobody
+ * uses are reported. Templates are also checked against each other and the parameter files:
+ * a value in `cloudformation/parameters/*.json` must be one of the AllowedValues of every
+ * template declaring that parameter, every Fn::ImportValue must match some template's Export,
+ * and two templates should not export the same name.
+ *
+ * Findings:
+ *
+ *   { type, severity: 'error'|'warning', template, name, message }
+ */
+
+const path = require('path');
+const {
+  PSEUDO_PARAMETERS,
+  WILDCARD,
+  cfnSchema,
+  listParameterFiles,
+  listTemplates,
+  loadParameterFile,
+  loadTemplate,
+  patternsOverlap,
+  references,
+  templateExports,
+  templateImports,
+  walk
+} = require('./cfn-template');
+
+const SEVERITY = {
+  parse: 'error',
+  'undefined-reference': 'error',
+  'allowed-values': 'error',
+  'missing-export': 'error',
+  'duplicate-export': 'warning',
+  'unused-parameter': 'warning',
+  'unused-resource': 'warning'
+};
+
+// Resource types that do nothing unless another resource in the template uses them
+const SUPPORTING_TYPES = [
+  'AWS::ApiGateway::Authorizer',
+  'AWS::ApiGateway::Model',
+  'AWS::ApiGateway::RequestValidator',
+  'AWS::ApiGateway::Resource',
+  'AWS::ApiGatewayV2::Authorizer',
+  'AWS::ApiGatewayV2::Integration',
+  'AWS::CloudFront::CachePolicy',
+  'AWS::CloudFront::CloudFrontOriginAccessIdentity',
+  'AWS::CloudFront::OriginAccessControl',
+  'AWS::CloudFront::OriginRequestPolicy',
+  'AWS::CloudFront::ResponseHeadersPolicy',
+  'AWS::EC2::EIP',
+  'AWS::EC2::RouteTable',
+  'AWS::EC2::SecurityGroup',
+  'AWS::EC2::Subnet',
+  'AWS::IAM::InstanceProfile',
+  'AWS::IAM::Role',
+  'AWS::Lambda::LayerVersion',
+  'AWS::RDS::DBParameterGroup',
+  'AWS::RDS::DBSubnetGroup',
+  'AWS::SES::ConfigurationSet'
+];
+
+function finding(type, template, name, message) {
+  return { type, severity: SEVERITY[type], template, name, message };
+}
+
+function asList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Condition names used by Fn::If, Condition keys and { Condition: name } inside Conditions
+function conditionReferences(template) {
+  const names = new Set();
+  Object.values({ ...template.Resources, ...template.Outputs }).forEach(entry => {
+    if (entry && typeof entry.Condition === 'string') names.add(entry.Condition);
+  });
+  walk({ Resources: template.Resources, Outputs: template.Outputs, Conditions: template.Conditions }, node => {
+    if (Array.isArray(node)) return;
+    if (Array.isArray(node['Fn::If']) && typeof node['Fn::If'][0] === 'string') {
+      names.add(node['Fn::If'][0]);
+    }
+  });
+  walk(template.Conditions, node => {
+    if (!Array.isArray(node) && typeof node.Condition === 'string') names.add(node.Condition);
+  });
+  return names;
+}
+
+class TemplateLinter {
+  constructor(options = {}) {
+    this.templateFiles = options.templateFiles || listTemplates(options.templatesDir);
+    this.parameterFiles = options.parameterFiles || listParameterFiles(options.parametersDir);
+    this.templates = [];
+    this.findings = [];
+  }
+
+  load() {
+    // A missing or incompatible parser fails the run instead of every template
+    cfnSchema();
+    this.templateFiles.forEach(file => {
+      try {
+        this.templates.push(loadTemplate(file));
+      } catch (error) {
+        this.findings.push(finding('parse', path.basename(file), null, error.message.split('\n')[0]));
+      }
+    });
+  }
+
+  checkReferences({ name, template }) {
+    const parameters = Object.keys(template.Parameters || {});
+    const resources = Object.keys(template.Resources || {});
+    const conditions = Object.keys(template.Conditions || {});
+    const declared = new Set([...parameters, ...resources, ...PSEUDO_PARAMETERS]);
+    // Metadata only names parameters for the console, so it does not count as a use
+    const used = references({
+      Conditions: template.Conditions,
+      Mappings: template.Mappings,
+      Resources: template.Resources,
+      Outputs: template.Outputs,
+      Rules: template.Rules
+    });
+    Object.values(template.Resources || {}).forEach(resource => {
+      asList(resource && resource.DependsOn).forEach(dependency => used.add(dependency));
+    });
+
+    [...used].filter(reference => !declared.has(reference)).forEach(reference => {
+      this.findings.push(finding('undefined-reference', name, reference, `${reference} is not a parameter or resource of this template`));
+    });
+
+    const usedConditions = conditionReferences(template);
+    [...usedConditions].filter(condition => !conditions.includes(condition)).forEach(condition => {
+      this.findings.push(finding('undefined-reference', name, condition, `condition ${condition} is not declared`));
+    });
+
+    parameters.filter(parameter => !used.has(parameter)).forEach(parameter => {
+      this.findings.push(finding('unused-parameter', name, parameter, `parameter ${parameter} is never referenced`));
+    });
+
+    Object.entries(template.Resources || {})
+      .filter(([logicalId, resource]) => resource && SUPPORTING_TYPES.includes(resource.Type) && !used.has(logicalId))
+      .forEach(([logicalId, resource]) => {
+        this.findings.push(finding('unused-resource', name, logicalId, `${resource.Type} ${logicalId} is not used by any resource or output`));
+      });
+  }
+
+  checkParameterFiles() {
+    this.parameterFiles.forEach(file => {
+      let values;
+      try {
+        values = loadParameterFile(file);
+      } catch (error) {
+        this.findings.push(finding('parse', path.basename(file), null, error.message));
+        return;
+      }
+
+      this.templates.forEach(({ name, template }) => {
+        Object.entries(template.Parameters || {}).forEach(([parameter, definition]) => {
+          if (!(parameter in values) || !definition || !Array.isArray(definition.AllowedValues)) return;
+          const allowed = definition.AllowedValues.map(String);
+          if (!allowed.includes(String(values[parameter]))) {
+            this.findings.push(finding('allowed-values', name, parameter,
+              `${path.basename(file)} sets ${parameter}=${JSON.stringify(values[parameter])}, allowed: ${allowed.join(', ')}`));
+          }
+        });
+      });
+    });
+  }
+
+  checkExports() {
+    const exports = this.templates.flatMap(({ name, template }) =>
+      templateExports(template).map(entry => ({ ...entry, template: name })));
+
+    this.templates.forEach(({ name, template }) => {
+      templateImports(template)
+        .filter(entry => entry.pattern !== WILDCARD)
+        .filter(entry => !exports.some(candidate => patternsOverlap(entry.pattern, candidate.pattern)))
+        .forEach(entry => {
+          this.findings.push(finding('missing-export', name, entry.pattern, `Fn::ImportValue ${entry.pattern} at ${entry.path} matches no template's Export`));
+        });
+    });
+
+    const byPattern = new Map();
+    exports.forEach(entry => {
+      byPattern.set(entry.pattern, [...(byPattern.get(entry.pattern) || []), entry]);
+    });
+    byPattern.forEach((entries, pattern) => {
+      const templates = [...new Set(entries.map(entry => entry.template))];
+      if (templates.length < 2) return;
+      templates.forEach(template => {
+        const others = templates.filter(other => other !== template);
+        this.findings.push(finding('duplicate-export', template, pattern, `Export ${pattern} is also declared by ${others.join(', ')}`));
+      });
+    });
+  }
+
+  lint() {
+    this.load();
+    this.templates.forEach(template => this.checkReferences(template));
+    this.checkParameterFiles();
+    this.checkExports();
+
+    return {
+      templates: this.templates.map(({ name, file, template }) => ({
+        name,
+        file,
+        parameters: Object.keys(template.Parameters || {}).length,
+        resources: Object.keys(template.Resources || {}).length,
+        exports: templateExports(template).length,
+        imports: templateImports(template).length
+      })),
+      parameterFiles: this.parameterFiles.map(file => path.basename(file)),
+      findings: this.findings
+    };
+  }
+}
+
+function describeFinding(finding) {
+  return `${finding.type}: ${finding.message}`;
+}
+
+module.exports = {
+  SUPPORTING_TYPES,
+  TemplateLinter,
+  describeFinding
+};
@@ -0,0 +1,145 @@
+/**
+ * Per-tenant synthetic transaction probes.
+ *
+ * Each canary tenant (a dedicated canary user per tenant, in the test-tenants file format) runs
+ * a short scripted flow through the environment's `tenantApi` routes: authenticate, fetch the
+ * profile, list dashboard data, check the subscription. Every step is timed, and any step that
+ * fails or returns another tenant's data fails the tenant, so one broken tenant is visible even
+ * when the services' /api/health endpoints are green.
+ */
+
+const { STATUS, request, createResult } = require('./check-runner');
+const { extractRecords, login, parseJson, tenantApiUrl, tenantIdOf } = require('./test-tenants');
+
+const DEFAULTS = {
+  timeout: 10000,
+  maxResponseTime: 5000
+};
+
+const ACTIVE_SUBSCRIPTIONS = ['active', 'trialing'];
+
+// Steps after authentication, each a tenantApi route called with the canary's token
+const PROBE_STEPS = [
+  { step: 'profile', route: 'profile' },
+  { step: 'dashboard', route: 'dashboard' },
+  { step: 'subscription', route: 'subscription', inspect: inspectSubscription }
+];
+
+function inspectSubscription(body) {
+  const subscription = body && (body.subscription || body);
+  const status = subscription && subscription.status;
+  if (status && !ACTIVE_SUBSCRIPTIONS.includes(String(status).toLowerCase())) {
+    return { warning: `subscription is ${status}` };
+  }
+  return {};
+}
+
+// A random sample of `size` tenants; all of them when size is missing or larger
+function sampleTenants(tenants, size) {
+  if (!size || size >= tenants.length) return tenants;
+  const pool = [...tenants];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size);
+}
+
+async function authenticate(tenant, environment, options) {
+  if (tenant.token) {
+    return { step: 'authenticate', skipped: 'static token', responseTime: 0, token: tenant.token };
+  }
+
+  const startTime = Date.now();
+  try {
+    const token = await login(tenant, environment, options.timeout);
+    return { step: 'authenticate', responseTime: Date.now() - startTime, token };
+  } catch (error) {
+    return { step: 'authenticate', responseTime: Date.now() - startTime, error: error.message };
+  }
+}
+
+async function runStep(definition, tenant, token, environment, options) {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (environment.tenantApi.tenantHeader) {
+    headers[environment.tenantApi.tenantHeader] = tenant.id;
+  }
+
+  const url = tenantApiUrl(environment, definition.route, { tenantId: tenant.id });
+  const response = await request(url, { headers, timeout: options.timeout });
+  const result = { step: definition.step, url, statusCode: response.statusCode || null, responseTime: response.responseTime };
+
+  if (response.error) {
+    return { ...result, error: response.error };
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    return { ...result, error: `status ${response.statusCode}` };
+  }
+
+  const body = parseJson(response.body);
+  const foreign = extractRecords(body).filter(record => tenantIdOf(record) && tenantIdOf(record) !== tenant.id);
+  if (foreign.length > 0) {
+    return { ...result, error: `returned ${foreign.length} records of another tenant` };
+  }
+
+  return definition.inspect ? { ...result, ...definition.inspect(body) } : result;
+}
+
+// Runs the flow for one tenant and returns a CheckResult named after it
+async function probeTenant(tenant, environment, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const steps = [];
+
+  const auth = await authenticate(tenant, environment, settings);
+  const { token, ...authStep } = auth;
+  steps.push(authStep);
+
+  if (!auth.error) {
+    for (const definition of PROBE_STEPS) {
+      const step = await runStep(definition, tenant, token, environment, settings);
+      steps.push(step);
+      if (step.error) break;
+    }
+  }
+
+  const responseTime = steps.reduce((sum, step) => sum + (step.responseTime || 0), 0);
+  const failed = steps.find(step => step.error);
+  const warnings = steps.filter(step => step.warning).map(step => `${step.step}: ${step.warning}`);
+
+  let status = STATUS.PASSED;
+  let error = null;
+  if (failed) {
+    status = STATUS.CRITICAL;
+    error = `${failed.step} failed: ${failed.error}`;
+  } else if (warnings.length > 0) {
+    status = STATUS.WARNING;
+    error = warnings.join('; ');
+  } else if (responseTime > settings.maxResponseTime) {
+    status = STATUS.WARNING;
+    error = `flow took ${responseTime}ms (limit ${settings.maxResponseTime}ms)`;
+  }
+
+  return createResult(`Tenant probe ${tenant.slug}`, status, {
+    responseTime,
+    statusCode: failed ? failed.statusCode : null,
+    url: failed ? failed.url : null,
+    error,
+    details: { tenantId: tenant.id, slug: tenant.slug, steps }
+  });
+}
+
+// Probes tenants one after another so their latencies do not skew each other
+async function probeTenants(tenants, environment, options = {}) {
+  const results = [];
+  for (const tenant of sampleTenants(tenants, options.sample)) {
+    results.push(await probeTenant(tenant, environment, options));
+  }
+  return results;
+}
+
+module.exports = {
+  PROBE_STEPS,
+  probeTenant,
+  probeTenants,
+  sampleTenants
+};
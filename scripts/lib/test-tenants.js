@@ -0,0 +1,117 @@
+/**
+ * Test tenant fixtures for the multitenant integration tests and the tenant canary probes.
+ *
+ * Tenants come from a JSON file (`--tenants <file>` or TEST_TENANTS_FILE):
+ *
+ *   { "tenants": [ { "id", "slug", "token" } | { "id", "slug", "email", "password" }, ... ] }
+ *
+ * Tenants without a token are logged in through the environment's `tenantApi.login` route.
+ * Route paths in `tenantApi` are relative to the API endpoint unless they are absolute URLs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { request } = require('./check-runner');
+
+const MIN_TENANTS = 2;
+
+function loadTestTenants(file, minimum = MIN_TENANTS) {
+  const raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  const tenants = Array.isArray(raw) ? raw : raw.tenants;
+
+  if (!Array.isArray(tenants) || tenants.length < minimum) {
+    throw new Error(`${file} must define at least ${minimum} test tenants`);
+  }
+  tenants.forEach((tenant, index) => {
+    if (!tenant.id) {
+      throw new Error(`Test tenant #${index + 1} in ${file} has no id`);
+    }
+    if (!tenant.token && !(tenant.email && tenant.password)) {
+      throw new Error(`Test tenant ${tenant.id} needs a token or email/password`);
+    }
+  });
+
+  return tenants.map(tenant => ({ ...tenant, id: String(tenant.id), slug: tenant.slug || String(tenant.id) }));
+}
+
+function tenantApiUrl(environment, route, params = {}) {
+  const routes = environment.tenantApi || {};
+  const template = routes[route];
+  if (!template) {
+    throw new Error(`No tenantApi.${route} route configured for ${environment.name}`);
+  }
+
+  const resolved = template.replace(/\{(\w+)\}/g, (match, key) =>
+    params[key] !== undefined ? encodeURIComponent(params[key]) : match
+  );
+  return /^https?:\/\//.test(resolved) ? resolved : `${environment.endpoints.api}${resolved}`;
+}
+
+function parseJson(body) {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function login(tenant, environment, timeout) {
+  const response = await request(tenantApiUrl(environment, 'login'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: { email: tenant.email, password: tenant.password, tenantId: tenant.id },
+    timeout
+  });
+
+  if (response.error) {
+    throw new Error(`Login failed for test tenant ${tenant.slug}: ${response.error}`);
+  }
+  const body = parseJson(response.body) || {};
+  const token = body.token || body.accessToken || body.idToken;
+  if (response.statusCode !== 200 || !token) {
+    throw new Error(`Login failed for test tenant ${tenant.slug}: status ${response.statusCode}`);
+  }
+  return token;
+}
+
+// Resolves every tenant to one carrying a bearer token
+async function authenticateTenants(tenants, environment, options = {}) {
+  const authenticated = [];
+  for (const tenant of tenants) {
+    const token = tenant.token || await login(tenant, environment, options.timeout);
+    authenticated.push({ ...tenant, token });
+  }
+  return authenticated;
+}
+
+// The tenant a record belongs to, whichever naming the service uses
+function tenantIdOf(record) {
+  if (!record || typeof record !== 'object') {
+    return null;
+  }
+  const id = record.tenantId || record.tenant_id || (record.tenant && record.tenant.id);
+  return id != null ? String(id) : null;
+}
+
+// List endpoints answer with a bare array or wrap it as { data | items | users | usage: [...] }
+function extractRecords(body) {
+  if (Array.isArray(body)) {
+    return body;
+  }
+  if (body && typeof body === 'object') {
+    const list = ['data', 'items', 'users', 'usage', 'records'].find(key => Array.isArray(body[key]));
+    return list ? body[list] : [body];
+  }
+  return [];
+}
+
+module.exports = {
+  MIN_TENANTS,
+  authenticateTenants,
+  extractRecords,
+  loadTestTenants,
+  login,
+  parseJson,
+  tenantApiUrl,
+  tenantIdOf
+};
@@ -0,0 +1,242 @@
+/**
+ * Tenant usage forecasting.
+ *
+ * Reads up to `historyDays` of daily history per tenant and fits a least-squares trend to it:
+ * API calls from `tenant_usage_stats.api_calls_count`, and active users from
+ * `tenant_usage_stats.active_users` when that column exists, otherwise from the creation dates
+ * of the tenant's active `tenant_users`. The trend predicts the day each tenant reaches its
+ * `users` / `apiCalls` limit, taken from the plan catalog merged with the tenant's overrides.
+ *
+ * The API call limit applies to the rolling 30-day total (as in checkTenantPerformance()), so
+ * projected daily calls are added to a sliding window until the window total reaches the limit.
+ */
+
+const { IsolationAuditor } = require('./isolation-auditor');
+const { PlanCatalog } = require('./plan-catalog');
+
+const DEFAULTS = {
+  historyDays: 90,
+  horizonDays: 30,
+  windowDays: 30,
+  maxDays: 365
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Least-squares line through [{ day, value }] points; day 0 is today, history is negative
+function fitTrend(points) {
+  if (points.length === 0) return { slope: 0, intercept: 0 };
+  if (points.length === 1) return { slope: 0, intercept: points[0].value };
+
+  const n = points.length;
+  const meanDay = points.reduce((sum, point) => sum + point.day, 0) / n;
+  const meanValue = points.reduce((sum, point) => sum + point.value, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(point => {
+    covariance += (point.day - meanDay) * (point.value - meanValue);
+    variance += (point.day - meanDay) ** 2;
+  });
+
+  const slope = variance === 0 ? 0 : covariance / variance;
+  return { slope, intercept: meanValue - slope * meanDay };
+}
+
+function dateIn(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+class UsageForecaster {
+  constructor(db, options = {}) {
+    this.db = db;
+    const given = Object.entries(options).filter(([, value]) => value != null);
+    this.options = { ...DEFAULTS, ...Object.fromEntries(given) };
+    this.planCatalog = this.options.planCatalog || new PlanCatalog();
+  }
+
+  async loadTenants() {
+    const result = await this.db.query(`
+      SELECT t.id::text AS id, t.name, t.plan, t.limits, COUNT(tu.id) AS user_count
+      FROM tenants t
+      LEFT JOIN tenant_users tu ON tu.tenant_id = t.id AND tu.status = 'active'
+      WHERE t.status = 'active'
+      GROUP BY t.id, t.name, t.plan, t.limits
+      ORDER BY t.name
+    `);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      plan: row.plan,
+      limits: this.planCatalog.limitsFor(row),
+      users: parseInt(row.user_count)
+    }));
+  }
+
+  // { tenantId: [{ day, value }] } from a query returning tenant_id, days_ago and value
+  async loadSeries(sql) {
+    const result = await this.db.query(sql, [this.options.historyDays]);
+    const series = {};
+    result.rows.forEach(row => {
+      (series[row.tenant_id] = series[row.tenant_id] || []).push({
+        day: -parseInt(row.days_ago),
+        value: parseFloat(row.value)
+      });
+    });
+    return series;
+  }
+
+  // Daily calls from the first recorded day to today, with missing days as zero
+  async loadApiCallHistory() {
+    const series = await this.loadSeries(`
+      SELECT tenant_id::text AS tenant_id, CURRENT_DATE - stat_date AS days_ago, SUM(api_calls_count) AS value
+      FROM tenant_usage_stats
+      WHERE stat_date > CURRENT_DATE - $1::int AND stat_date <= CURRENT_DATE
+      GROUP BY 1, 2
+    `);
+
+    Object.keys(series).forEach(tenantId => {
+      const byDay = new Map(series[tenantId].map(point => [point.day, point.value]));
+      const first = Math.min(...byDay.keys());
+      series[tenantId] = [];
+      for (let day = first; day <= 0; day++) {
+        series[tenantId].push({ day, value: byDay.get(day) || 0 });
+      }
+    });
+    return series;
+  }
+
+  async loadUserHistory(source) {
+    if (source === 'tenant_usage_stats.active_users') {
+      return this.loadSeries(`
+        SELECT tenant_id::text AS tenant_id, CURRENT_DATE - stat_date AS days_ago, MAX(active_users) AS value
+        FROM tenant_usage_stats
+        WHERE stat_date > CURRENT_DATE - $1::int AND stat_date <= CURRENT_DATE AND active_users IS NOT NULL
+        GROUP BY 1, 2
+      `);
+    }
+
+    // Users created before the window count from its first day; the running total is the daily count
+    const added = await this.loadSeries(`
+      SELECT tenant_id::text AS tenant_id,
+        LEAST(CURRENT_DATE - created_at::date, $1::int - 1) AS days_ago,
+        COUNT(*) AS value
+      FROM tenant_users
+      WHERE status = 'active' AND created_at IS NOT NULL
+      GROUP BY 1, 2
+    `);
+
+    const series = {};
+    Object.entries(added).forEach(([tenantId, points]) => {
+      const byDay = new Map(points.map(point => [point.day, point.value]));
+      let total = 0;
+      series[tenantId] = [];
+      for (let day = Math.min(...byDay.keys()); day <= 0; day++) {
+        total += byDay.get(day) || 0;
+        series[tenantId].push({ day, value: total });
+      }
+    });
+    return series;
+  }
+
+  async userHistorySource() {
+    const columns = await new IsolationAuditor(this.db).discoverColumns();
+    if ((columns.tenant_usage_stats || []).includes('active_users')) return 'tenant_usage_stats.active_users';
+    if ((columns.tenant_users || []).includes('created_at')) return 'tenant_users.created_at';
+    return null;
+  }
+
+  forecastUsers(tenant, points) {
+    const limit = tenant.limits.users;
+    const trend = fitTrend(points);
+    const entry = { metric: 'users', current: tenant.users, limit, dailyGrowth: trend.slope, daysLeft: null };
+
+    if (limit == null) return { ...entry, status: 'unlimited' };
+    if (tenant.users >= limit) return { ...entry, status: 'exceeded', daysLeft: 0 };
+    if (points.length >= 2 && trend.slope > 0) {
+      // Anchored on today's count so an old intercept does not shift the date
+      entry.daysLeft = Math.ceil((limit - tenant.users) / trend.slope);
+    }
+    return this.classify(entry);
+  }
+
+  forecastApiCalls(tenant, points) {
+    const { windowDays, maxDays } = this.options;
+    const limit = tenant.limits.apiCalls;
+    const trend = fitTrend(points);
+    const window = points.filter(point => point.day > -windowDays).map(point => point.value);
+    while (window.length < windowDays) window.unshift(0);
+
+    let total = window.reduce((sum, value) => sum + value, 0);
+    const entry = { metric: 'apiCalls', current: total, limit, dailyGrowth: trend.slope, daysLeft: null };
+
+    if (limit == null) return { ...entry, status: 'unlimited' };
+    if (total >= limit) return { ...entry, status: 'exceeded', daysLeft: 0 };
+    if (points.length >= 2) {
+      for (let day = 1; day <= maxDays; day++) {
+        const projected = Math.max(0, trend.intercept + trend.slope * day);
+        total += projected - window.shift();
+        window.push(projected);
+        if (total >= limit) {
+          entry.daysLeft = day;
+          break;
+        }
+      }
+    }
+    return this.classify(entry);
+  }
+
+  classify(entry) {
+    if (entry.daysLeft == null) return { ...entry, status: 'ok' };
+    return {
+      ...entry,
+      exhaustionDate: dateIn(entry.daysLeft),
+      status: entry.daysLeft <= this.options.horizonDays ? 'at-risk' : 'ok'
+    };
+  }
+
+  async forecast() {
+    const tenants = await this.loadTenants();
+    const apiCalls = await this.loadApiCallHistory();
+    const usersSource = await this.userHistorySource();
+    const users = usersSource ? await this.loadUserHistory(usersSource) : {};
+
+    const forecasts = [];
+    tenants.forEach(tenant => {
+      const about = { tenantId: tenant.id, tenant: tenant.name, plan: tenant.plan };
+      forecasts.push({ ...about, ...this.forecastUsers(tenant, users[tenant.id] || []) });
+      forecasts.push({ ...about, ...this.forecastApiCalls(tenant, apiCalls[tenant.id] || []) });
+    });
+
+    // Soonest exhaustion first; exceeded limits have zero days left
+    const atRisk = forecasts
+      .filter(entry => entry.status === 'exceeded' || entry.status === 'at-risk')
+      .sort((a, b) => a.daysLeft - b.daysLeft || b.current / b.limit - a.current / a.limit);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      historyDays: this.options.historyDays,
+      horizonDays: this.options.horizonDays,
+      usersSource,
+      tenants: tenants.length,
+      atRisk,
+      forecasts
+    };
+  }
+}
+
+// One line per forecast entry, shared by the CLI and the dashboard
+function describeForecast(entry) {
+  const metric = entry.metric === 'users' ? 'users' : 'API calls (30d)';
+  const usage = `${entry.current}/${entry.limit} ${metric}`;
+  if (entry.status === 'exceeded') {
+    return `${entry.tenant}: ${usage} - limit exceeded`;
+  }
+  return `${entry.tenant}: ${usage} - reaches limit in ${entry.daysLeft} days (${entry.exhaustionDate})`;
+}
+
+module.exports = {
+  UsageForecaster,
+  describeForecast,
+  fitTrend
+};
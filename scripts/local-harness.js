@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Client, Pool } = require('pg');
+const { parseArgs } = require('./lib/cli');
+const { STATUS } = require('./lib/check-runner');
+const { CredentialSource } = require('./lib/credentials');
+const { loadEnvironment, loadRegistry, databaseConfig } = require('./lib/environments');
+const { LocalStubs, withStubPorts } = require('./lib/local-stubs');
+const { childEnv, initLogging } = require('./lib/logger');
+
+// Runs every validation script offline against the docker-compose Postgres, seeded fixtures and
+// stub services, then compares each script's exit code and JSON report with the expected results.
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(ROOT, 'config', 'fixtures', 'local');
+const TENANTS_FILE = path.join(FIXTURES_DIR, 'tenants.json');
+// Secrets Manager stand-in holding the docker-compose database credentials
+const SECRETS_FILE = path.join(FIXTURES_DIR, 'secrets.json');
+// Recorded live stacks for drift-report: console edits, a deleted route, an undeployed stack
+const DRIFT_FIXTURE = path.join(FIXTURES_DIR, 'drift.json');
+// A healthy schema and seed, then the known problems the expectations below describe
+const FIXTURES = ['schema.sql', 'seed.sql', 'broken.sql'];
+
+// What each script reports against the fixtures. Checks not listed here must pass, except the
+// `ignore`d ones whose result depends on the machine (e.g. whether the AWS CLI is configured).
+const EXPECTATIONS = [
+  {
+    name: 'production-health-check',
+    exitCode: 0,
+    checks: {},
+    ignore: ['AWS CLI', 'Lambda Functions', 'Cognito User Pool']
+  },
+  { name: 'deployment-integration-tests', exitCode: 0, checks: {} },
+  {
+    name: 'tenant-health-production',
+    exitCode: 1,
+    checks: {
+      'Tenant Isolation': STATUS.CRITICAL,
+      'Row Level Security': STATUS.CRITICAL,
+      'Tenant Capacity': STATUS.CRITICAL,
+      'Database Health': STATUS.WARNING
+    }
+  },
+  {
+    name: 'tenant-health-monitor',
+    exitCode: 1,
+    checks: {
+      'Tenant Isolation': STATUS.CRITICAL,
+      'Tenant Performance': STATUS.CRITICAL,
+      'Tenant probe delta': STATUS.CRITICAL,
+      'Tenant probe epsilon': STATUS.WARNING
+    }
+  },
+  {
+    name: 'tenant-isolation-audit',
+    exitCode: 1,
+    checks: {
+      tenant_users: STATUS.CRITICAL,
+      tenant_usage_stats: STATUS.CRITICAL
+    }
+  },
+  {
+    name: 'tenant-usage-forecast',
+    exitCode: 0,
+    checks: {
+      'Beta users': STATUS.WARNING,
+      'Beta apiCalls': STATUS.WARNING,
+      'Gamma users': STATUS.CRITICAL,
+      'Gamma apiCalls': STATUS.CRITICAL
+    }
+  },
+  {
+    name: 'tenant-repair',
+    args: ['--dry-run'],
+    exitCode: 0,
+    checks: {
+      'Tenant Repair': STATUS.WARNING
+    }
+  },
+  {
+    name: 'drift-report',
+    exitCode: 1,
+    checks: {
+      'local-nirosubs-database': STATUS.WARNING,
+      'local-nirosubs-lambda-role': STATUS.WARNING,
+      'local-nirosubs-api': STATUS.CRITICAL,
+      'local-nirosubs-frontend': STATUS.WARNING
+    }
+  }
+];
+
+function run(command, args, options = {}) {
+  return new Promise(resolve => {
+    const child = spawn(command, args, { stdio: 'inherit', ...options });
+    child.on('error', error => resolve({ code: null, error }));
+    child.on('exit', code => resolve({ code }));
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LocalHarness {
+  constructor(options = {}) {
+    // The stubs' ports, so they do not collide with a running docker-compose stack
+    this.environment = withStubPorts(loadEnvironment('local'));
+    this.docker = options.docker !== false;
+    this.keep = Boolean(options.keep);
+    this.only = options.only ? String(options.only).split(',') : null;
+    this.reportsDir = options.reportsDir || fs.mkdtempSync(path.join(os.tmpdir(), 'nirosubs-harness-'));
+    fs.mkdirSync(this.reportsDir, { recursive: true });
+    this.registryFile = path.join(this.reportsDir, 'stub-environments.json');
+    this.secretsFile = process.env.SECRETS_FILE || SECRETS_FILE;
+    // DB_* variables still win over the registry and the secrets file
+    this.database = {
+      ...databaseConfig(this.environment),
+      password: process.env.DB_PASSWORD || new CredentialSource({ secretsFile: this.secretsFile }).databasePassword(this.environment)
+    };
+    this.pool = null;
+    this.stubs = null;
+  }
+
+  async startDatabase() {
+    if (this.docker) {
+      console.log(`${colors.blue}Starting Postgres (docker compose up -d postgres)...${colors.reset}`);
+      const result = await run('docker', ['compose', 'up', '-d', 'postgres'], { cwd: ROOT });
+      if (result.code !== 0) {
+        throw new Error(`docker compose failed${result.error ? `: ${result.error.message}` : ` with exit code ${result.code}`}`);
+      }
+    }
+
+    // Postgres accepts connections a few seconds after the container starts
+    const deadline = Date.now() + 60000;
+    for (;;) {
+      const client = new Client(this.database);
+      try {
+        await client.connect();
+        await client.end();
+        break;
+      } catch (error) {
+        if (Date.now() > deadline) {
+          throw new Error(`Postgres at ${this.database.host}:${this.database.port} not reachable: ${error.message}`);
+        }
+        await sleep(1000);
+      }
+    }
+    console.log(`${colors.green}✓${colors.reset} Postgres ready at ${this.database.host}:${this.database.port}/${this.database.database}`);
+  }
+
+  // Recreates the tables from the given fixture files; safe to call again between runs
+  async loadFixtures(files = FIXTURES) {
+    this.pool = this.pool || new Pool(this.database);
+    for (const file of files) {
+      await this.pool.query(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8'));
+    }
+    console.log(`${colors.green}✓${colors.reset} Loaded ${files.join(', ')} from ${path.relative(ROOT, FIXTURES_DIR)}`);
+  }
+
+  async startStubs() {
+    const registry = loadRegistry();
+    fs.writeFileSync(this.registryFile, JSON.stringify({ ...registry, local: withStubPorts(registry.local) }, null, 2));
+    this.stubs = new LocalStubs(this.pool, this.environment);
+    const ports = await this.stubs.start();
+    console.log(`${colors.green}✓${colors.reset} Stub services listening on ports ${ports.join(', ')}`);
+  }
+
+  childEnv(overrides = {}) {
+    return {
+      ...process.env,
+      ENVIRONMENT: 'local',
+      ENVIRONMENTS_FILE: this.registryFile,
+      DB_HOST: this.database.host,
+      DB_PORT: String(this.database.port),
+      DB_NAME: this.database.database,
+      DB_USER: this.database.user,
+      SECRETS_FILE: this.secretsFile,
+      DRIFT_FIXTURE,
+      TEST_TENANTS_FILE: TENANTS_FILE,
+      CANARY_TENANTS_FILE: TENANTS_FILE,
+      HEALTH_HISTORY_DIR: this.reportsDir,
+      // Missing file: no notification channels, so failing fixtures do not page anyone
+      NOTIFICATIONS_FILE: path.join(this.reportsDir, 'notifications.json'),
+      ...childEnv(),
+      ...overrides
+    };
+  }
+
+  // Runs one script and lists the ways its exit code and report differ from the expectation.
+  // `prefix` names the report file when the same script runs several times.
+  async runScript(expectation, env = {}, prefix = '') {
+    const output = path.join(this.reportsDir, `${prefix}${expectation.name}.json`);
+    const args = [
+      path.join(__dirname, `${expectation.name}.js`),
+      '--env', 'local', '--format', 'json', '--output', output,
+      ...(expectation.args || [])
+    ];
+
+    console.log(`\n${colors.blue}${colors.bold}▶ ${expectation.name}${colors.reset}`);
+    const result = await run(process.execPath, args, { cwd: ROOT, env: this.childEnv(env) });
+    const mismatches = [];
+
+    if (result.code !== expectation.exitCode) {
+      mismatches.push(`exit code ${result.code}, expected ${expectation.exitCode}`);
+    }
+
+    let report;
+    try {
+      report = JSON.parse(fs.readFileSync(output, 'utf-8'));
+    } catch (error) {
+      mismatches.push(`no report at ${output}`);
+      return { name: expectation.name, mismatches };
+    }
+
+    const checks = new Map(report.checks.map(check => [check.name, check]));
+    Object.entries(expectation.checks).forEach(([name, status]) => {
+      const check = checks.get(name);
+      if (!check) {
+        mismatches.push(`${name}: missing, expected ${status}`);
+      } else if (check.status !== status) {
+        mismatches.push(`${name}: ${check.status}, expected ${status}${check.error ? ` (${check.error})` : ''}`);
+      }
+    });
+    const ignored = expectation.ignore || [];
+    report.checks
+      .filter(check => !(check.name in expectation.checks) && !ignored.includes(check.name))
+      .filter(check => check.status !== STATUS.PASSED)
+      .forEach(check => mismatches.push(`${check.name}: ${check.status}, expected passed${check.error ? ` (${check.error})` : ''}`));
+
+    return { name: expectation.name, mismatches };
+  }
+
+  async stop() {
+    if (this.stubs) await this.stubs.stop();
+    if (this.pool) await this.pool.end();
+    if (this.docker && !this.keep) {
+      await run('docker', ['compose', 'stop', 'postgres'], { cwd: ROOT });
+    }
+  }
+
+  printSummary(results, title = 'Local harness results') {
+    console.log(`\n${colors.bold}📊 ${title}${colors.reset}`);
+    results.forEach(result => {
+      if (result.mismatches.length === 0) {
+        console.log(`${colors.green}✓${colors.reset} ${result.name}`);
+        return;
+      }
+      console.log(`${colors.red}✗${colors.reset} ${result.name}`);
+      result.mismatches.forEach(mismatch => console.log(`    ${colors.red}${mismatch}${colors.reset}`));
+    });
+    console.log(`\nReports: ${this.reportsDir}`);
+  }
+
+  async run() {
+    console.log(`${colors.blue}${colors.bold}🧪 Local full-stack harness${colors.reset}`);
+    const expectations = EXPECTATIONS.filter(expectation => !this.only || this.only.includes(expectation.name));
+    const results = [];
+
+    try {
+      await this.startDatabase();
+      await this.loadFixtures();
+      await this.startStubs();
+
+      for (const expectation of expectations) {
+        results.push(await this.runScript(expectation));
+      }
+    } finally {
+      await this.stop();
+    }
+
+    this.printSummary(results);
+    return results.every(result => result.mismatches.length === 0);
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  // --no-docker uses an already running Postgres, --keep leaves the container up,
+  // --only <script,...> runs a subset, --reports <dir> keeps the JSON reports there
+  initLogging('local-harness', { environment: 'local' });
+  const { options } = parseArgs();
+
+  Promise.resolve()
+    .then(() => new LocalHarness({
+      docker: !options['no-docker'],
+      keep: options.keep,
+      only: options.only,
+      reportsDir: options.reports
+    }).run())
+    .then(passed => {
+      console.log(passed
+        ? `${colors.green}${colors.bold}✓ Every check matched the fixtures${colors.reset}`
+        : `${colors.red}${colors.bold}✗ Results differ from the fixtures${colors.reset}`);
+      process.exit(passed ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Local harness failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { EXPECTATIONS, FIXTURES, LocalHarness };
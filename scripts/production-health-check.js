@@ -1,59 +1,18 @@
 #!/usr/bin/env node
 
-const https = require('https');
-const { execSync } = require('child_process');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { STATUS, runCheck, createResult, summarize } = require('./lib/check-runner');
+const { selectEnvironment } = require('./lib/environments');
+const { resolveEnvironment } = require('./lib/endpoint-resolver');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { initLogging } = require('./lib/logger');
 
-// Production health check configuration
+// Production health check configuration; endpoints and check lists come from config/environments.json
 const config = {
-  environment: process.env.ENVIRONMENT || 'dev',
-  region: process.env.AWS_REGION || 'us-east-1',
   timeout: 10000,
-  retries: 3
-};
-
-// Core services that must be healthy for production readiness
-const healthChecks = {
-  // CloudFront (CDN)
-  cdn: [
-    {
-      name: 'CloudFront Distribution',
-      url: 'https://dz2lwnpg8aefz.cloudfront.net/health',
-      fallback: 'https://dz2lwnpg8aefz.cloudfront.net',
-      critical: true
-    }
-  ],
-  
-  // API Gateway
-  api: [
-    {
-      name: 'API Gateway Health',
-      url: 'https://c39q8sqdp8.execute-api.us-east-1.amazonaws.com/dev/health',
-      critical: true
-    },
-    {
-      name: 'API Gateway Auth',
-      url: 'https://c39q8sqdp8.execute-api.us-east-1.amazonaws.com/dev/auth/health',
-      expectedStatus: [200, 403], // 403 is acceptable (auth required)
-      critical: true
-    }
-  ],
-  
-  // DNS Resolution
-  dns: [
-    {
-      name: 'Custom Domain',
-      url: 'https://dev.visualforge.ai',
-      critical: false, // Optional during development
-      timeout: 5000
-    }
-  ]
-};
-
-let results = {
-  passed: 0,
-  failed: 0,
-  warnings: 0,
-  critical_failures: []
+  retries: 2, // Retry attempts per URL after the first failure
+  retryDelay: 1000
 };
 
 const colors = {
@@ -65,198 +24,221 @@ const colors = {
   bold: '\x1b[1m'
 };
 
-function makeRequest(url, expectedStatus = [200], timeout = config.timeout) {
-  return new Promise((resolve) => {
-    const startTime = Date.now();
-    
-    const request = https.get(url, { timeout }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        const responseTime = Date.now() - startTime;
-        const statusOk = expectedStatus.includes(res.statusCode);
-        
-        resolve({
-          success: statusOk,
-          statusCode: res.statusCode,
-          responseTime,
-          data: data.substring(0, 200) // Limit data size
-        });
-      });
-    });
-    
-    request.on('error', (err) => {
-      resolve({
-        success: false,
-        error: err.message,
-        responseTime: Date.now() - startTime
-      });
-    });
-    
-    request.on('timeout', () => {
-      request.destroy();
-      resolve({
-        success: false,
-        error: 'Request timeout',
-        responseTime: timeout
-      });
-    });
-  });
+// AWS CLI calls run asynchronously so the dashboard, which runs this check in-process, keeps serving
+async function aws(args) {
+  const { stdout } = await promisify(execFile)('aws', args, { encoding: 'utf-8', timeout: config.timeout * 3 });
+  return stdout;
 }
 
-async function testEndpoint(test) {
-  const expectedStatus = test.expectedStatus || [200];
-  const timeout = test.timeout || config.timeout;
-  
-  let result = await makeRequest(test.url, expectedStatus, timeout);
-  
-  // Try fallback if primary fails
-  if (!result.success && test.fallback) {
-    result = await makeRequest(test.fallback, expectedStatus, timeout);
+class ProductionHealthCheck {
+  constructor(options = {}) {
+    this.environment = options.environment || selectEnvironment();
+    this.config = {
+      ...config,
+      environment: this.environment.name,
+      region: process.env.AWS_REGION || this.environment.region,
+      ...options.config
+    };
+    this.healthChecks = options.healthChecks || this.environment.checks;
+    this.checks = [];
+  }
+
+  // Keep the measured outcome of every check so callers can report on real data
+  recordCheck(result, category) {
+    this.checks.push({ ...result, category });
   }
-  
-  if (result.success) {
-    console.log(`${colors.green}✓${colors.reset} ${test.name} - Status: ${result.statusCode} (${result.responseTime}ms)`);
-    results.passed++;
-  } else {
-    if (test.critical) {
-      console.log(`${colors.red}✗${colors.reset} ${test.name} - ${result.error || `Status: ${result.statusCode}`} (${result.responseTime}ms)`);
-      results.failed++;
-      results.critical_failures.push(test.name);
+
+  async testEndpoint(test, category) {
+    const result = await runCheck({
+      timeout: this.config.timeout,
+      retries: this.config.retries,
+      retryDelay: this.config.retryDelay,
+      ...test
+    });
+    
+    if (result.status === STATUS.PASSED) {
+      console.log(`${colors.green}✓${colors.reset} ${test.name} - Status: ${result.statusCode} (${result.responseTime}ms)`);
+    } else if (result.status === STATUS.CRITICAL) {
+      console.log(`${colors.red}✗${colors.reset} ${test.name} - ${result.error} (${result.responseTime}ms)`);
     } else {
-      console.log(`${colors.yellow}⚠${colors.reset} ${test.name} - ${result.error || `Status: ${result.statusCode}`} (non-critical)`);
-      results.warnings++;
+      console.log(`${colors.yellow}⚠${colors.reset} ${test.name} - ${result.error} (non-critical)`);
     }
+
+    this.recordCheck(result, category);
   }
-}
 
-async function checkAWSServices() {
-  console.log(`\n${colors.blue}═══ AWS Services Health ═══${colors.reset}`);
-  
-  try {
-    // Check if AWS CLI is available
-    execSync('aws --version', { stdio: 'ignore' });
+  async checkAWSServices() {
+    console.log(`\n${colors.blue}═══ AWS Services Health ═══${colors.reset}`);
     
-    // Check Lambda functions (non-critical)
     try {
-      const lambdas = execSync(
-        `aws lambda list-functions --region ${config.region} --query "Functions[?contains(FunctionName, '${config.environment}-')].FunctionName" --output text`,
-        { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }
-      ).trim();
+      // Check if AWS CLI is available
+      await aws(['--version']);
       
-      if (lambdas) {
-        const functionCount = lambdas.split('\n').filter(f => f.trim()).length;
-        console.log(`${colors.green}✓${colors.reset} Lambda Functions - Found ${functionCount} functions`);
-        results.passed++;
-      } else {
-        console.log(`${colors.yellow}⚠${colors.reset} Lambda Functions - No functions found (may not be deployed)`);
-        results.warnings++;
+      // Check Lambda functions (non-critical)
+      let startTime = Date.now();
+      try {
+        const lambdas = (await aws([
+          'lambda', 'list-functions', '--region', this.config.region,
+          '--query', `Functions[?contains(FunctionName, '${this.environment.stackPrefix}-')].FunctionName`,
+          '--output', 'text'
+        ])).trim();
+        
+        if (lambdas) {
+          const functionCount = lambdas.split('\n').filter(f => f.trim()).length;
+          console.log(`${colors.green}✓${colors.reset} Lambda Functions - Found ${functionCount} functions`);
+          this.recordCheck(createResult('Lambda Functions', STATUS.PASSED, { responseTime: Date.now() - startTime }), 'aws');
+        } else {
+          console.log(`${colors.yellow}⚠${colors.reset} Lambda Functions - No functions found (may not be deployed)`);
+          this.recordCheck(createResult('Lambda Functions', STATUS.WARNING, {
+            responseTime: Date.now() - startTime,
+            error: 'No functions found'
+          }), 'aws');
+        }
+      } catch (err) {
+        const error = err.message.split('\n')[0];
+        console.log(`${colors.yellow}⚠${colors.reset} Lambda Functions - Unable to check (${error})`);
+        this.recordCheck(createResult('Lambda Functions', STATUS.WARNING, { responseTime: Date.now() - startTime, error }), 'aws');
       }
-    } catch (err) {
-      console.log(`${colors.yellow}⚠${colors.reset} Lambda Functions - Unable to check (${err.message.split('\n')[0]})`);
-      results.warnings++;
-    }
-    
-    // Check Cognito User Pool (non-critical)
-    try {
-      const pools = execSync(
-        `aws cognito-idp list-user-pools --max-results 10 --region ${config.region} --query "UserPools[?contains(Name, 'visualforge')].Name" --output text`,
-        { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }
-      ).trim();
       
-      if (pools && pools !== 'None') {
-        console.log(`${colors.green}✓${colors.reset} Cognito User Pool - Found: ${pools}`);
-        results.passed++;
-      } else {
-        console.log(`${colors.yellow}⚠${colors.reset} Cognito User Pool - Not found (may not be deployed)`);
-        results.warnings++;
+      // Check Cognito User Pool (non-critical)
+      startTime = Date.now();
+      try {
+        const pools = (await aws([
+          'cognito-idp', 'list-user-pools', '--max-results', '10', '--region', this.config.region,
+          '--query', "UserPools[?contains(Name, 'visualforge')].Name",
+          '--output', 'text'
+        ])).trim();
+        
+        if (pools && pools !== 'None') {
+          console.log(`${colors.green}✓${colors.reset} Cognito User Pool - Found: ${pools}`);
+          this.recordCheck(createResult('Cognito User Pool', STATUS.PASSED, { responseTime: Date.now() - startTime }), 'aws');
+        } else {
+          console.log(`${colors.yellow}⚠${colors.reset} Cognito User Pool - Not found (may not be deployed)`);
+          this.recordCheck(createResult('Cognito User Pool', STATUS.WARNING, {
+            responseTime: Date.now() - startTime,
+            error: 'User pool not found'
+          }), 'aws');
+        }
+      } catch (err) {
+        const error = err.message.split('\n')[0];
+        console.log(`${colors.yellow}⚠${colors.reset} Cognito User Pool - Unable to check (${error})`);
+        this.recordCheck(createResult('Cognito User Pool', STATUS.WARNING, { responseTime: Date.now() - startTime, error }), 'aws');
       }
+      
     } catch (err) {
-      console.log(`${colors.yellow}⚠${colors.reset} Cognito User Pool - Unable to check (${err.message.split('\n')[0]})`);
-      results.warnings++;
+      console.log(`${colors.yellow}⚠${colors.reset} AWS CLI not configured - Skipping AWS service checks`);
+      this.recordCheck(createResult('AWS CLI', STATUS.WARNING, { error: 'AWS CLI not configured' }), 'aws');
     }
-    
-  } catch (err) {
-    console.log(`${colors.yellow}⚠${colors.reset} AWS CLI not configured - Skipping AWS service checks`);
-    results.warnings++;
   }
-}
 
-async function runHealthChecks() {
-  console.log(`${colors.blue}${colors.bold}╔════════════════════════════════════════╗${colors.reset}`);
-  console.log(`${colors.blue}${colors.bold}║     PRODUCTION HEALTH CHECK SUITE      ║${colors.reset}`);
-  console.log(`${colors.blue}${colors.bold}║         Environment: ${config.environment.toUpperCase().padEnd(13)} ║${colors.reset}`);
-  console.log(`${colors.blue}${colors.bold}╚════════════════════════════════════════╝${colors.reset}`);
-  
-  // Test CDN
-  console.log(`\n${colors.blue}═══ CDN Health ═══${colors.reset}`);
-  for (const test of healthChecks.cdn) {
-    await testEndpoint(test);
-  }
-  
-  // Test API Gateway
-  console.log(`\n${colors.blue}═══ API Gateway Health ═══${colors.reset}`);
-  for (const test of healthChecks.api) {
-    await testEndpoint(test);
-  }
-  
-  // Test DNS
-  console.log(`\n${colors.blue}═══ DNS Resolution ═══${colors.reset}`);
-  for (const test of healthChecks.dns) {
-    await testEndpoint(test);
+  getSummary() {
+    const summary = summarize(this.checks);
+
+    return {
+      environment: this.config.environment,
+      ...summary,
+      productionReady: summary.criticalFailures.length === 0,
+      checks: [...this.checks]
+    };
   }
-  
-  // Test AWS Services
-  await checkAWSServices();
-  
-  // Generate Report
-  console.log(`\n${colors.blue}${colors.bold}╔════════════════════════════════════════╗${colors.reset}`);
-  console.log(`${colors.blue}${colors.bold}║           HEALTH CHECK SUMMARY          ║${colors.reset}`);
-  console.log(`${colors.blue}${colors.bold}╚════════════════════════════════════════╝${colors.reset}`);
-  
-  const total = results.passed + results.failed + results.warnings;
-  const healthScore = total > 0 ? Math.round((results.passed / total) * 100) : 0;
-  
-  console.log(`${colors.green}  ✓ Passed:   ${results.passed}${colors.reset}`);
-  console.log(`${colors.red}  ✗ Failed:   ${results.failed}${colors.reset}`);
-  console.log(`${colors.yellow}  ⚠ Warnings: ${results.warnings}${colors.reset}`);
-  console.log(`\n  Health Score: ${healthScore}%`);
-  
-  // Production Readiness Assessment
-  if (results.critical_failures.length === 0) {
-    if (results.failed === 0) {
+
+  async runHealthChecks() {
+    console.log(`${colors.blue}${colors.bold}╔════════════════════════════════════════╗${colors.reset}`);
+    console.log(`${colors.blue}${colors.bold}║     PRODUCTION HEALTH CHECK SUITE      ║${colors.reset}`);
+    console.log(`${colors.blue}${colors.bold}║         Environment: ${this.config.environment.toUpperCase().padEnd(13)} ║${colors.reset}`);
+    console.log(`${colors.blue}${colors.bold}╚════════════════════════════════════════╝${colors.reset}`);
+
+    if (this.environment.endpointSources) {
+      console.log(`\n${colors.blue}Endpoints resolved from stack outputs:${colors.reset}`);
+      Object.entries(this.environment.endpointSources).forEach(([endpoint, source]) => {
+        console.log(`  ${endpoint}: ${this.environment.endpoints[endpoint]} (${source})`);
+      });
+      this.environment.unresolvedOutputs.forEach(source => {
+        console.log(`${colors.yellow}⚠${colors.reset} Stack output ${source} not found - using registry value`);
+      });
+    }
+    
+    // Test CDN
+    console.log(`\n${colors.blue}═══ CDN Health ═══${colors.reset}`);
+    for (const test of this.healthChecks.cdn || []) {
+      await this.testEndpoint(test, 'cdn');
+    }
+    
+    // Test API Gateway
+    console.log(`\n${colors.blue}═══ API Gateway Health ═══${colors.reset}`);
+    for (const test of this.healthChecks.api || []) {
+      await this.testEndpoint(test, 'api');
+    }
+    
+    // Test DNS
+    console.log(`\n${colors.blue}═══ DNS Resolution ═══${colors.reset}`);
+    for (const test of this.healthChecks.dns || []) {
+      await this.testEndpoint(test, 'dns');
+    }
+    
+    // Test AWS Services
+    await this.checkAWSServices();
+    
+    // Generate Report
+    console.log(`\n${colors.blue}${colors.bold}╔════════════════════════════════════════╗${colors.reset}`);
+    console.log(`${colors.blue}${colors.bold}║           HEALTH CHECK SUMMARY          ║${colors.reset}`);
+    console.log(`${colors.blue}${colors.bold}╚════════════════════════════════════════╝${colors.reset}`);
+    
+    const summary = this.getSummary();
+    
+    console.log(`${colors.green}  ✓ Passed:   ${summary.passed}${colors.reset}`);
+    console.log(`${colors.red}  ✗ Failed:   ${summary.failed}${colors.reset}`);
+    console.log(`${colors.yellow}  ⚠ Warnings: ${summary.warnings}${colors.reset}`);
+    console.log(`\n  Health Score: ${summary.healthScore}%`);
+    
+    // Production Readiness Assessment
+    if (summary.productionReady) {
       console.log(`\n${colors.green}${colors.bold}🎉 PRODUCTION READY!${colors.reset}`);
       console.log('✅ All critical services are healthy');
       console.log('✅ No blocking issues detected');
-      if (results.warnings > 0) {
-        console.log(`⚠️  ${results.warnings} non-critical warnings (acceptable)`);
+      if (summary.warnings > 0) {
+        console.log(`⚠️  ${summary.warnings} non-critical warnings (acceptable)`);
       }
-      process.exit(0);
     } else {
-      console.log(`\n${colors.yellow}${colors.bold}⚠️  MOSTLY READY${colors.reset}`);
-      console.log('✅ All critical services are healthy');
-      console.log('⚠️  Some non-critical services have issues');
-      process.exit(0);
+      console.log(`\n${colors.red}${colors.bold}❌ NOT PRODUCTION READY${colors.reset}`);
+      console.log('❌ Critical services are failing:');
+      summary.criticalFailures.forEach(service => {
+        console.log(`   - ${service}`);
+      });
+      console.log('\n🔧 Fix critical issues before deploying to production');
     }
-  } else {
-    console.log(`\n${colors.red}${colors.bold}❌ NOT PRODUCTION READY${colors.reset}`);
-    console.log('❌ Critical services are failing:');
-    results.critical_failures.forEach(service => {
-      console.log(`   - ${service}`);
-    });
-    console.log('\n🔧 Fix critical issues before deploying to production');
-    process.exit(1);
+
+    return summary;
   }
 }
 
-// Error handling
-process.on('unhandledRejection', (err) => {
-  console.error(`${colors.red}Unhandled error:${colors.reset}`, err.message);
-  process.exit(1);
-});
+// Main execution
+if (require.main === module) {
+  // Error handling
+  initLogging('production-health-check');
+  process.on('unhandledRejection', (err) => {
+    console.error(`${colors.red}Unhandled error:${colors.reset}`, err.message);
+    process.exit(1);
+  });
+
+  // Run the health checks (select the target with --env dev|stg|prd; resolve endpoints
+  // from CloudFormation with --resolve-endpoints or --stack-outputs <describe-stacks.json>;
+  // emit a report with --format json|junit|tap and --output <file>)
+  let reporting;
+  Promise.resolve()
+    .then(() => {
+      reporting = prepareReporting();
+      return resolveEnvironment();
+    })
+    .then(environment => new ProductionHealthCheck({ environment }).runHealthChecks())
+    .then(summary => {
+      writeReport(buildReport('production-health-check', summary.environment, summary.checks), reporting);
+      process.exit(summary.productionReady ? 0 : 1);
+    })
+    .catch(err => {
+      console.error(`${colors.red}Health check failed:${colors.reset}`, err.message);
+      process.exit(1);
+    });
+}
 
-// Run the health checks
-runHealthChecks().catch(err => {
-  console.error(`${colors.red}Health check failed:${colors.reset}`, err.message);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = { ProductionHealthCheck };
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+const { parseArgs } = require('./lib/cli');
+const { STATUS, createResult } = require('./lib/check-runner');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { SecretScanner, describeFinding, loadAuditConfig } = require('./lib/secret-scanner');
+const { initLogging } = require('./lib/logger');
+
+// Scans templates, parameter files, config and scripts for committed credentials;
+// allowed values and scan paths come from config/secrets-audit.json
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// One check per scanned file; any finding is critical
+function findingsToChecks(scan) {
+  return scan.files.map(file => {
+    const findings = scan.findings.filter(finding => finding.file === file);
+    return createResult(file, findings.length > 0 ? STATUS.CRITICAL : STATUS.PASSED, {
+      critical: findings.length > 0,
+      error: findings.length > 0 ? findings.map(describeFinding).join('; ') : null,
+      details: findings
+    });
+  });
+}
+
+function runAudit(options = {}) {
+  console.log(`${colors.blue}${colors.bold}🔑 Secrets audit${colors.reset}`);
+  const config = loadAuditConfig(options.config);
+  const scanner = new SecretScanner({ ...config, root: options.root });
+  const scan = scanner.scan(options.paths && options.paths.length > 0 ? options.paths : undefined);
+
+  console.log(`Files scanned: ${scan.files.length}, allowed values: ${scan.allowed.length}`);
+  const suggestions = new Set();
+  scan.findings.forEach(finding => {
+    console.log(`${colors.red}✗${colors.reset} ${describeFinding(finding)}`);
+    suggestions.add(finding.suggestion);
+  });
+  if (options.verbose) {
+    scan.allowed.forEach(finding => {
+      console.log(`${colors.yellow}⚠${colors.reset} ${describeFinding(finding)} - allowed: ${finding.reason}`);
+    });
+  }
+  if (suggestions.size > 0) {
+    console.log(`\n${colors.bold}How to fix:${colors.reset}`);
+    suggestions.forEach(suggestion => console.log(`  - ${suggestion}`));
+    // Fixing the file leaves the value in every earlier commit
+    console.log(`  - ${colors.yellow}Rotate every credential found here:${colors.reset} removing it from the file does not remove it from git history`);
+  }
+
+  return { scan, checks: findingsToChecks(scan) };
+}
+
+// Main execution
+if (require.main === module) {
+  // [path ...] scans only those files or directories; --config <file> replaces
+  // config/secrets-audit.json; --verbose also lists allowed values
+  initLogging('secrets-audit', { environment: 'all' });
+  const { options, positional } = parseArgs();
+  let reporting;
+
+  Promise.resolve()
+    .then(() => {
+      reporting = prepareReporting();
+      return runAudit({ config: options.config, paths: positional, verbose: options.verbose });
+    })
+    .then(({ scan, checks }) => {
+      const count = scan.findings.length;
+      console.log(count > 0
+        ? `\n${colors.red}${colors.bold}❌ ${count} committed secrets found${colors.reset}`
+        : `\n${colors.green}${colors.bold}✅ No committed secrets${colors.reset}`);
+
+      writeReport(buildReport('secrets-audit', 'all', checks, {
+        findings: count,
+        allowed: scan.allowed.map(({ file, line, key, reason }) => ({ file, line, key, reason }))
+      }), reporting);
+      process.exit(count > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Secrets audit failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runAudit, findingsToChecks };
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { parseArgs } = require('./lib/cli');
+const { STATUS, createResult } = require('./lib/check-runner');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { selectEnvironment } = require('./lib/environments');
+const { StackGraph, renderDot, renderMermaid } = require('./lib/stack-graph');
+const { initLogging } = require('./lib/logger');
+
+// Deploy order for the CloudFormation stacks, from the Export/ImportValue and nested stack
+// dependencies between cloudformation/templates; offline, no AWS credentials needed
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  gray: '\x1b[90m',
+  bold: '\x1b[1m'
+};
+
+const RENDERERS = {
+  dot: renderDot,
+  mermaid: renderMermaid
+};
+
+function describeStep(step) {
+  const parts = [step.template];
+  if (step.stackName) parts.push(`→ ${step.stackName}`);
+  if (!step.stack) parts.push(`${colors.gray}(not deployed by the workflow)${colors.reset}`);
+  if (step.nestedIn.length > 0) parts.push(`${colors.gray}(nested in ${step.nestedIn.join(', ')})${colors.reset}`);
+  if (step.missing) parts.push(`${colors.yellow}(template missing)${colors.reset}`);
+  return parts.join(' ');
+}
+
+function printPlan(plan) {
+  const title = plan.stack
+    ? `${plan.targets[0]} and everything that depends on it`
+    : 'every catalogued stack and its dependencies';
+  console.log(`\n${colors.bold}Deploy plan for ${plan.environment}: ${title}${colors.reset}`);
+
+  let wave = 0;
+  plan.steps.forEach(step => {
+    if (step.wave !== wave) {
+      wave = step.wave;
+      console.log(`${colors.blue}Wave ${wave}${colors.reset}`);
+    }
+    const after = step.dependsOn.length > 0 ? ` ${colors.gray}after ${step.dependsOn.join(', ')}${colors.reset}` : '';
+    console.log(`  ${step.order}. ${describeStep(step)}${after}`);
+  });
+
+  if (plan.prerequisites.length > 0) {
+    console.log(`\n${colors.bold}Must already be deployed:${colors.reset}`);
+    plan.prerequisites.forEach(entry => console.log(`  - ${describeStep(entry)}`));
+  }
+}
+
+function planChecks(graph, plan, planError) {
+  const cycles = graph.cycles();
+  const unresolved = plan ? plan.unresolved : graph.unresolved;
+  const missing = plan ? [...plan.steps, ...plan.prerequisites].filter(entry => entry.missing) : [];
+
+  return [
+    createResult('Dependency Cycles', cycles.length > 0 ? STATUS.CRITICAL : STATUS.PASSED, {
+      critical: cycles.length > 0,
+      error: cycles.length > 0 ? cycles.map(cycle => cycle.join(' -> ')).join('; ') : null,
+      details: cycles
+    }),
+    // A template that cannot be read is missing from the graph, so the plan cannot be trusted
+    createResult('Template Parsing', graph.errors.length > 0 ? STATUS.CRITICAL : STATUS.PASSED, {
+      critical: graph.errors.length > 0,
+      error: graph.errors.length > 0
+        ? graph.errors.map(entry => `${entry.template}: ${entry.message}`).join('; ')
+        : null,
+      details: graph.errors
+    }),
+    createResult('Unresolved Imports', unresolved.length > 0 ? STATUS.WARNING : STATUS.PASSED, {
+      error: unresolved.length > 0
+        ? unresolved.map(entry => `${entry.template} imports ${entry.pattern}, which no template exports`).join('; ')
+        : null,
+      details: unresolved
+    }),
+    createResult('Nested Templates', missing.length > 0 ? STATUS.WARNING : STATUS.PASSED, {
+      error: missing.length > 0
+        ? missing.map(entry => `${entry.template} is not in cloudformation/templates`).join('; ')
+        : null,
+      details: missing.map(entry => ({ template: entry.template, nestedIn: entry.nestedIn }))
+    }),
+    createResult('Deploy Plan', planError ? STATUS.CRITICAL : STATUS.PASSED, {
+      critical: Boolean(planError),
+      error: planError ? planError.message : null,
+      details: plan ? { steps: plan.steps.length, waves: Math.max(0, ...plan.steps.map(step => step.wave)) } : null
+    })
+  ];
+}
+
+function runPlan(options = {}) {
+  const environment = options.environment;
+  console.log(`${colors.blue}${colors.bold}🗺️  Stack deploy plan (${environment.name})${colors.reset}`);
+  const graph = new StackGraph({ templatesDir: options.templatesDir }).build();
+  console.log(`Templates: ${graph.nodes.size}, dependencies: ${graph.edges.length}`);
+  graph.errors.forEach(entry => console.log(`${colors.red}✗${colors.reset} ${entry.template}: ${entry.message}`));
+
+  let plan = null;
+  let planError = null;
+  try {
+    plan = graph.plan({ stack: options.stack, environment, all: options.all });
+    printPlan(plan);
+  } catch (error) {
+    // An unknown stack is a usage error; a cycle is reported as a failed check
+    if (!/^Dependency cycle/.test(error.message)) throw error;
+    planError = error;
+    console.log(`${colors.red}✗${colors.reset} ${error.message}`);
+  }
+
+  if (options.graph) {
+    const render = RENDERERS[options.graph];
+    if (!render) {
+      throw new Error(`Unknown graph format "${options.graph}". Expected one of: ${Object.keys(RENDERERS).join(', ')}`);
+    }
+    const text = render(graph, plan, environment);
+    if (options.graphOutput) {
+      fs.writeFileSync(options.graphOutput, text);
+      console.log(`\nGraph written to ${options.graphOutput}`);
+    } else {
+      process.stdout.write(`\n${text}`);
+    }
+  }
+
+  return { environment, graph, plan, checks: planChecks(graph, plan, planError) };
+}
+
+// Main execution
+if (require.main === module) {
+  // --env dev|stg|prd; --stack <name> (or a positional name) plans that stack and its dependents,
+  // named as the workflow's stack_name input or by template; --all plans every template;
+  // --graph dot|mermaid renders the plan's graph (the whole graph with --all), to stdout or
+  // --graph-output <file>; --templates <dir> defaults to cloudformation/templates
+  initLogging('stack-plan');
+  const { options, positional } = parseArgs();
+  let reporting;
+
+  Promise.resolve()
+    .then(() => {
+      reporting = prepareReporting();
+      const environment = selectEnvironment();
+      return runPlan({
+        environment,
+        stack: options.stack || positional[0],
+        all: Boolean(options.all),
+        graph: options.graph,
+        graphOutput: options['graph-output'],
+        templatesDir: options.templates
+      });
+    })
+    .then(({ environment, plan, checks }) => {
+      const failed = checks.filter(check => check.status === STATUS.CRITICAL);
+      console.log(failed.length > 0
+        ? `\n${colors.red}${colors.bold}❌ ${failed[0].error}${colors.reset}`
+        : `\n${colors.green}${colors.bold}✅ ${plan.steps.length} stack${plan.steps.length === 1 ? '' : 's'} to deploy${colors.reset}`);
+
+      writeReport(buildReport('stack-plan', environment.name, checks, { plan }), reporting);
+      process.exit(failed.length > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Stack plan failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runPlan, planChecks };
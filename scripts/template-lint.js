@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./lib/cli');
+const { STATUS, createResult } = require('./lib/check-runner');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { TemplateLinter, describeFinding } = require('./lib/template-linter');
+const { initLogging } = require('./lib/logger');
+
+// Offline lint of cloudformation/templates against each other and cloudformation/parameters;
+// no AWS credentials needed
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const BASELINE_FILE = path.join(__dirname, '..', 'config', 'template-lint-baseline.json');
+
+function baselineKey(finding) {
+  return [finding.type, finding.template, finding.name, finding.message].join('|');
+}
+
+function loadBaseline(file = BASELINE_FILE) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf-8')).findings || [];
+}
+
+function writeBaseline(result, file = BASELINE_FILE) {
+  const findings = result.findings
+    .filter(finding => finding.severity === 'error')
+    .map(({ type, template, name, message }) => ({ type, template, name, message }))
+    .sort((a, b) => baselineKey(a).localeCompare(baselineKey(b)));
+  fs.writeFileSync(file, `${JSON.stringify({ findings }, null, 2)}\n`);
+  return findings.length;
+}
+
+// Errors already recorded in the baseline are downgraded to warnings so only new ones fail;
+// returns the baseline entries that no longer occur
+function applyBaseline(result, baseline) {
+  const known = new Set(baseline.map(baselineKey));
+  const seen = new Set();
+
+  result.findings.forEach(finding => {
+    const key = baselineKey(finding);
+    if (finding.severity !== 'error' || !known.has(key)) return;
+    finding.severity = 'warning';
+    finding.baselined = true;
+    seen.add(key);
+  });
+
+  return baseline.filter(entry => !seen.has(baselineKey(entry)));
+}
+
+// One check per template (and per unreadable parameter file): critical on errors, warning on warnings
+function findingsToChecks(result, names) {
+  const files = [...result.templates.map(template => template.name), ...result.findings
+    .filter(finding => finding.type === 'parse')
+    .map(finding => finding.template)];
+
+  return [...new Set(files)]
+    .filter(name => !names || names.includes(name))
+    .sort()
+    .map(name => {
+      const findings = result.findings.filter(finding => finding.template === name);
+      const errors = findings.filter(finding => finding.severity === 'error');
+
+      let status = STATUS.PASSED;
+      if (errors.length > 0) {
+        status = STATUS.CRITICAL;
+      } else if (findings.length > 0) {
+        status = STATUS.WARNING;
+      }
+
+      return createResult(name, status, {
+        critical: errors.length > 0,
+        error: findings.length > 0 ? findings.map(describeFinding).join('; ') : null,
+        details: findings
+      });
+    });
+}
+
+function runLint(options = {}) {
+  console.log(`${colors.blue}${colors.bold}🧹 CloudFormation template lint${colors.reset}`);
+  const result = new TemplateLinter({
+    templatesDir: options.templatesDir,
+    parametersDir: options.parametersDir
+  }).lint();
+  const baseline = options.baseline === false ? [] : loadBaseline(options.baseline);
+  const fixed = applyBaseline(result, baseline);
+  // Cross-template checks always see every template; only the named ones are reported
+  const names = options.templates && options.templates.length > 0
+    ? options.templates.map(template => path.basename(template))
+    : null;
+
+  console.log(`Templates: ${result.templates.length}, parameter files: ${result.parameterFiles.join(', ') || 'none'}`);
+  const checks = findingsToChecks(result, names);
+  checks.forEach(check => {
+    if (check.status === STATUS.PASSED) {
+      console.log(`${colors.green}✓${colors.reset} ${check.name}`);
+      return;
+    }
+    check.details.forEach(finding => {
+      const icon = finding.severity === 'error' ? `${colors.red}✗` : `${colors.yellow}⚠`;
+      const known = finding.baselined ? ' (baseline)' : '';
+      console.log(`${icon}${colors.reset} ${check.name}: ${describeFinding(finding)}${known}`);
+    });
+  });
+  if (fixed.length > 0) {
+    console.log(`${colors.green}${fixed.length} baseline findings no longer occur; run with --update-baseline to drop them${colors.reset}`);
+  }
+
+  return { result, checks };
+}
+
+// Main execution
+if (require.main === module) {
+  // [template ...] limits the report to those templates; --templates <dir> and --parameters <dir>
+  // default to cloudformation/templates and cloudformation/parameters. Errors listed in
+  // config/template-lint-baseline.json (--baseline <file>) are reported without failing;
+  // --no-baseline reports them as errors and --update-baseline rewrites the file
+  initLogging('template-lint', { environment: 'all' });
+  const { options, positional } = parseArgs();
+  let reporting;
+
+  Promise.resolve()
+    .then(() => {
+      if (options['update-baseline']) {
+        const result = new TemplateLinter({
+          templatesDir: options.templates,
+          parametersDir: options.parameters
+        }).lint();
+        const count = writeBaseline(result, typeof options.baseline === 'string' ? options.baseline : undefined);
+        console.log(`${colors.green}✅ Baseline updated with ${count} errors${colors.reset}`);
+        process.exit(0);
+      }
+      reporting = prepareReporting();
+      return runLint({
+        baseline: options['no-baseline'] ? false : options.baseline,
+        templatesDir: options.templates,
+        parametersDir: options.parameters,
+        templates: positional
+      });
+    })
+    .then(({ result, checks }) => {
+      const findings = checks.flatMap(check => check.details);
+      const errors = findings.filter(finding => finding.severity === 'error').length;
+      const baselined = findings.filter(finding => finding.baselined).length;
+      const warnings = findings.length - errors - baselined;
+      const known = baselined > 0 ? ` (${baselined} baseline errors)` : '';
+      console.log(errors > 0
+        ? `\n${colors.red}${colors.bold}❌ ${errors} errors, ${warnings} warnings${known}${colors.reset}`
+        : `\n${colors.green}${colors.bold}✅ No errors${warnings > 0 ? `, ${warnings} warnings` : ''}${known}${colors.reset}`);
+
+      writeReport(buildReport('template-lint', 'all', checks, {
+        templates: result.templates,
+        parameterFiles: result.parameterFiles
+      }), reporting);
+      process.exit(errors > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Template lint failed:${colors.reset}`, error.message);
+      process.exit(2);
+    });
+}
+
+module.exports = { runLint, findingsToChecks, applyBaseline, loadBaseline };
@@ -1,33 +1,40 @@
 #!/usr/bin/env node
 
-const { Client } = require('pg');
-const https = require('https');
-const http = require('http');
-
-// Tenant health monitoring configuration
-const config = {
-  database: {
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME || 'visualforge',
-    user: process.env.DB_USER || 'apiuser',
-    password: process.env.DB_PASSWORD || 'vsForgeP@ss!'
-  },
-  monitoring: {
-    checkInterval: process.env.MONITOR_INTERVAL || 300000, // 5 minutes
-    alertThresholds: {
-      responseTime: parseInt(process.env.RESPONSE_TIME_THRESHOLD) || 5000, // 5 seconds
-      errorRate: parseFloat(process.env.ERROR_RATE_THRESHOLD) || 0.1, // 10%
-      tenantIsolationViolations: 0 // Zero tolerance
+const EventEmitter = require('events');
+const { Client, Pool } = require('pg');
+const { parseArgs } = require('./lib/cli');
+const { STATUS, runCheck, createResult } = require('./lib/check-runner');
+const { selectEnvironment, databaseConfig } = require('./lib/environments');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { Notifier, eventsFromChecks } = require('./lib/notifier');
+const { IsolationAuditor, describeFinding } = require('./lib/isolation-auditor');
+const { PlanCatalog, formatUsage } = require('./lib/plan-catalog');
+const { loadTestTenants } = require('./lib/test-tenants');
+const { probeTenants } = require('./lib/tenant-probes');
+const { initLogging } = require('./lib/logger');
+
+// Tenant health monitoring configuration; database and service URLs come from the environment registry
+function buildConfig(environment) {
+  return {
+    database: databaseConfig(environment),
+    monitoring: {
+      checkInterval: parseInt(process.env.MONITOR_INTERVAL) || 300000, // 5 minutes
+      errorRateWindow: parseInt(process.env.ERROR_RATE_WINDOW) || 12, // checks per service (1 hour at 5 minutes)
+      canarySample: parseInt(process.env.CANARY_SAMPLE) || null, // tenants probed per cycle (default all)
+      alertThresholds: {
+        responseTime: parseInt(process.env.RESPONSE_TIME_THRESHOLD) || 5000, // 5 seconds
+        errorRate: parseFloat(process.env.ERROR_RATE_THRESHOLD) || 0.1, // 10%
+        tenantIsolationViolations: 0 // Zero tolerance
+      }
+    },
+    services: {
+      auth: process.env.AUTH_SERVICE_URL || environment.services.auth,
+      user: process.env.USER_SERVICE_URL || environment.services.user,
+      dashboard: process.env.DASHBOARD_SERVICE_URL || environment.services.dashboard,
+      payments: process.env.PAYMENTS_SERVICE_URL || environment.services.payments
     }
-  },
-  services: {
-    auth: process.env.AUTH_SERVICE_URL || 'http://localhost:4000',
-    user: process.env.USER_SERVICE_URL || 'http://localhost:4001',
-    dashboard: process.env.DASHBOARD_SERVICE_URL || 'http://localhost:4002',
-    payments: process.env.PAYMENTS_SERVICE_URL || 'http://localhost:4003'
-  }
-};
+  };
+}
 
 const colors = {
   reset: '\x1b[0m',
@@ -38,23 +45,55 @@ const colors = {
   bold: '\x1b[1m'
 };
 
-class TenantHealthMonitor {
-  constructor() {
+// Emits each notification the notifier sends under its kind ('alert', 'reminder', 'recovery'),
+// and 'cycle' after each watch run
+class TenantHealthMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.environment = options.environment || selectEnvironment();
+    this.config = buildConfig(this.environment);
+    if (options.interval) {
+      this.config.monitoring.checkInterval = options.interval;
+    }
+    this.planCatalog = options.planCatalog || new PlanCatalog();
     this.db = null;
     this.healthMetrics = {
       tenants: [],
+      isolation: null,
+      probes: [],
       services: {},
       alerts: []
     };
+    this.checks = [];
+    this.notifier = options.notifier || null;
+    // Canary users for the per-tenant probes (test-tenants file format)
+    this.canariesFile = options.canariesFile || process.env.CANARY_TENANTS_FILE || null;
+    this.canaries = null;
+
+    // Watch mode state, kept across cycles
+    this.watching = false;
+    this.timer = null;
+    this.currentCycle = null;
+    this.serviceOutcomes = {};
+  }
+
+  recordCheck(name, status, startTime, error = null) {
+    this.checks.push(createResult(name, status, {
+      responseTime: Date.now() - startTime,
+      error
+    }));
   }
 
   async connect() {
+    const startTime = Date.now();
     try {
-      this.db = new Client(config.database);
+      this.db = new Client(this.config.database);
       await this.db.connect();
       console.log(`${colors.green}✓${colors.reset} Connected to PostgreSQL database`);
+      this.recordCheck('Database Connection', STATUS.PASSED, startTime);
     } catch (error) {
       console.error(`${colors.red}✗${colors.reset} Database connection failed:`, error.message);
+      this.recordCheck('Database Connection', STATUS.CRITICAL, startTime, error.message);
       throw error;
     }
   }
@@ -94,72 +133,43 @@ class TenantHealthMonitor {
   async checkTenantIsolation() {
     console.log(`\n${colors.blue}═══ Tenant Isolation Health ═══${colors.reset}`);
     
+    const startTime = Date.now();
     const violations = [];
     
     try {
-      // Check for data leakage between tenants
-      const leakageCheck = await this.db.query(`
-        WITH tenant_data_counts AS (
-          SELECT 
-            t.id as tenant_id,
-            t.name as tenant_name,
-            COUNT(CASE WHEN tu.tenant_id != t.id THEN 1 END) as mismatched_users,
-            COUNT(CASE WHEN tus.tenant_id != t.id THEN 1 END) as mismatched_usage
-          FROM tenants t
-          LEFT JOIN tenant_users tu ON tu.tenant_id = t.id
-          LEFT JOIN tenant_usage_stats tus ON tus.tenant_id = t.id
-          WHERE t.status = 'active'
-          GROUP BY t.id, t.name
-        )
-        SELECT * FROM tenant_data_counts
-        WHERE mismatched_users > 0 OR mismatched_usage > 0
-      `);
-      
-      if (leakageCheck.rows.length > 0) {
-        leakageCheck.rows.forEach(row => {
-          violations.push(`Tenant ${row.tenant_name}: ${row.mismatched_users} user violations, ${row.mismatched_subscriptions} subscription violations`);
-        });
-      }
-      
-      // Check for orphaned data
-      const orphanCheck = await this.db.query(`
-        SELECT 
-          'tenant_users' as table_name,
-          COUNT(*) as orphan_count
-        FROM tenant_users tu 
-        LEFT JOIN tenants t ON tu.tenant_id = t.id 
-        WHERE t.id IS NULL
-        UNION ALL
-        SELECT 
-          'tenant_usage_stats' as table_name,
-          COUNT(*) as orphan_count
-        FROM tenant_usage_stats tus
-        LEFT JOIN tenants t ON tus.tenant_id = t.id 
-        WHERE t.id IS NULL
-      `);
-      
-      orphanCheck.rows.forEach(row => {
-        if (row.orphan_count > 0) {
-          violations.push(`${row.orphan_count} orphaned records in ${row.table_name} table`);
-        }
+      // Every tenant-owned table and foreign key in the schema, not just tenant_users
+      const audit = await new IsolationAuditor(this.db).audit();
+      this.healthMetrics.isolation = { violations: audit.violations, orphans: audit.orphans };
+
+      const warnings = [];
+      audit.findings.forEach(finding => {
+        const target = ['cross-tenant', 'orphaned'].includes(finding.type) ? violations : warnings;
+        target.push(describeFinding(finding));
       });
       
-      if (violations.length === 0) {
-        console.log(`${colors.green}✓${colors.reset} Tenant isolation - No violations detected`);
+      if (violations.length === 0 && warnings.length === 0) {
+        console.log(`${colors.green}✓${colors.reset} Tenant isolation - No violations across ${audit.tables.length} tenant tables`);
+        this.recordCheck('Tenant Isolation', STATUS.PASSED, startTime);
+      } else if (violations.length === 0) {
+        console.log(`${colors.yellow}⚠${colors.reset} Tenant isolation - ${warnings.length} warnings:`);
+        warnings.forEach(w => console.log(`  - ${w}`));
+        this.recordCheck('Tenant Isolation', STATUS.WARNING, startTime, warnings.join('; '));
       } else {
         console.log(`${colors.red}✗${colors.reset} Tenant isolation - ${violations.length} violations:`);
-        violations.forEach(v => console.log(`  - ${v}`));
+        [...violations, ...warnings].forEach(v => console.log(`  - ${v}`));
         this.healthMetrics.alerts.push({
           type: 'CRITICAL',
           service: 'Database',
           message: `Tenant isolation violations: ${violations.join(', ')}`,
           timestamp: new Date().toISOString()
         });
+        this.recordCheck('Tenant Isolation', STATUS.CRITICAL, startTime, violations.join('; '));
       }
       
     } catch (error) {
       console.error(`${colors.red}✗${colors.reset} Tenant isolation check failed:`, error.message);
       violations.push(`Isolation check failed: ${error.message}`);
+      this.recordCheck('Tenant Isolation', STATUS.CRITICAL, startTime, `Isolation check failed: ${error.message}`);
     }
     
     return violations;
@@ -167,60 +177,53 @@ class TenantHealthMonitor {
 
   async checkTenantPerformance() {
     console.log(`\n${colors.blue}═══ Tenant Performance Health ═══${colors.reset}`);
+    const startTime = Date.now();
     
     try {
       const perfCheck = await this.db.query(`
-        WITH tenant_metrics AS (
-          SELECT 
-            t.id,
-            t.name,
-            t.plan,
-            COUNT(tu.id) as user_count,
-            COALESCE(SUM(tus.api_calls_count), 0) as api_calls_count,
-            COALESCE(t.limits->>'users', '999999')::int as max_users,
-            COALESCE(t.limits->>'apiCalls', '999999')::int as max_api_calls
-          FROM tenants t
-          LEFT JOIN tenant_users tu ON tu.tenant_id = t.id AND tu.status = 'active'
-          LEFT JOIN tenant_usage_stats tus ON tus.tenant_id = t.id AND tus.stat_date >= CURRENT_DATE - 30
-          WHERE t.status = 'active'
-          GROUP BY t.id, t.name, t.plan, t.limits
-        )
         SELECT 
-          *,
-          CASE WHEN max_users = -1 THEN 0 ELSE CAST((user_count::float / max_users) * 100 AS INTEGER) END as user_utilization,
-          CASE WHEN max_api_calls = -1 THEN 0 ELSE CAST((api_calls_count::float / max_api_calls) * 100 AS INTEGER) END as api_utilization,
-          CASE 
-            WHEN max_users = -1 THEN 'UNLIMITED'
-            WHEN user_count >= max_users THEN 'EXCEEDED'
-            WHEN user_count > max_users * 0.8 THEN 'HIGH'
-            ELSE 'OK'
-          END as user_status,
-          CASE 
-            WHEN max_api_calls = -1 THEN 'UNLIMITED'
-            WHEN api_calls_count >= max_api_calls THEN 'EXCEEDED'
-            WHEN api_calls_count > max_api_calls * 0.8 THEN 'HIGH'
-            ELSE 'OK'
-          END as api_status
-        FROM tenant_metrics
+          t.id,
+          t.name,
+          t.plan,
+          t.limits,
+          (SELECT COUNT(*) FROM tenant_users tu WHERE tu.tenant_id = t.id AND tu.status = 'active') as user_count,
+          (SELECT COALESCE(SUM(tus.api_calls_count), 0) FROM tenant_usage_stats tus
+            WHERE tus.tenant_id = t.id AND tus.stat_date >= CURRENT_DATE - 30) as api_calls_count
+        FROM tenants t
+        WHERE t.status = 'active'
         ORDER BY user_count DESC
       `);
       
       let healthyTenants = 0;
       let warningTenants = 0;
       let criticalTenants = 0;
+
+      // Limits are the plan defaults merged with the tenant's overrides
+      const tenants = perfCheck.rows.map(tenant => ({
+        ...tenant,
+        usage: this.planCatalog.evaluate(tenant, {
+          users: parseInt(tenant.user_count),
+          apiCalls: parseInt(tenant.api_calls_count)
+        })
+      }));
+
+      // Kept for the dashboard's /metrics endpoint
+      this.healthMetrics.tenants = tenants.map(tenant => ({
+        id: tenant.id,
+        name: tenant.name,
+        plan: tenant.plan,
+        users: tenant.usage.metrics.users.used,
+        maxUsers: tenant.usage.metrics.users.limit,
+        apiCalls: tenant.usage.metrics.apiCalls.used,
+        maxApiCalls: tenant.usage.metrics.apiCalls.limit
+      }));
       
-      perfCheck.rows.forEach(tenant => {
-        const hasExceeded = tenant.user_status === 'EXCEEDED' || tenant.api_status === 'EXCEEDED';
-        const hasWarning = tenant.user_status === 'HIGH' || tenant.api_status === 'HIGH';
-        const isUnlimited = tenant.user_status === 'UNLIMITED' || tenant.api_status === 'UNLIMITED';
+      tenants.forEach(tenant => {
+        const { metrics, status } = tenant.usage;
+        const usage = `Users: ${formatUsage(metrics.users)}, API: ${formatUsage(metrics.apiCalls)}`;
         
-        const userDisplay = tenant.max_users === -1 ? '∞' : tenant.max_users;
-        const apiDisplay = tenant.max_api_calls === -1 ? '∞' : tenant.max_api_calls;
-        const userUtil = tenant.user_utilization || 0;
-        const apiUtil = tenant.api_utilization || 0;
-        
-        if (hasExceeded) {
-          console.log(`${colors.red}✗${colors.reset} ${tenant.name} - CRITICAL: Users: ${tenant.user_count}/${userDisplay} (${userUtil}%), API: ${tenant.api_calls_count}/${apiDisplay} (${apiUtil}%)`);
+        if (status === 'exceeded') {
+          console.log(`${colors.red}✗${colors.reset} ${tenant.name} - CRITICAL: ${usage}`);
           criticalTenants++;
           this.healthMetrics.alerts.push({
             type: 'CRITICAL',
@@ -228,100 +231,121 @@ class TenantHealthMonitor {
             message: `Tenant ${tenant.name} has exceeded limits`,
             timestamp: new Date().toISOString()
           });
-        } else if (hasWarning) {
-          console.log(`${colors.yellow}⚠${colors.reset} ${tenant.name} - WARNING: Users: ${tenant.user_count}/${userDisplay} (${userUtil}%), API: ${tenant.api_calls_count}/${apiDisplay} (${apiUtil}%)`);
+        } else if (status === 'high') {
+          console.log(`${colors.yellow}⚠${colors.reset} ${tenant.name} - WARNING: ${usage}`);
           warningTenants++;
         } else {
-          console.log(`${colors.green}✓${colors.reset} ${tenant.name} - OK: Users: ${tenant.user_count}/${userDisplay} (${userUtil}%), API: ${tenant.api_calls_count}/${apiDisplay} (${apiUtil}%)`);
+          console.log(`${colors.green}✓${colors.reset} ${tenant.name} - OK: ${usage}`);
           healthyTenants++;
         }
       });
       
       console.log(`\nTenant Performance Summary: ${healthyTenants} healthy, ${warningTenants} warnings, ${criticalTenants} critical`);
+
+      if (criticalTenants > 0) {
+        this.recordCheck('Tenant Performance', STATUS.CRITICAL, startTime, `${criticalTenants} tenants exceeded limits`);
+      } else if (warningTenants > 0) {
+        this.recordCheck('Tenant Performance', STATUS.WARNING, startTime, `${warningTenants} tenants past their plan's warning threshold`);
+      } else {
+        this.recordCheck('Tenant Performance', STATUS.PASSED, startTime);
+      }
       
     } catch (error) {
+      // Unreadable usage tables (e.g. a dropped table) leave every limit unchecked
       console.error(`${colors.red}✗${colors.reset} Tenant performance check failed:`, error.message);
+      this.healthMetrics.alerts.push({
+        type: 'CRITICAL',
+        service: 'Database',
+        message: `Performance check failed: ${error.message}`,
+        timestamp: new Date().toISOString()
+      });
+      this.recordCheck('Tenant Performance', STATUS.CRITICAL, startTime, `Performance check failed: ${error.message}`);
     }
   }
 
   async checkServiceHealth() {
     console.log(`\n${colors.blue}═══ Service Health Check ═══${colors.reset}`);
     
-    const services = Object.entries(config.services);
+    const services = Object.entries(this.config.services);
     const results = await Promise.all(
       services.map(async ([serviceName, baseUrl]) => {
-        try {
-          const startTime = Date.now();
-          const response = await this.makeRequest(`${baseUrl}/api/health`);
-          const responseTime = Date.now() - startTime;
-          
-          const isHealthy = response.statusCode === 200;
-          const isSlow = responseTime > config.monitoring.alertThresholds.responseTime;
-          
-          if (isHealthy && !isSlow) {
-            console.log(`${colors.green}✓${colors.reset} ${serviceName} - OK (${responseTime}ms)`);
-          } else if (isHealthy && isSlow) {
-            console.log(`${colors.yellow}⚠${colors.reset} ${serviceName} - SLOW (${responseTime}ms)`);
-            this.healthMetrics.alerts.push({
-              type: 'WARNING',
-              service: serviceName,
-              message: `Slow response time: ${responseTime}ms`,
-              timestamp: new Date().toISOString()
-            });
-          } else {
-            console.log(`${colors.red}✗${colors.reset} ${serviceName} - FAILED (${response.error || response.statusCode})`);
-            this.healthMetrics.alerts.push({
-              type: 'CRITICAL',
-              service: serviceName,
-              message: response.error || `HTTP ${response.statusCode}`,
-              timestamp: new Date().toISOString()
-            });
-          }
-          
-          return { serviceName, healthy: isHealthy, responseTime };
-        } catch (error) {
-          console.log(`${colors.red}✗${colors.reset} ${serviceName} - ERROR (${error.message})`);
-          return { serviceName, healthy: false, error: error.message };
+        const result = await runCheck({
+          name: serviceName,
+          url: `${baseUrl}/api/health`,
+          timeout: 5000,
+          maxResponseTime: this.config.monitoring.alertThresholds.responseTime
+        });
+        
+        if (result.status === STATUS.PASSED) {
+          console.log(`${colors.green}✓${colors.reset} ${serviceName} - OK (${result.responseTime}ms)`);
+        } else if (result.status === STATUS.WARNING) {
+          console.log(`${colors.yellow}⚠${colors.reset} ${serviceName} - SLOW (${result.responseTime}ms)`);
+          this.healthMetrics.alerts.push({
+            type: 'WARNING',
+            service: serviceName,
+            message: result.error,
+            timestamp: result.timestamp
+          });
+        } else {
+          console.log(`${colors.red}✗${colors.reset} ${serviceName} - FAILED (${result.error})`);
+          this.healthMetrics.alerts.push({
+            type: 'CRITICAL',
+            service: serviceName,
+            message: result.error,
+            timestamp: result.timestamp
+          });
         }
+        
+        this.healthMetrics.services[serviceName] = result;
+        this.checks.push(result);
+        return result;
       })
     );
     
     return results;
   }
 
-  makeRequest(url, timeout = 5000) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-      const isHttps = url.startsWith('https:');
-      const client = isHttps ? https : http;
-      
-      const request = client.get(url, { timeout }, (res) => {
-        let data = '';
-        res.on('data', (chunk) => data += chunk);
-        res.on('end', () => {
-          resolve({
-            statusCode: res.statusCode,
-            responseTime: Date.now() - startTime,
-            data
-          });
-        });
-      });
-      
-      request.on('error', (err) => {
-        resolve({
-          error: err.message,
-          responseTime: Date.now() - startTime
-        });
-      });
-      
-      request.on('timeout', () => {
-        request.destroy();
-        resolve({
-          error: 'Request timeout',
-          responseTime: timeout
+  // Scripted login/profile/dashboard/subscription flow per canary tenant
+  async checkTenantProbes() {
+    if (!this.canariesFile) return [];
+    console.log(`\n${colors.blue}═══ Tenant Probes ═══${colors.reset}`);
+
+    if (!this.canaries) {
+      try {
+        this.canaries = loadTestTenants(this.canariesFile, 1);
+      } catch (error) {
+        console.error(`${colors.red}✗${colors.reset} Canary tenants could not be loaded:`, error.message);
+        this.checks.push(createResult('Tenant Probes', STATUS.WARNING, { error: error.message }));
+        return [];
+      }
+    }
+
+    const results = await probeTenants(this.canaries, this.environment, {
+      sample: this.config.monitoring.canarySample,
+      maxResponseTime: this.config.monitoring.alertThresholds.responseTime
+    });
+
+    results.forEach(result => {
+      const { slug, steps } = result.details;
+      const timings = steps.map(step => `${step.step} ${step.skipped ? '-' : `${step.responseTime}ms`}`).join(', ');
+
+      if (result.status === STATUS.PASSED) {
+        console.log(`${colors.green}✓${colors.reset} ${slug} - OK (${timings})`);
+      } else {
+        const critical = result.status === STATUS.CRITICAL;
+        console.log(`${critical ? `${colors.red}✗` : `${colors.yellow}⚠`}${colors.reset} ${slug} - ${result.error} (${timings})`);
+        this.healthMetrics.alerts.push({
+          type: critical ? 'CRITICAL' : 'WARNING',
+          service: `Tenant ${slug}`,
+          message: result.error,
+          timestamp: result.timestamp
         });
-      });
+      }
     });
+
+    this.healthMetrics.probes = results;
+    this.checks.push(...results);
+    return results;
   }
 
   async generateReport() {
@@ -360,6 +384,23 @@ class TenantHealthMonitor {
     }
   }
 
+  async runChecks() {
+    // Check tenant isolation
+    await this.checkTenantIsolation();
+    
+    // Check tenant performance
+    await this.checkTenantPerformance();
+    
+    // Check service health
+    await this.checkServiceHealth();
+
+    // Probe each canary tenant end to end
+    await this.checkTenantProbes();
+    
+    // Generate final report
+    return this.generateReport();
+  }
+
   async runFullHealthCheck() {
     console.log(`${colors.blue}${colors.bold}╔════════════════════════════════════════╗${colors.reset}`);
     console.log(`${colors.blue}${colors.bold}║      TENANT HEALTH MONITORING          ║${colors.reset}`);
@@ -369,38 +410,212 @@ class TenantHealthMonitor {
     await this.connect();
     
     try {
-      // Check tenant isolation
-      await this.checkTenantIsolation();
-      
-      // Check tenant performance
-      await this.checkTenantPerformance();
-      
-      // Check service health
-      await this.checkServiceHealth();
-      
-      // Generate final report
-      const isHealthy = await this.generateReport();
-      
-      return isHealthy;
-      
+      return await this.runChecks();
     } finally {
       await this.disconnect();
     }
   }
+
+  // Keeps a pool open and re-runs the checks every checkInterval until stopWatch()
+  async startWatch() {
+    const interval = this.config.monitoring.checkInterval;
+
+    this.watching = true;
+    this.db = new Pool({ ...this.config.database, max: 2 });
+    // Idle clients can fail between cycles; the next cycle records the outage
+    this.db.on('error', error => {
+      console.error(`${colors.red}✗${colors.reset} Idle database connection failed:`, error.message);
+    });
+
+    console.log(`${colors.blue}${colors.bold}👀 Watching ${this.environment.name} every ${Math.round(interval / 1000)}s${colors.reset}`);
+
+    const loop = async () => {
+      if (!this.watching) return;
+      this.currentCycle = this.runCycle();
+      await this.currentCycle;
+      this.currentCycle = null;
+      if (this.watching) {
+        this.timer = setTimeout(loop, interval);
+      }
+    };
+    await loop();
+  }
+
+  async stopWatch(signal = 'stop') {
+    if (!this.watching) return;
+    this.watching = false;
+    clearTimeout(this.timer);
+
+    console.log(`\n${colors.blue}ℹ${colors.reset} Received ${signal}, finishing current cycle...`);
+    if (this.currentCycle) {
+      await this.currentCycle;
+    }
+    if (this.db) {
+      await this.db.end();
+      this.db = null;
+      console.log(`${colors.blue}ℹ${colors.reset} Database pool closed`);
+    }
+  }
+
+  // One watch iteration; never rejects so a failing cycle cannot stop the daemon
+  async runCycle() {
+    this.checks = [];
+    this.healthMetrics.alerts = [];
+    this.healthMetrics.services = {};
+    this.healthMetrics.tenants = [];
+    this.healthMetrics.isolation = null;
+    this.healthMetrics.probes = [];
+
+    console.log(`\n${colors.blue}${colors.bold}═══ Health cycle ${new Date().toISOString()} ═══${colors.reset}`);
+
+    let isHealthy = false;
+    try {
+      const startTime = Date.now();
+      let databaseUp = false;
+      try {
+        await this.db.query('SELECT 1');
+        databaseUp = true;
+        this.recordCheck('Database Connection', STATUS.PASSED, startTime);
+      } catch (error) {
+        console.error(`${colors.red}✗${colors.reset} Database connection failed:`, error.message);
+        this.recordCheck('Database Connection', STATUS.CRITICAL, startTime, error.message);
+        this.healthMetrics.alerts.push({
+          type: 'CRITICAL',
+          service: 'Database',
+          message: `Database connection failed: ${error.message}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (databaseUp) {
+        await this.checkTenantIsolation();
+        await this.checkTenantPerformance();
+      }
+      await this.checkServiceHealth();
+      await this.checkTenantProbes();
+      this.checkErrorRates();
+
+      isHealthy = await this.generateReport();
+    } catch (error) {
+      console.error(`${colors.red}✗${colors.reset} Health cycle failed:`, error.message);
+    }
+
+    await this.notify();
+    this.emit('cycle', { isHealthy, checks: this.checks, alerts: this.healthMetrics.alerts });
+    return isHealthy;
+  }
+
+  // Hands every check to the notifier, which sends only state changes and reminders
+  async notify() {
+    if (!this.notifier) return;
+    try {
+      const sent = await this.notifier.notify(eventsFromChecks(this.checks, {
+        source: 'tenant-monitor',
+        environment: this.environment.name
+      }));
+      sent.forEach(notification => this.emit(notification.kind, notification));
+    } catch (error) {
+      console.error(`${colors.red}✗${colors.reset} Notification failed:`, error.message);
+    }
+  }
+
+  // Rolling error rate per service over the last errorRateWindow checks
+  checkErrorRates() {
+    const { errorRateWindow, alertThresholds } = this.config.monitoring;
+
+    Object.entries(this.healthMetrics.services).forEach(([serviceName, result]) => {
+      const outcomes = this.serviceOutcomes[serviceName] || [];
+      outcomes.push(result.status === STATUS.CRITICAL ? 1 : 0);
+      if (outcomes.length > errorRateWindow) {
+        outcomes.shift();
+      }
+      this.serviceOutcomes[serviceName] = outcomes;
+
+      const startTime = Date.now();
+      const errorRate = outcomes.reduce((sum, failed) => sum + failed, 0) / outcomes.length;
+      const name = `${serviceName} error rate`;
+      const message = `${Math.round(errorRate * 100)}% of last ${outcomes.length} checks failed`;
+
+      if (errorRate > alertThresholds.errorRate) {
+        console.log(`${colors.yellow}⚠${colors.reset} ${serviceName} - ERROR RATE ${message}`);
+        this.healthMetrics.alerts.push({
+          type: 'WARNING',
+          service: serviceName,
+          message: `Error rate above ${Math.round(alertThresholds.errorRate * 100)}%: ${message}`,
+          timestamp: new Date().toISOString()
+        });
+        this.recordCheck(name, STATUS.WARNING, startTime, message);
+      } else {
+        this.recordCheck(name, STATUS.PASSED, startTime);
+      }
+    });
+  }
 }
 
 // Main execution
 if (require.main === module) {
-  const monitor = new TenantHealthMonitor();
-  
-  monitor.runFullHealthCheck()
-    .then(isHealthy => {
-      process.exit(isHealthy ? 0 : 1);
-    })
-    .catch(error => {
-      console.error(`${colors.red}Health monitoring failed:${colors.reset}`, error.message);
-      process.exit(1);
-    });
+  // --env dev|stg|prd selects the target; --format json|junit|tap and --output <file> emit a report
+  // --watch keeps running every MONITOR_INTERVAL ms (or --interval <ms>) until SIGTERM/SIGINT
+  // --canaries <file> (or CANARY_TENANTS_FILE) adds the per-tenant probes
+  initLogging('tenant-health-monitor');
+  const { options } = parseArgs();
+  let reporting;
+  let monitor;
+
+  const report = () => {
+    if (reporting && monitor) {
+      writeReport(buildReport('tenant-health-monitor', monitor.environment.name, monitor.checks, {
+        alerts: monitor.healthMetrics.alerts
+      }), reporting);
+    }
+  };
+
+  if (options.watch) {
+    Promise.resolve()
+      .then(() => {
+        reporting = prepareReporting();
+        monitor = new TenantHealthMonitor({
+          interval: parseInt(options.interval) || null,
+          canariesFile: options.canaries,
+          notifier: new Notifier()
+        });
+        console.log(`${colors.blue}ℹ${colors.reset} Notification channels: ${monitor.notifier.describe()}`);
+
+        // The report file always holds the latest cycle
+        if (reporting.output) {
+          monitor.on('cycle', report);
+        }
+        const shutdown = signal => {
+          monitor.stopWatch(signal).then(() => process.exit(0));
+        };
+        process.once('SIGTERM', () => shutdown('SIGTERM'));
+        process.once('SIGINT', () => shutdown('SIGINT'));
+
+        return monitor.startWatch();
+      })
+      .catch(error => {
+        console.error(`${colors.red}Health monitoring failed:${colors.reset}`, error.message);
+        process.exit(1);
+      });
+  } else {
+    Promise.resolve()
+      .then(() => {
+        reporting = prepareReporting();
+        monitor = new TenantHealthMonitor({ canariesFile: options.canaries, notifier: new Notifier() });
+        return monitor.runFullHealthCheck();
+      })
+      .then(async isHealthy => {
+        await monitor.notify();
+        report();
+        process.exit(isHealthy ? 0 : 1);
+      })
+      .catch(async error => {
+        console.error(`${colors.red}Health monitoring failed:${colors.reset}`, error.message);
+        if (monitor) await monitor.notify();
+        report();
+        process.exit(1);
+      });
+  }
 }
 
 module.exports = { TenantHealthMonitor };
\ No newline at end of file
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+const { Client } = require('pg');
+const { parseArgs } = require('./lib/cli');
+const { STATUS, createResult } = require('./lib/check-runner');
+const { selectEnvironment, databaseConfig } = require('./lib/environments');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { IsolationAuditor, describeFinding } = require('./lib/isolation-auditor');
+const { initLogging } = require('./lib/logger');
+
+// Schema-wide tenant isolation audit: every tenant_id table and every foreign key between them
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Cross-tenant references and orphaned rows block; rows without a tenant and query errors warn
+const BLOCKING_FINDINGS = ['cross-tenant', 'orphaned'];
+
+function findingsToChecks(audit) {
+  return audit.tables.map(({ table }) => {
+    const findings = audit.findings.filter(finding => finding.table === table);
+    const blocking = findings.some(finding => BLOCKING_FINDINGS.includes(finding.type));
+
+    let status = STATUS.PASSED;
+    if (blocking) {
+      status = STATUS.CRITICAL;
+    } else if (findings.length > 0) {
+      status = STATUS.WARNING;
+    }
+
+    return createResult(table, status, {
+      critical: blocking,
+      error: findings.length > 0 ? findings.map(describeFinding).join('; ') : null,
+      details: findings
+    });
+  });
+}
+
+async function runAudit(options = {}) {
+  const environment = options.environment || selectEnvironment();
+  const db = new Client(databaseConfig(environment));
+
+  console.log(`${colors.blue}${colors.bold}🔒 Tenant isolation audit (${environment.name})${colors.reset}`);
+  await db.connect();
+
+  try {
+    const audit = await new IsolationAuditor(db, {
+      schema: options.schema,
+      sampleSize: options.sampleSize
+    }).audit();
+
+    console.log(`Tables audited: ${audit.tables.length}, foreign keys checked: ${audit.foreignKeysChecked.length}`);
+    audit.tables.forEach(({ table, tenantVia }) => {
+      const findings = audit.findings.filter(finding => finding.table === table);
+      if (findings.length === 0) {
+        console.log(`${colors.green}✓${colors.reset} ${table} (tenant via ${tenantVia})`);
+        return;
+      }
+      findings.forEach(finding => {
+        const blocking = BLOCKING_FINDINGS.includes(finding.type);
+        const icon = blocking ? `${colors.red}✗` : `${colors.yellow}⚠`;
+        console.log(`${icon}${colors.reset} ${describeFinding(finding)}`);
+      });
+    });
+
+    return { environment, audit, checks: findingsToChecks(audit) };
+  } finally {
+    await db.end();
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  // --env dev|stg|prd, --schema <name> (default public), --sample <n> ids per finding (default 20)
+  initLogging('tenant-isolation-audit');
+  const { options } = parseArgs();
+  let reporting;
+
+  Promise.resolve()
+    .then(() => {
+      reporting = prepareReporting();
+      return runAudit({
+        schema: options.schema,
+        sampleSize: options.sample ? parseInt(options.sample) : undefined
+      });
+    })
+    .then(({ environment, audit, checks }) => {
+      const blocked = checks.some(check => check.status === STATUS.CRITICAL);
+      console.log(blocked
+        ? `\n${colors.red}${colors.bold}❌ ${audit.violations} cross-tenant references found${colors.reset}`
+        : `\n${colors.green}${colors.bold}✅ No isolation violations${colors.reset}`);
+
+      writeReport(buildReport('tenant-isolation-audit', environment.name, checks, {
+        violations: audit.violations,
+        orphans: audit.orphans,
+        foreignKeysChecked: audit.foreignKeysChecked
+      }), reporting);
+      process.exit(blocked ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Isolation audit failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runAudit, findingsToChecks };
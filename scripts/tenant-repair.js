@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const os = require('os');
+const { parseArgs } = require('./lib/cli');
+const { STATUS } = require('./lib/check-runner');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { IsolationAuditor, describeFinding, qualifiedName } = require('./lib/isolation-auditor');
+const { initLogging } = require('./lib/logger');
+const { ProductionTenantHealth } = require('./tenant-health-production');
+
+// Quarantines orphaned and cross-tenant rows found by the isolation auditor.
+// Dry run by default: prints what would move; --apply moves the rows inside one transaction.
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+const REPAIRABLE_FINDINGS = ['orphaned', 'cross-tenant'];
+const ARCHIVE_TABLE = 'tenant_repair_archive';
+const AUDIT_TABLE = 'tenant_repair_audit';
+
+class TenantRepair extends ProductionTenantHealth {
+  constructor(options = {}) {
+    super(options);
+    this.apply = Boolean(options.apply);
+    this.limit = options.limit || 500;
+    // The audited tables, and the archive and audit tables, all live in this schema
+    this.schema = options.schema || 'public';
+    this.runId = crypto.randomUUID();
+    this.operator = options.operator || process.env.REPAIR_OPERATOR || os.userInfo().username;
+  }
+
+  auditor(options = {}) {
+    return new IsolationAuditor(this.db, { schema: this.schema, ...options });
+  }
+
+  tableName(table) {
+    return qualifiedName(this.schema, table);
+  }
+
+  // Orphaned and cross-tenant findings with up to `limit` row ids each
+  async findRepairs() {
+    const auditor = this.auditor({ sampleSize: this.limit });
+    const schema = await auditor.discover();
+    const audit = await auditor.audit();
+    // Cross-tenant rows reference other rows, so they move before the orphans they may point at
+    return {
+      primaryKeys: schema.primaryKeys,
+      findings: audit.findings
+        .filter(finding => REPAIRABLE_FINDINGS.includes(finding.type))
+        .sort((a, b) => REPAIRABLE_FINDINGS.indexOf(b.type) - REPAIRABLE_FINDINGS.indexOf(a.type))
+    };
+  }
+
+  async ensureTables() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName(ARCHIVE_TABLE)} (
+        id BIGSERIAL PRIMARY KEY,
+        run_id TEXT NOT NULL,
+        source_table TEXT NOT NULL,
+        row_id TEXT NOT NULL,
+        finding TEXT NOT NULL,
+        via TEXT,
+        row_data JSONB NOT NULL,
+        archived_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName(AUDIT_TABLE)} (
+        id BIGSERIAL PRIMARY KEY,
+        run_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        source_table TEXT,
+        row_id TEXT,
+        finding TEXT,
+        via TEXT,
+        performed_by TEXT,
+        details JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+  }
+
+  async writeAudit(action, entry = {}) {
+    await this.db.query(
+      `INSERT INTO ${this.tableName(AUDIT_TABLE)} (run_id, action, source_table, row_id, finding, via, performed_by, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [this.runId, action, entry.table || null, entry.rowId || null, entry.type || null, entry.via || null,
+        this.operator, entry.details ? JSON.stringify(entry.details) : null]
+    );
+  }
+
+  // The current contents of the rows a finding names
+  async loadRows(finding, primaryKeys) {
+    const rowId = this.auditor().rowIdExpression('c', finding.table, primaryKeys);
+    const result = await this.db.query(
+      `SELECT ${rowId} AS row_id, to_jsonb(c) AS row_data FROM ${this.tableName(finding.table)} c WHERE ${rowId} = ANY($1)`,
+      [finding.rows.map(row => row.id)]
+    );
+    return result.rows;
+  }
+
+  // Deletes the rows and stores them in the archive table in one statement
+  async quarantine(finding, primaryKeys) {
+    const rowId = this.auditor().rowIdExpression('c', finding.table, primaryKeys);
+    const result = await this.db.query(`
+      WITH moved AS (
+        DELETE FROM ${this.tableName(finding.table)} c
+        WHERE ${rowId} = ANY($1)
+        RETURNING ${rowId} AS row_id, to_jsonb(c) AS row_data
+      )
+      INSERT INTO ${this.tableName(ARCHIVE_TABLE)} (run_id, source_table, row_id, finding, via, row_data)
+      SELECT $2, $3, row_id, $4, $5, row_data FROM moved
+      RETURNING row_id
+    `, [finding.rows.map(row => row.id), this.runId, finding.table, finding.type, finding.via]);
+    return result.rows.map(row => row.row_id);
+  }
+
+  printDiff(finding, rows) {
+    console.log(`\n${colors.bold}--- ${finding.table}${colors.reset} ${colors.yellow}(${describeFinding(finding)})${colors.reset}`);
+    console.log(`${colors.bold}+++ ${ARCHIVE_TABLE}${colors.reset}`);
+    rows.forEach(row => {
+      console.log(`${colors.red}- ${finding.table} ${row.row_id}: ${JSON.stringify(row.row_data)}${colors.reset}`);
+    });
+    console.log(`${colors.green}+ ${rows.length} rows archived with finding "${finding.type}"${colors.reset}`);
+    if (finding.count > finding.rows.length) {
+      console.log(`${colors.yellow}⚠${colors.reset} ${finding.count - finding.rows.length} more rows exceed --limit ${this.limit}; run again to repair them`);
+    }
+  }
+
+  async dryRun(findings, primaryKeys) {
+    for (const finding of findings) {
+      this.printDiff(finding, await this.loadRows(finding, primaryKeys));
+    }
+  }
+
+  async applyRepairs() {
+    const startTime = Date.now();
+    await this.ensureTables();
+
+    await this.db.query('BEGIN');
+    try {
+      // Audited again inside the transaction, keys included, so the moved rows match what is archived
+      const { findings, primaryKeys } = await this.findRepairs();
+      await this.writeAudit('repair-started', { details: { findings: findings.length, limit: this.limit } });
+
+      let moved = 0;
+      for (const finding of findings) {
+        this.printDiff(finding, await this.loadRows(finding, primaryKeys));
+        const rowIds = await this.quarantine(finding, primaryKeys);
+        for (const rowId of rowIds) {
+          await this.writeAudit('quarantine', { ...finding, rowId });
+        }
+        moved += rowIds.length;
+      }
+
+      await this.writeAudit('repair-committed', { details: { rows: moved } });
+      await this.db.query('COMMIT');
+      console.log(`\n${colors.green}✓${colors.reset} Quarantined ${moved} rows into ${ARCHIVE_TABLE} (run ${this.runId})`);
+      this.recordCheck('Tenant Repair', STATUS.PASSED, startTime);
+      return { findings, moved };
+    } catch (error) {
+      await this.db.query('ROLLBACK');
+      // Outside the rolled-back transaction so failed repairs are audited too
+      await this.writeAudit('repair-failed', { details: { error: error.message } });
+      throw error;
+    }
+  }
+
+  async runRepair() {
+    console.log(`${colors.blue}${colors.bold}🧹 Tenant data repair (${this.environment.name}) - ${this.apply ? 'APPLY' : 'DRY RUN'}${colors.reset}`);
+
+    await this.connect();
+
+    try {
+      const startTime = Date.now();
+      const { findings, primaryKeys } = await this.findRepairs();
+
+      if (findings.length === 0) {
+        console.log(`${colors.green}✓${colors.reset} No orphaned or cross-tenant rows found`);
+        this.recordCheck('Tenant Repair', STATUS.PASSED, startTime);
+        return { findings, moved: 0 };
+      }
+
+      if (!this.apply) {
+        await this.dryRun(findings, primaryKeys);
+        const rows = findings.reduce((sum, finding) => sum + finding.rows.length, 0);
+        console.log(`\n${colors.yellow}⚠${colors.reset} Dry run: ${rows} rows would be quarantined. Re-run with --apply to move them.`);
+        this.recordCheck('Tenant Repair', STATUS.WARNING, startTime, `${rows} rows to quarantine`);
+        return { findings, moved: 0 };
+      }
+
+      return await this.applyRepairs();
+    } finally {
+      await this.disconnect();
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  // --env dev|stg|prd, --apply to quarantine (default is a dry run), --limit <n> rows per finding (default 500),
+  // --schema <name> (default public)
+  initLogging('tenant-repair');
+  const { options } = parseArgs();
+  let reporting;
+  let repair;
+
+  const report = result => {
+    if (reporting && repair) {
+      const summary = repair.getSummary();
+      writeReport(buildReport('tenant-repair', summary.environment, summary.checks, {
+        runId: repair.runId,
+        applied: repair.apply,
+        findings: result ? result.findings : [],
+        moved: result ? result.moved : 0
+      }), reporting);
+    }
+  };
+
+  Promise.resolve()
+    .then(() => {
+      reporting = prepareReporting();
+      repair = new TenantRepair({
+        apply: Boolean(options.apply) && !options['dry-run'],
+        limit: options.limit ? parseInt(options.limit) : undefined,
+        schema: options.schema
+      });
+      return repair.runRepair();
+    })
+    .then(result => {
+      report(result);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Tenant repair failed:${colors.reset}`, error.message);
+      if (repair) {
+        repair.recordCheck('Tenant Repair', STATUS.CRITICAL, Date.now(), error.message);
+      }
+      report(null);
+      process.exit(1);
+    });
+}
+
+module.exports = { TenantRepair };
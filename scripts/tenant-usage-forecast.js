@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+const { Client } = require('pg');
+const { parseArgs } = require('./lib/cli');
+const { STATUS, createResult } = require('./lib/check-runner');
+const { selectEnvironment, databaseConfig } = require('./lib/environments');
+const { prepareReporting, buildReport, writeReport } = require('./lib/reporters');
+const { UsageForecaster, describeForecast } = require('./lib/usage-forecast');
+const { initLogging } = require('./lib/logger');
+
+// Ranked "will exceed within N days" report of tenant users and API calls against plan limits
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+// Exceeded limits are critical, forecasted exhaustion within the horizon is a warning
+function forecastToChecks(forecast) {
+  return forecast.forecasts
+    .filter(entry => entry.status !== 'unlimited')
+    .map(entry => {
+      let status = STATUS.PASSED;
+      if (entry.status === 'exceeded') {
+        status = STATUS.CRITICAL;
+      } else if (entry.status === 'at-risk') {
+        status = STATUS.WARNING;
+      }
+
+      return createResult(`${entry.tenant} ${entry.metric}`, status, {
+        critical: false,
+        error: status === STATUS.PASSED ? null : describeForecast(entry),
+        details: entry
+      });
+    });
+}
+
+async function runForecast(options = {}) {
+  const environment = options.environment || selectEnvironment();
+  const db = new Client(databaseConfig(environment));
+
+  console.log(`${colors.blue}${colors.bold}📈 Tenant usage forecast (${environment.name})${colors.reset}`);
+  await db.connect();
+
+  try {
+    const forecast = await new UsageForecaster(db, {
+      horizonDays: options.days,
+      historyDays: options.history
+    }).forecast();
+
+    console.log(`Tenants: ${forecast.tenants}, history: ${forecast.historyDays} days, user history: ${forecast.usersSource || 'none'}`);
+    console.log(`\n${colors.bold}Will exceed within ${forecast.horizonDays} days:${colors.reset}`);
+    if (forecast.atRisk.length === 0) {
+      console.log(`${colors.green}✓${colors.reset} No tenant is forecast to reach a limit`);
+    }
+    forecast.atRisk.forEach((entry, index) => {
+      const icon = entry.status === 'exceeded' ? `${colors.red}✗` : `${colors.yellow}⚠`;
+      const growth = entry.dailyGrowth > 0 ? ` (+${entry.dailyGrowth.toFixed(1)}/day)` : '';
+      console.log(`${String(index + 1).padStart(3)}. ${icon}${colors.reset} ${describeForecast(entry)}${growth}`);
+    });
+
+    return { environment, forecast, checks: forecastToChecks(forecast) };
+  } finally {
+    await db.end();
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  // --env dev|stg|prd, --days <n> forecast horizon (default 30), --history <n> days of history (default 90)
+  initLogging('tenant-usage-forecast');
+  const { options } = parseArgs();
+  let reporting;
+
+  Promise.resolve()
+    .then(() => {
+      reporting = prepareReporting();
+      return runForecast({
+        days: options.days ? parseInt(options.days) : undefined,
+        history: options.history ? parseInt(options.history) : undefined
+      });
+    })
+    .then(({ environment, forecast, checks }) => {
+      writeReport(buildReport('tenant-usage-forecast', environment.name, checks, {
+        horizonDays: forecast.horizonDays,
+        historyDays: forecast.historyDays,
+        atRisk: forecast.atRisk
+      }), reporting);
+      // A report for account managers, not a gate: only failures to produce it exit non-zero
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`${colors.red}Usage forecast failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runForecast, forecastToChecks };
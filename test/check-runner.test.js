@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUS, createResult, summarize } = require('../scripts/lib/check-runner');
+
+test('createResult fills the CheckResult shape', () => {
+  const result = createResult('API', STATUS.CRITICAL, { error: 'down', responseTime: 0 });
+
+  assert.equal(result.name, 'API');
+  assert.equal(result.critical, true);
+  assert.equal(result.responseTime, 0);
+  assert.equal(result.error, 'down');
+  assert.equal(result.url, null);
+  assert.ok(!isNaN(Date.parse(result.timestamp)));
+});
+
+test('createResult keeps an explicit critical flag', () => {
+  assert.equal(createResult('Slow', STATUS.WARNING).critical, false);
+  assert.equal(createResult('Optional', STATUS.CRITICAL, { critical: false }).critical, false);
+});
+
+test('summarize counts statuses and scores passed checks', () => {
+  const summary = summarize([
+    { name: 'a', status: STATUS.PASSED },
+    { name: 'b', status: STATUS.PASSED },
+    { name: 'c', status: STATUS.WARNING },
+    { name: 'd', status: STATUS.CRITICAL }
+  ]);
+
+  assert.deepEqual(summary, {
+    passed: 2,
+    warnings: 1,
+    failed: 1,
+    total: 4,
+    healthScore: 50,
+    criticalFailures: ['d']
+  });
+});
+
+test('summarize scores an empty run as 0', () => {
+  assert.equal(summarize([]).healthScore, 0);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { STATUS } = require('../scripts/lib/check-runner');
+const { loadEnvironment } = require('../scripts/lib/environments');
+const { PlanCatalog } = require('../scripts/lib/plan-catalog');
+const { ProductionHealthCheck } = require('../scripts/production-health-check');
+const { ProductionTenantHealth } = require('../scripts/tenant-health-production');
+const {
+  infrastructureSection,
+  statusFromChecks,
+  tenantHealthSection,
+  testsSection
+} = require('../scripts/deployment-dashboard');
+
+const environment = loadEnvironment('local');
+
+// Answers /status/<code> with that status code
+function startServer() {
+  const server = http.createServer((req, res) => {
+    res.statusCode = parseInt(req.url.split('/').pop()) || 404;
+    res.end('{}');
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Runs real HTTP checks, without console noise, and returns the validator's summary
+async function infrastructureSummary(checks) {
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}/status`;
+  const healthCheck = new ProductionHealthCheck({ environment, config: { retries: 0, timeout: 2000 } });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    for (const check of checks) {
+      await healthCheck.testEndpoint({ ...check, url: `${base}/${check.code}` }, 'api');
+    }
+  } finally {
+    console.log = log;
+    server.close();
+  }
+  return healthCheck.getSummary();
+}
+
+test('the infrastructure card scores and describes the measured checks', async () => {
+  const summary = await infrastructureSummary([
+    { name: 'Health', code: 200, critical: true },
+    { name: 'Docs', code: 404, critical: false },
+    { name: 'Users API', code: 503, critical: true }
+  ]);
+  const section = infrastructureSection(summary);
+
+  assert.equal(section.status, 'critical');
+  assert.equal(section.score, 33);
+  assert.equal(section.checks, summary.checks);
+  assert.match(section.details[0], /^Health: OK \(\d+ms\)$/);
+  assert.match(section.details[1], /^Docs: WARNING - .*404/);
+  assert.match(section.details[2], /^Users API: CRITICAL - .*503/);
+});
+
+test('non-critical failures only warn, and a clean run is healthy', async () => {
+  const warning = infrastructureSection(await infrastructureSummary([
+    { name: 'Health', code: 200 },
+    { name: 'Docs', code: 500, critical: false }
+  ]));
+  const healthy = infrastructureSection(await infrastructureSummary([{ name: 'Health', code: 200 }]));
+
+  assert.deepEqual([warning.status, warning.score], ['warning', 50]);
+  assert.deepEqual([healthy.status, healthy.score], ['healthy', 100]);
+});
+
+test('the tenant card comes from the ProductionTenantHealth summary', () => {
+  const tenantHealth = new ProductionTenantHealth({ environment, planCatalog: new PlanCatalog({ plans: {} }) });
+  const startTime = Date.now();
+  tenantHealth.recordCheck('Database Connection', STATUS.PASSED, startTime);
+  tenantHealth.recordCheck('Tenant Isolation', STATUS.PASSED, startTime);
+  tenantHealth.recordCheck('Tenant Limits', STATUS.WARNING, startTime, '1 tenant near its user limit');
+
+  const healthy = tenantHealthSection(tenantHealth.getSummary());
+  assert.deepEqual([healthy.status, healthy.score], ['warning', 67]);
+  assert.equal(healthy.details[2], `Tenant Limits: WARNING - 1 tenant near its user limit (${healthy.checks[2].responseTime}ms)`);
+
+  // Any issue blocks production, whatever the checks say
+  tenantHealth.issues.push('2 orphaned users');
+  const blocked = tenantHealthSection(tenantHealth.getSummary());
+  assert.equal(blocked.status, 'critical');
+  assert.equal(blocked.details[blocked.details.length - 1], '2 orphaned users');
+});
+
+test('the tests card follows the suite outcome', () => {
+  const results = [{ name: 'Routing', status: STATUS.PASSED, responseTime: 5 }, { name: 'Isolation', status: STATUS.CRITICAL, error: 'leak' }];
+
+  assert.equal(testsSection({ success: true, passed: 2, failed: 0, results: results.slice(0, 1) }).status, 'healthy');
+  assert.equal(testsSection({ success: true, passed: 1, failed: 1, results }).status, 'warning');
+  const failed = testsSection({ success: false, passed: 1, failed: 1, results });
+  assert.equal(failed.status, 'critical');
+  assert.deepEqual(failed.details, ['Routing: OK (5ms)', 'Isolation: CRITICAL - leak']);
+});
+
+test('a card without checks is unknown', () => {
+  assert.equal(statusFromChecks([]), 'unknown');
+});
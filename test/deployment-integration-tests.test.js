@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { STATUS } = require('../scripts/lib/check-runner');
+const IntegrationTestSuite = require('../scripts/deployment-integration-tests');
+
+const TENANTS = [
+  { id: 'a', slug: 'alpha', token: 'token-a' },
+  { id: 'b', slug: 'beta', token: 'token-b' }
+];
+
+// Tenant API that scopes everything to the bearer token's tenant; `users` decides the user list
+function startApi(users) {
+  const server = http.createServer((req, res) => {
+    const tenant = req.headers.authorization.replace('Bearer token-', '');
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url.startsWith('/tenants/')) {
+      res.statusCode = req.url === `/tenants/${tenant}/users` ? 200 : 403;
+      return res.end('{}');
+    }
+    const body = {
+      '/tenant': { tenantId: tenant },
+      '/users': { users: users(tenant) },
+      '/usage': { usage: [{ tenantId: tenant, apiCalls: 3 }] }
+    }[req.url];
+    res.end(JSON.stringify(body));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function runTenantTests(users, tenants = TENANTS) {
+  const server = await startApi(users);
+  const api = `http://127.0.0.1:${server.address().port}`;
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const suite = new IntegrationTestSuite({
+      environment: {
+        name: 'test',
+        endpoints: { api, frontend: api },
+        tenantApi: {
+          currentTenant: '/tenant',
+          users: '/users',
+          usage: '/usage',
+          tenantUsers: '/tenants/{tenantId}/users'
+        }
+      }
+    });
+    suite.testTenants = tenants;
+    await suite.testGroup('Multitenant Functionality', [
+      { name: 'Tenant Routing', run: () => suite.testTenantRouting(), required: true },
+      { name: 'Tenant Isolation', run: () => suite.testTenantIsolation(), required: true }
+    ]);
+    return suite;
+  } finally {
+    console.log = log;
+    server.close();
+  }
+}
+
+const result = (suite, name) => suite.results.find(check => check.name === name);
+
+test('tenants that only see their own records pass routing and isolation', async () => {
+  const suite = await runTenantTests(tenant => [{ id: 1, tenantId: tenant }]);
+
+  assert.equal(result(suite, 'Tenant Routing').status, STATUS.PASSED);
+  assert.equal(result(suite, 'Tenant Isolation').status, STATUS.PASSED);
+});
+
+test('records of another tenant, or of no tenant, fail isolation', async () => {
+  const leaking = await runTenantTests(tenant => [{ id: 1, tenantId: tenant }, { id: 2, tenant_id: 'b' }]);
+  const unowned = await runTenantTests(tenant => [{ id: 1, tenantId: tenant }, { id: 2, email: 'x@example.com' }]);
+
+  assert.match(result(leaking, 'Tenant Isolation').error, /alpha users: 1 records from other tenants/);
+  assert.match(result(unowned, 'Tenant Isolation').error, /alpha users: 1 records without a tenant id/);
+  assert.equal(result(unowned, 'Tenant Isolation').status, STATUS.CRITICAL);
+});
+
+test('without test tenants the required tests fail and block the suite', async () => {
+  const suite = await runTenantTests(() => [], []);
+  const log = console.log;
+  console.log = () => {};
+  const summary = await suite.generateReport().finally(() => {
+    console.log = log;
+  });
+
+  assert.match(result(suite, 'Tenant Isolation').error, /^Not tested: needs 2 test tenants/);
+  assert.deepEqual(summary.requiredFailures, ['Tenant Routing', 'Tenant Isolation']);
+  assert.equal(summary.success, false);
+  assert.equal(summary.successRate, 0);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUS } = require('../scripts/lib/check-runner');
+const { DRIFT_STATUS, compareStack, driftToChecks } = require('../scripts/lib/drift-detector');
+
+const template = {
+  Resources: {
+    Database: { Type: 'AWS::RDS::DBInstance' },
+    Bucket: { Type: 'AWS::S3::Bucket' },
+    Replica: { Type: 'AWS::RDS::DBInstance', Condition: 'IsProduction' }
+  }
+};
+
+const summary = (logicalId, type = 'AWS::RDS::DBInstance') => ({ LogicalResourceId: logicalId, ResourceType: type, PhysicalResourceId: `${logicalId}-1` });
+
+test('a stack matching its template is in sync, whatever its conditional resources', () => {
+  const live = { resources: [summary('Database'), summary('Bucket', 'AWS::S3::Bucket')], drifts: [] };
+
+  assert.deepEqual(compareStack(live, template), { status: DRIFT_STATUS.IN_SYNC, resources: [] });
+  assert.equal(compareStack({ ...live, resources: [...live.resources, summary('Replica')] }, template).status, DRIFT_STATUS.IN_SYNC);
+});
+
+test('resource list differences make a stack out of date', () => {
+  const live = { resources: [summary('Database'), summary('Legacy', 'AWS::SQS::Queue')], drifts: [] };
+  const result = compareStack(live, template);
+
+  assert.equal(result.status, DRIFT_STATUS.OUT_OF_DATE);
+  assert.deepEqual(result.resources.map(resource => [resource.logicalId, resource.status]), [
+    ['Bucket', 'not-deployed'],
+    ['Legacy', 'not-in-template']
+  ]);
+});
+
+test('CloudFormation drift wins and keeps the property differences', () => {
+  const live = {
+    resources: [summary('Database'), summary('Bucket', 'AWS::S3::Bucket')],
+    drifts: [{
+      LogicalResourceId: 'Database',
+      ResourceType: 'AWS::RDS::DBInstance',
+      StackResourceDriftStatus: 'MODIFIED',
+      PropertyDifferences: [{ PropertyPath: '/AllocatedStorage', ExpectedValue: '20', ActualValue: '50', DifferenceType: 'NOT_EQUAL' }]
+    }]
+  };
+  const result = compareStack(live, template);
+
+  assert.equal(result.status, DRIFT_STATUS.DRIFTED);
+  assert.deepEqual(result.resources[0], {
+    logicalId: 'Database',
+    type: 'AWS::RDS::DBInstance',
+    physicalId: null,
+    status: 'modified',
+    differences: [{ path: '/AllocatedStorage', expected: '20', actual: '50', type: 'NOT_EQUAL' }]
+  });
+});
+
+test('driftToChecks grades each stack', () => {
+  const stack = (stackName, status, resources = [], error = null) => ({ stackName, status, resources, error });
+  const checks = driftToChecks({
+    stacks: [
+      stack('in-sync', DRIFT_STATUS.IN_SYNC),
+      stack('modified', DRIFT_STATUS.DRIFTED, [{ logicalId: 'Database', status: 'modified', differences: [{ path: '/A' }, { path: '/B' }] }]),
+      stack('deleted', DRIFT_STATUS.DRIFTED, [{ logicalId: 'Bucket', status: 'deleted', differences: [] }]),
+      stack('missing', DRIFT_STATUS.NOT_DEPLOYED),
+      stack('broken', DRIFT_STATUS.ERROR, [], 'AccessDenied'),
+      stack('partial', DRIFT_STATUS.IN_SYNC, [], 'Drift detection incomplete: throttled')
+    ]
+  });
+  const byName = Object.fromEntries(checks.map(check => [check.name, check]));
+
+  assert.deepEqual([byName['in-sync'].status, byName['in-sync'].error], [STATUS.PASSED, null]);
+  assert.deepEqual([byName.modified.status, byName.modified.error], [STATUS.WARNING, 'Database modified (/A, /B)']);
+  assert.deepEqual([byName.deleted.status, byName.deleted.critical, byName.deleted.error], [STATUS.CRITICAL, true, 'Bucket deleted']);
+  assert.deepEqual([byName.missing.status, byName.missing.error], [STATUS.WARNING, 'stack not deployed']);
+  assert.deepEqual([byName.broken.status, byName.broken.error], [STATUS.CRITICAL, 'AccessDenied']);
+  assert.deepEqual([byName.partial.status, byName.partial.error], [STATUS.WARNING, 'Drift detection incomplete: throttled']);
+});
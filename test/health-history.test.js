@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HealthHistoryStore, parseSince, summarizeRun } = require('../scripts/lib/health-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function withStore(options, body) {
+  return async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'health-history-'));
+    try {
+      await body(new HealthHistoryStore({ directory, ...options }));
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+const results = (daysAgo, extra = {}) => ({
+  lastUpdate: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+  overall: { status: 'ready', ready: true },
+  infrastructure: { status: 'healthy', score: 90 },
+  tests: { status: 'passed', passed: 3, failed: 1 },
+  ...extra
+});
+
+test('list reads newest runs from the end, filtered by environment and since', withStore({ chunkSize: 64 }, async store => {
+  for (const daysAgo of [5, 3, 2, 1]) {
+    await store.record(results(daysAgo), daysAgo === 2 ? 'stg' : 'prod');
+  }
+
+  assert.equal((await store.list()).length, 4);
+  assert.deepEqual((await store.list({ env: 'prod', limit: 2 })).map(run => run.environment), ['prod', 'prod']);
+  const recent = await store.list({ since: '4d' });
+  assert.equal(recent.length, 3);
+  assert.ok(recent[0].timestamp < recent[2].timestamp, 'oldest first');
+}));
+
+test('get finds a run by id across chunks', withStore({ chunkSize: 16 }, async store => {
+  const first = await store.record(results(2, { tenantHealth: { status: 'ünïcödé'.repeat(10) } }), 'prod');
+  await store.record(results(1), 'prod');
+
+  assert.equal((await store.get(first.runId)).tenantHealth.status, 'ünïcödé'.repeat(10));
+  assert.equal(await store.get('missing'), null);
+}));
+
+test('recording drops runs past the retention window', withStore({ retentionDays: 7 }, async store => {
+  fs.mkdirSync(store.directory, { recursive: true });
+  fs.writeFileSync(store.file, `${JSON.stringify({ runId: 'old', timestamp: new Date(Date.now() - 10 * DAY_MS).toISOString() })}\nnot json\n`);
+
+  await store.record(results(0), 'prod');
+
+  assert.deepEqual((await store.readAll()).map(run => run.environment), ['prod']);
+}));
+
+test('recording keeps the file under maxBytes by dropping the oldest runs', withStore({ maxBytes: 2000, pruneInterval: DAY_MS }, async store => {
+  for (let i = 0; i < 20; i++) {
+    await store.record(results(0, { overall: { status: 'ready', ready: true, sequence: i } }), 'prod');
+  }
+
+  const runs = await store.readAll();
+  assert.ok(fs.statSync(store.file).size <= 2000);
+  assert.equal(runs[runs.length - 1].overall.sequence, 19);
+  assert.ok(runs.length < 20);
+}));
+
+test('summarizeRun scores sections from their pass counts when there is no score', () => {
+  const summary = summarizeRun({ runId: 'r', environment: 'prod', overall: { ready: true }, ...results(0) });
+
+  assert.deepEqual(summary.infrastructure, { status: 'healthy', score: 90 });
+  assert.deepEqual(summary.tests, { status: 'passed', score: 75 });
+  assert.deepEqual(summary.tenantHealth, { status: 'unknown', score: 0 });
+});
+
+test('parseSince takes relative windows or dates', () => {
+  assert.equal(parseSince(null), null);
+  assert.ok(Math.abs(parseSince('2h').getTime() - (Date.now() - 2 * 60 * 60 * 1000)) < 1000);
+  assert.equal(parseSince('2026-01-01T00:00:00Z').toISOString(), '2026-01-01T00:00:00.000Z');
+  assert.throws(() => parseSince('yesterday'), /Invalid "since" value/);
+});
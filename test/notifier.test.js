@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Notifier, inDailyWindow, parseDuration } = require('../scripts/lib/notifier');
+
+function notifier(config = {}) {
+  return new Notifier({ config: { channels: {}, routes: [], silences: [], ...config }, stateFile: null });
+}
+
+const event = (severity, key = 'prod/monitor/API') => ({ key, severity, title: 'API', environment: 'prod' });
+const at = minutes => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+
+test('parseDuration reads s/m/h/d and passes numbers through', () => {
+  assert.equal(parseDuration('30s'), 30 * 1000);
+  assert.equal(parseDuration('5m'), 5 * 60 * 1000);
+  assert.equal(parseDuration('2h'), 2 * 60 * 60 * 1000);
+  assert.equal(parseDuration('1d'), 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration(1500), 1500);
+  assert.equal(parseDuration(''), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test('parseDuration rejects anything else', () => {
+  for (const value of ['5', '5w', '1.5h', ' 5m', '-5m']) {
+    assert.throws(() => parseDuration(value), /Invalid duration/);
+  }
+});
+
+test('inDailyWindow compares UTC minutes and wraps past midnight', () => {
+  const utc = (hours, minutes = 0) => new Date(Date.UTC(2026, 0, 1, hours, minutes));
+
+  assert.equal(inDailyWindow('09:00-17:30', utc(9)), true);
+  assert.equal(inDailyWindow('09:00-17:30', utc(17, 29)), true);
+  assert.equal(inDailyWindow('09:00-17:30', utc(17, 30)), false);
+  assert.equal(inDailyWindow('22:00-06:00', utc(23)), true);
+  assert.equal(inDailyWindow('22:00-06:00', utc(5, 59)), true);
+  assert.equal(inDailyWindow('22:00-06:00', utc(6)), false);
+  assert.equal(inDailyWindow('22:00-06:00', utc(12)), false);
+});
+
+test('evaluate alerts on the first failure and on severity changes only', () => {
+  const alerts = notifier();
+
+  assert.deepEqual(alerts.evaluate(event('warning'), at(0)), { kind: 'alert', previousSeverity: null, since: at(0).toISOString() });
+  alerts.state[event('warning').key].lastNotified = at(0).toISOString();
+  assert.equal(alerts.evaluate(event('warning'), at(1)), null);
+  assert.deepEqual(alerts.evaluate(event('critical'), at(2)), { kind: 'alert', previousSeverity: 'warning', since: at(2).toISOString() });
+});
+
+test('evaluate sends a recovery only for alerts that were notified', () => {
+  const alerts = notifier();
+
+  assert.equal(alerts.evaluate(event('ok'), at(0)), null);
+
+  alerts.evaluate(event('critical'), at(0));
+  assert.equal(alerts.evaluate(event('ok'), at(1)), null, 'never notified, e.g. silenced');
+
+  alerts.evaluate(event('critical'), at(2));
+  alerts.state[event('critical').key].lastNotified = at(2).toISOString();
+  assert.deepEqual(alerts.evaluate(event('ok'), at(3)), { kind: 'recovery', previousSeverity: 'critical', since: at(2).toISOString() });
+  assert.deepEqual(alerts.state, {});
+});
+
+test('evaluate retries an alert that has not been delivered yet', () => {
+  const alerts = notifier();
+
+  alerts.evaluate(event('critical'), at(0));
+  assert.deepEqual(alerts.evaluate(event('critical'), at(5)), { kind: 'alert', previousSeverity: null, since: at(0).toISOString() });
+});
+
+test('evaluate repeats unresolved alerts per reminderInterval and severity', () => {
+  const alerts = notifier({ reminderInterval: { critical: '10m' } });
+  const critical = event('critical', 'a');
+  const warning = event('warning', 'b');
+
+  for (const item of [critical, warning]) {
+    alerts.evaluate(item, at(0));
+    alerts.state[item.key].lastNotified = at(0).toISOString();
+  }
+
+  assert.equal(alerts.evaluate(critical, at(9)), null);
+  assert.deepEqual(alerts.evaluate(critical, at(10)), { kind: 'reminder', previousSeverity: 'critical', since: at(0).toISOString() });
+  assert.equal(alerts.evaluate(warning, at(59)), null);
+});
+
+test('silenceFor matches key, severity and daily window', () => {
+  const alerts = notifier({ silences: [{ match: '^prod/', severity: 'warning', daily: '12:00-13:00', reason: 'maintenance' }] });
+
+  assert.equal(alerts.silenceFor(event('warning'), at(30)).reason, 'maintenance');
+  assert.equal(alerts.silenceFor(event('critical'), at(30)), null);
+  assert.equal(alerts.silenceFor(event('warning', 'stg/monitor/API'), at(30)), null);
+  assert.equal(alerts.silenceFor(event('warning'), new Date(Date.UTC(2026, 0, 1, 13))), null);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Orchestrator, STEP_STATUS, runCommand } = require('../scripts/lib/orchestrator');
+
+// Records the order steps start in; each step yields once so independent steps can overlap
+function tracked(steps, options) {
+  const started = [];
+  const orchestrator = new Orchestrator(steps.map(step => ({
+    run: async () => {
+      await new Promise(resolve => setImmediate(resolve));
+    },
+    ...step
+  })), options);
+  orchestrator.on('step-start', step => started.push(step.id));
+  return { orchestrator, started };
+}
+
+test('steps start only after their dependencies pass', async () => {
+  const { orchestrator, started } = tracked([
+    { id: 'deploy', dependsOn: ['build', 'lint'] },
+    { id: 'build' },
+    { id: 'smoke', dependsOn: ['deploy'] },
+    { id: 'lint' }
+  ]);
+
+  const result = await orchestrator.run();
+
+  assert.equal(result.status, 'passed');
+  assert.deepEqual(started, ['build', 'lint', 'deploy', 'smoke']);
+  assert.deepEqual(result.steps.map(step => step.id), ['deploy', 'build', 'smoke', 'lint'], 'results keep step order');
+});
+
+test('concurrency caps the steps running at once', async () => {
+  let running = 0;
+  let peak = 0;
+  const step = id => ({
+    id,
+    run: async () => {
+      peak = Math.max(peak, ++running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    }
+  });
+
+  await new Orchestrator(['a', 'b', 'c', 'd'].map(step), { concurrency: 2 }).run();
+  assert.equal(peak, 2);
+});
+
+test('a failed dependency skips everything downstream', async () => {
+  const { orchestrator, started } = tracked([
+    { id: 'build', run: () => { throw new Error('compile error'); } },
+    { id: 'deploy', dependsOn: ['build'] },
+    { id: 'smoke', dependsOn: ['deploy'] },
+    { id: 'docs', critical: false }
+  ]);
+
+  const result = await orchestrator.run();
+  const byId = Object.fromEntries(result.steps.map(step => [step.id, step]));
+
+  assert.equal(result.status, 'failed');
+  assert.deepEqual(started, ['build', 'docs']);
+  assert.equal(byId.build.error, 'compile error');
+  assert.deepEqual([byId.deploy.status, byId.deploy.error], [STEP_STATUS.SKIPPED, 'build failed']);
+  assert.deepEqual([byId.smoke.status, byId.smoke.error], [STEP_STATUS.SKIPPED, 'deploy skipped']);
+});
+
+test('only critical steps decide whether the run passed', async () => {
+  const result = await new Orchestrator([
+    { id: 'required', run: () => {} },
+    { id: 'optional', critical: false, run: () => { throw new Error('flaky'); } }
+  ]).run();
+
+  assert.equal(result.passed, true);
+  assert.equal(result.steps[1].status, STEP_STATUS.FAILED);
+});
+
+test('a step that ignores its signal is abandoned at the timeout', async () => {
+  const result = await new Orchestrator([
+    { id: 'stuck', timeout: 20, run: () => new Promise(() => {}) }
+  ]).run();
+
+  assert.equal(result.steps[0].status, STEP_STATUS.TIMED_OUT);
+  assert.equal(result.steps[0].error, 'Timed out after 20ms');
+});
+
+test('retries until a step passes', async () => {
+  let calls = 0;
+  const result = await new Orchestrator([
+    { id: 'flaky', retries: 2, retryDelay: 1, run: ({ attempt }) => { calls++; if (attempt < 3) throw new Error('not yet'); } }
+  ]).run();
+
+  assert.equal(calls, 3);
+  assert.deepEqual([result.steps[0].status, result.steps[0].attempts], [STEP_STATUS.PASSED, 3]);
+});
+
+test('an error with retryable: false fails the step at once', async () => {
+  let calls = 0;
+  const result = await new Orchestrator([
+    {
+      id: 'missing',
+      retries: 2,
+      retryDelay: 1,
+      run: () => {
+        calls++;
+        throw Object.assign(new Error('not found'), { retryable: false });
+      }
+    }
+  ]).run();
+
+  assert.equal(calls, 1);
+  assert.deepEqual([result.steps[0].status, result.steps[0].attempts], [STEP_STATUS.FAILED, 1]);
+  assert.equal('retryable' in result.steps[0], false);
+});
+
+test('cancel() stops running and pending steps', async () => {
+  const orchestrator = new Orchestrator([
+    { id: 'long', run: ({ signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason))) },
+    { id: 'after', dependsOn: ['long'], run: () => {} }
+  ]);
+  orchestrator.on('step-start', () => setImmediate(() => orchestrator.cancel('Stopped by user')));
+
+  const result = await orchestrator.run();
+
+  assert.equal(result.status, 'cancelled');
+  assert.deepEqual(result.steps.map(step => [step.status, step.error]), [
+    [STEP_STATUS.CANCELLED, 'Stopped by user'],
+    [STEP_STATUS.CANCELLED, 'Stopped by user']
+  ]);
+});
+
+test('the constructor rejects invalid graphs', () => {
+  assert.throws(() => new Orchestrator([{ id: 'a' }, { id: 'a' }]), /Duplicate step "a"/);
+  assert.throws(() => new Orchestrator([{ id: 'a', dependsOn: ['b'] }]), /unknown step "b"/);
+  assert.throws(
+    () => new Orchestrator([{ id: 'a', dependsOn: ['b'] }, { id: 'b', dependsOn: ['a'] }]),
+    /Dependency cycle: a -> b -> a/
+  );
+});
+
+test('runCommand streams lines and resolves with the exit code', async () => {
+  const lines = [];
+  const result = await runCommand(process.execPath, ['-e', 'console.log("one\\ntwo"); process.exit(3)'], {
+    onLine: line => lines.push(line)
+  });
+
+  assert.equal(result.code, 3);
+  assert.deepEqual(lines, ['one', 'two']);
+});
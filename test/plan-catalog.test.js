@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PlanCatalog, formatUsage, normalizeLimit } = require('../scripts/lib/plan-catalog');
+
+const catalog = new PlanCatalog({
+  plans: {
+    starter: { limits: { users: 10, apiCalls: 1000, storageGb: 5, seats: 0 } },
+    enterprise: { limits: { users: null, apiCalls: 100000 }, thresholds: { warning: 0.9 } }
+  },
+  thresholds: { warning: 0.75 }
+});
+
+test('tenant overrides sit on top of the plan, and -1 or null means unlimited', () => {
+  assert.deepEqual(catalog.limitsFor({ plan: 'Starter', limits: { users: 25, storageGb: -1 } }), {
+    users: 25,
+    apiCalls: 1000,
+    storageGb: null,
+    seats: 0
+  });
+  assert.deepEqual(catalog.limitsFor({ plan: 'unknown', limits: { users: 3 } }), {
+    users: 3,
+    apiCalls: null,
+    storageGb: null,
+    seats: null
+  });
+  assert.equal(normalizeLimit('12'), 12);
+  assert.equal(normalizeLimit('lots'), null);
+});
+
+test('evaluate grades each metric against the thresholds and keeps the worst', () => {
+  const result = catalog.evaluate({ plan: 'starter' }, { users: 7, apiCalls: 800, storageGb: 1, seats: 0 });
+
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(result.metrics).map(([metric, value]) => [metric, value.status])),
+    { users: 'ok', apiCalls: 'high', storageGb: 'ok', seats: 'ok' }
+  );
+  assert.equal(result.status, 'high');
+  assert.equal(result.knownPlan, true);
+  assert.equal(catalog.evaluate({ plan: 'starter' }, { users: 10 }).status, 'exceeded');
+  assert.equal(catalog.evaluate({ plan: 'starter' }, { seats: 1 }).metrics.seats.ratio, Infinity);
+});
+
+test('plan thresholds override the catalog ones', () => {
+  const result = catalog.evaluate({ plan: 'enterprise' }, { users: 5000, apiCalls: 80000 });
+
+  assert.deepEqual(result.thresholds, { warning: 0.9, critical: 1.0 });
+  assert.equal(result.metrics.users.status, 'unlimited');
+  assert.equal(result.metrics.apiCalls.status, 'ok');
+  assert.equal(result.status, 'ok');
+});
+
+test('formatUsage shows the ratio, or ∞ when unlimited', () => {
+  assert.equal(formatUsage({ used: 12, limit: 25, ratio: 0.48 }), '12/25 (48%)');
+  assert.equal(formatUsage({ used: 12, limit: null, ratio: null }), '12/∞');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUS } = require('../scripts/lib/check-runner');
+const { buildReport, formatReport, getReportOptions } = require('../scripts/lib/reporters');
+
+const checks = [
+  { name: 'Health', status: STATUS.PASSED, responseTime: 120, error: null },
+  { name: 'Latency #2', status: STATUS.WARNING, responseTime: 2500, error: 'slow' },
+  { name: 'Routing <api>', status: STATUS.CRITICAL, responseTime: null, error: 'got "502" & gave up', url: 'https://api' }
+];
+
+function report(extra) {
+  return buildReport('suite', 'stg', checks, extra);
+}
+
+test('buildReport summarizes the checks, and its summary wins over extra fields', () => {
+  const built = report({ summary: 'ignored', stack: 'database' });
+
+  assert.equal(built.stack, 'database');
+  assert.equal(built.summary.total, 3);
+  assert.equal(built.summary.failed, 1);
+  assert.deepEqual(built.checks, checks);
+});
+
+test('JUnit fails critical checks, keeps warnings passing and escapes XML', () => {
+  const xml = formatReport(report(), 'junit');
+
+  assert.match(xml, /<testsuites name="suite" tests="3" failures="1" time="2\.620">/);
+  assert.match(xml, /<testcase classname="suite\.checks" name="Routing &lt;api&gt;"/);
+  assert.match(xml, /<failure type="critical" message="got &quot;502&quot; &amp; gave up">/);
+  assert.match(xml, /<system-out>WARNING: slow<\/system-out>/);
+  assert.equal((xml.match(/<failure/g) || []).length, 1);
+});
+
+test('TAP marks warnings as TODO and describes failures in YAML', () => {
+  const lines = formatReport(report(), 'tap').trim().split('\n');
+
+  assert.deepEqual(lines.slice(0, 4), [
+    'TAP version 13',
+    '1..3',
+    'ok 1 - Health',
+    'not ok 2 - Latency \\#2 # TODO warning: slow'
+  ]);
+  assert.equal(lines[4], 'not ok 3 - Routing <api>');
+  assert.ok(lines.includes('  message: "got \\"502\\" & gave up"'));
+  assert.ok(lines.includes('  url: "https://api"'));
+});
+
+test('text lists every check and the score', () => {
+  const text = formatReport(report(), 'text');
+
+  assert.match(text, /^PASSED {3}Health \(120ms\)$/m);
+  assert.match(text, /^CRITICAL Routing <api> - got "502" & gave up$/m);
+  assert.match(text, /Passed: 1, Warnings: 1, Failed: 1, Score: 33%/);
+});
+
+test('JSON is the report itself', () => {
+  assert.deepEqual(JSON.parse(formatReport(report(), 'json')).summary.total, 3);
+});
+
+test('getReportOptions validates the format', () => {
+  assert.deepEqual(getReportOptions(['--format', 'tap', '--output', 'out.tap']), { format: 'tap', output: 'out.tap' });
+  assert.deepEqual(getReportOptions([]), { format: 'text', output: null });
+  assert.throws(() => getReportOptions(['--format', 'xml']), /Unknown format "xml"/);
+});
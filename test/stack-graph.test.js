@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StackGraph, catalogStackName, nestedTemplateName } = require('../scripts/lib/stack-graph');
+
+const catalog = {
+  stackName: '{prefix}-nirosubs-{suffix}',
+  stacks: {
+    network: { template: 'network.yaml', suffix: 'net' },
+    database: { template: 'database.yaml' },
+    api: { template: 'api.yaml' }
+  }
+};
+
+const TEMPLATES = {
+  'network.yaml': `
+Resources:
+  Vpc:
+    Type: AWS::EC2::VPC
+Outputs:
+  VpcId:
+    Value: !Ref Vpc
+    Export:
+      Name: !Sub '\${Environment}-vpc-id'
+`,
+  'database.yaml': `
+Resources:
+  Database:
+    Type: AWS::RDS::DBInstance
+    Properties:
+      VpcId: !ImportValue
+        Fn::Sub: '\${Environment}-vpc-id'
+Outputs:
+  Endpoint:
+    Value: !GetAtt Database.Endpoint.Address
+    Export:
+      Name: !Sub '\${Environment}-db-endpoint'
+`,
+  'api.yaml': `
+Resources:
+  Api:
+    Type: AWS::ApiGateway::RestApi
+    Properties:
+      Description: !ImportValue nirosubs-db-endpoint
+  Functions:
+    Type: AWS::CloudFormation::Stack
+    Properties:
+      TemplateURL: !Sub 'https://\${Bucket}.s3.amazonaws.com/functions.yaml'
+  Routes:
+    Type: AWS::CloudFormation::Stack
+    DependsOn: Functions
+    Properties:
+      TemplateURL: https://example.com/templates/routes.yaml?v=2
+      Parameters:
+        FunctionArn: !GetAtt Functions.Outputs.Arn
+`,
+  'reports.yaml': `
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !ImportValue legacy-queue-name
+`,
+  'broken.yaml': 'Resources: [\n'
+};
+
+function writeTemplates(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-graph-'));
+  Object.entries(files).forEach(([name, body]) => fs.writeFileSync(path.join(dir, name), body));
+  return dir;
+}
+
+function buildGraph(files = TEMPLATES) {
+  const dir = writeTemplates(files);
+  try {
+    const templateFiles = Object.keys(files).sort().map(name => path.join(dir, name));
+    return new StackGraph({ templateFiles, catalog }).build();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('edges come from imports, nested stacks, their parameters and DependsOn', () => {
+  const graph = buildGraph();
+
+  assert.deepEqual(graph.dependencies('database.yaml'), ['network.yaml']);
+  assert.deepEqual(graph.dependencies('api.yaml'), ['database.yaml', 'functions.yaml', 'routes.yaml']);
+  assert.deepEqual(
+    graph.edges.filter(edge => edge.from === 'routes.yaml').map(edge => [edge.to, edge.kind, edge.via]),
+    [['functions.yaml', 'parameter', 'Functions'], ['functions.yaml', 'depends-on', 'Functions']]
+  );
+  assert.deepEqual(graph.nodes.get('routes.yaml').nestedIn, ['api.yaml']);
+  assert.equal(graph.nodes.get('routes.yaml').missing, true);
+});
+
+test('imports nothing exports, and unparsable templates, are reported', () => {
+  const graph = buildGraph();
+
+  assert.deepEqual(graph.unresolved, [{ template: 'reports.yaml', pattern: 'legacy-queue-name', path: 'Resources.Queue.Properties.QueueName' }]);
+  assert.deepEqual(graph.errors.map(error => error.template), ['broken.yaml']);
+});
+
+test('the full plan deploys dependencies first, in waves', () => {
+  const plan = buildGraph().plan({ environment: { name: 'prod', stackPrefix: 'prod' } });
+
+  assert.deepEqual(plan.steps.map(step => [step.order, step.wave, step.template]), [
+    [1, 1, 'functions.yaml'],
+    [2, 1, 'network.yaml'],
+    [3, 2, 'database.yaml'],
+    [4, 2, 'routes.yaml'],
+    [5, 3, 'api.yaml']
+  ]);
+  assert.equal(plan.steps[1].stackName, 'prod-nirosubs-net');
+  assert.equal(plan.steps[0].reason, 'dependency');
+  assert.equal(plan.steps[4].reason, 'target');
+});
+
+test('the plan for one stack is it and its dependents, with prerequisites listed', () => {
+  const plan = buildGraph().plan({ stack: 'database' });
+
+  assert.deepEqual(plan.steps.map(step => [step.template, step.reason, step.dependsOn]), [
+    ['database.yaml', 'target', []],
+    ['api.yaml', 'dependent', ['database.yaml']]
+  ]);
+  assert.deepEqual(plan.prerequisites.map(entry => entry.template), ['functions.yaml', 'network.yaml', 'routes.yaml']);
+});
+
+test('cycles are listed once and make waves throw', () => {
+  const graph = buildGraph({
+    'a.yaml': "Resources: {}\nOutputs:\n  Out:\n    Value: x\n    Export: { Name: a-out }\n    Other: !ImportValue b-out\n",
+    'b.yaml': "Resources: {}\nOutputs:\n  Out:\n    Value: !ImportValue a-out\n    Export: { Name: b-out }\n"
+  });
+
+  assert.deepEqual(graph.cycles(), [['a.yaml', 'b.yaml', 'a.yaml']]);
+  assert.throws(() => graph.waves(['a.yaml', 'b.yaml']), /Dependency cycle: a\.yaml -> b\.yaml -> a\.yaml/);
+});
+
+test('stack names and nested template names', () => {
+  assert.equal(catalogStackName(catalog, 'database', { name: 'dev' }), 'dev-nirosubs-database');
+  assert.equal(nestedTemplateName({ 'Fn::Sub': ['https://${B}/x/roles.yml', {}] }), 'roles.yml');
+  assert.equal(nestedTemplateName('https://example.com/stack'), null);
+  assert.equal(nestedTemplateName({ Ref: 'TemplateUrl' }), null);
+});
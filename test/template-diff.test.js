@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  assessChanges,
+  changesFromChangeSet,
+  describeChange,
+  diffTemplates,
+  summarizeChanges
+} = require('../scripts/lib/template-diff');
+
+const before = {
+  Resources: {
+    Database: { Type: 'AWS::RDS::DBInstance', DeletionPolicy: 'Snapshot', Properties: { DBName: 'app', AllocatedStorage: 20 } },
+    Uploads: { Type: 'AWS::S3::Bucket', DeletionPolicy: 'Retain', Properties: { Tags: [] } },
+    Queue: { Type: 'AWS::SQS::Queue', Properties: { QueueName: 'jobs', VisibilityTimeout: 30 } },
+    Topic: { Type: 'AWS::SNS::Topic', Properties: { DisplayName: 'Alerts' } },
+    Sessions: { Type: 'AWS::DynamoDB::Table', Properties: { KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] } },
+    Api: { Type: 'AWS::ApiGateway::RestApi', Properties: { Name: 'api', Description: 'v1' } },
+    Handler: { Type: 'AWS::Lambda::Function', Properties: { Runtime: 'nodejs18.x', Handler: 'index.handler' } }
+  }
+};
+
+function diffAfter(changes) {
+  const after = JSON.parse(JSON.stringify(before));
+  changes(after.Resources);
+  const assessed = assessChanges(diffTemplates(before, after), before);
+  return Object.fromEntries(assessed.map(change => [change.logicalId, change]));
+}
+
+test('identical templates, and reordered keys, have no changes', () => {
+  const reordered = JSON.parse(JSON.stringify(before));
+  reordered.Resources.Database.Properties = { AllocatedStorage: 20, DBName: 'app' };
+
+  assert.deepEqual(diffTemplates(before, before), []);
+  assert.deepEqual(diffTemplates(before, reordered), []);
+});
+
+test('a forcing property on a stateful type is a destructive replacement', () => {
+  const { Database } = diffAfter(resources => { resources.Database.Properties.DBName = 'renamed'; });
+
+  assert.equal(Database.action, 'replace');
+  assert.equal(Database.replacement, 'True');
+  assert.deepEqual([Database.stateful, Database.risk, Database.destructive], [true, 'high', true]);
+  assert.match(Database.warning, /creates a new, empty resource/);
+});
+
+test('in-place updates are low risk, or medium on stateful types', () => {
+  const changes = diffAfter(resources => {
+    resources.Database.Properties.AllocatedStorage = 50;
+    resources.Handler.Properties.Runtime = 'nodejs20.x';
+  });
+
+  assert.deepEqual([changes.Database.action, changes.Database.risk], ['modify', 'medium']);
+  assert.deepEqual([changes.Handler.action, changes.Handler.risk, changes.Handler.warning], ['modify', 'low', null]);
+});
+
+test('replacing a stateless resource is medium risk', () => {
+  const { Queue } = diffAfter(resources => { resources.Queue.Properties.QueueName = 'jobs-v2'; });
+
+  assert.deepEqual([Queue.action, Queue.risk, Queue.destructive], ['replace', 'medium', false]);
+  assert.match(Queue.warning, /physical id changes/);
+});
+
+test('conditional replacement comes from the rules, or a ...Name property on unknown types', () => {
+  const changes = diffAfter(resources => {
+    resources.Sessions.Properties.AttributeDefinitions = [{ AttributeName: 'id', AttributeType: 'S' }];
+    resources.Api.Properties.Name = 'api-v2';
+  });
+
+  assert.deepEqual([changes.Sessions.replacement, changes.Sessions.risk], ['Conditional', 'high']);
+  assert.deepEqual([changes.Api.replacement, changes.Api.risk], ['Conditional', 'medium']);
+  assert.match(changes.Api.warning, /Name may replace AWS::ApiGateway::RestApi Api/);
+});
+
+test('a type change replaces, and attributes count as a modification', () => {
+  const changes = diffAfter(resources => {
+    resources.Topic.Type = 'AWS::SQS::Queue';
+    resources.Handler.DependsOn = ['Queue'];
+  });
+
+  assert.deepEqual([changes.Topic.action, changes.Topic.properties], ['replace', ['Type']]);
+  assert.deepEqual([changes.Handler.action, changes.Handler.properties], ['modify', ['DependsOn']]);
+});
+
+test('removals depend on the stateful type and DeletionPolicy', () => {
+  const changes = diffAfter(resources => {
+    delete resources.Database;
+    delete resources.Uploads;
+    delete resources.Sessions;
+    delete resources.Queue;
+  });
+
+  assert.deepEqual([changes.Database.risk, changes.Database.destructive], ['high', true]);
+  assert.match(changes.Database.warning, /leaving only a final snapshot/);
+  assert.deepEqual([changes.Uploads.risk, changes.Uploads.destructive], ['medium', false]);
+  assert.match(changes.Uploads.warning, /retained \(DeletionPolicy Retain\)/);
+  assert.equal(changes.Sessions.risk, 'high');
+  assert.deepEqual([changes.Queue.risk, changes.Queue.warning], ['medium', 'Queue is deleted']);
+});
+
+test('additions are low risk and everything is counted', () => {
+  const changes = Object.values(diffAfter(resources => {
+    resources.Alarm = { Type: 'AWS::CloudWatch::Alarm', Properties: {} };
+    delete resources.Database;
+    resources.Queue.Properties.VisibilityTimeout = 60;
+  }));
+
+  assert.deepEqual(summarizeChanges(changes), { total: 3, add: 1, modify: 1, replace: 0, remove: 1, destructive: 1 });
+  assert.equal(describeChange(changes.find(change => change.logicalId === 'Alarm')), 'add Alarm (AWS::CloudWatch::Alarm)');
+  assert.equal(describeChange(changes.find(change => change.logicalId === 'Queue')), 'modify Queue (AWS::SQS::Queue): VisibilityTimeout');
+});
+
+test('change sets are read into the same shape', () => {
+  const changes = changesFromChangeSet({
+    Changes: [
+      {
+        Type: 'Resource',
+        ResourceChange: {
+          Action: 'Modify',
+          LogicalResourceId: 'Database',
+          PhysicalResourceId: 'db-1',
+          ResourceType: 'AWS::RDS::DBInstance',
+          Replacement: 'True',
+          Details: [{ Target: { Name: 'DBName' } }, { Target: { Name: 'DBName' } }, { Target: { Attribute: 'Tags' } }]
+        }
+      },
+      { Type: 'Resource', ResourceChange: { Action: 'Add', LogicalResourceId: 'Alarm', ResourceType: 'AWS::CloudWatch::Alarm' } },
+      { Type: 'Output' }
+    ]
+  });
+
+  assert.deepEqual(changes, [
+    {
+      logicalId: 'Database',
+      type: 'AWS::RDS::DBInstance',
+      action: 'replace',
+      replacement: 'True',
+      properties: ['DBName', 'Tags'],
+      physicalId: 'db-1',
+      source: 'change-set'
+    },
+    { logicalId: 'Alarm', type: 'AWS::CloudWatch::Alarm', action: 'add', replacement: null, properties: [], physicalId: null, source: 'change-set' }
+  ]);
+  assert.equal(assessChanges(changes, before)[0].destructive, true);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyBaseline, findingsToChecks, loadBaseline } = require('../scripts/template-lint');
+const { STATUS } = require('../scripts/lib/check-runner');
+const { TemplateLinter } = require('../scripts/lib/template-linter');
+
+function finding(template, type, severity, message) {
+  return { type, severity, template, name: 'Environment', message };
+}
+
+function lintResult() {
+  return {
+    templates: [{ name: 'auth.yaml' }, { name: 'database.yaml' }],
+    parameterFiles: ['production.json'],
+    findings: [
+      finding('auth.yaml', 'allowed-values', 'error', 'production.json sets Environment="production"'),
+      finding('database.yaml', 'allowed-values', 'error', 'production.json sets Environment="production"'),
+      finding('database.yaml', 'unused-parameter', 'warning', 'Parameter Environment is never referenced')
+    ]
+  };
+}
+
+test('baseline errors become warnings and new errors stay critical', () => {
+  const result = lintResult();
+  const fixed = applyBaseline(result, [
+    { type: 'allowed-values', template: 'auth.yaml', name: 'Environment', message: 'production.json sets Environment="production"' }
+  ]);
+  const checks = Object.fromEntries(findingsToChecks(result).map(check => [check.name, check]));
+
+  assert.deepEqual(fixed, []);
+  assert.equal(checks['auth.yaml'].status, STATUS.WARNING);
+  assert.equal(checks['auth.yaml'].details[0].baselined, true);
+  assert.equal(checks['database.yaml'].status, STATUS.CRITICAL);
+});
+
+test('a baseline entry only matches the same message', () => {
+  const result = lintResult();
+  const fixed = applyBaseline(result, [
+    { type: 'allowed-values', template: 'auth.yaml', name: 'Environment', message: 'stg.json sets Environment="staging"' }
+  ]);
+
+  assert.equal(fixed.length, 1);
+  assert.equal(findingsToChecks(result)[0].status, STATUS.CRITICAL);
+});
+
+test('the committed baseline matches the current templates exactly', () => {
+  const result = new TemplateLinter().lint();
+
+  assert.deepEqual(applyBaseline(result, loadBaseline()), []);
+  assert.equal(result.findings.filter(item => item.severity === 'error').length, 0);
+});
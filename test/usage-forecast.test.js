@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitTrend } = require('../scripts/lib/usage-forecast');
+
+test('fitTrend fits a least-squares line through the history', () => {
+  const points = [-3, -2, -1, 0].map(day => ({ day, value: 100 + 5 * day }));
+
+  assert.deepEqual(fitTrend(points), { slope: 5, intercept: 100 });
+});
+
+test('fitTrend averages out noise', () => {
+  const { slope, intercept } = fitTrend([
+    { day: -2, value: 9 },
+    { day: -1, value: 11 },
+    { day: 0, value: 10 }
+  ]);
+
+  assert.equal(slope, 0.5);
+  assert.equal(intercept, 10.5);
+});
+
+test('fitTrend is flat without enough history', () => {
+  assert.deepEqual(fitTrend([]), { slope: 0, intercept: 0 });
+  assert.deepEqual(fitTrend([{ day: -1, value: 42 }]), { slope: 0, intercept: 42 });
+  assert.deepEqual(fitTrend([{ day: 0, value: 1 }, { day: 0, value: 3 }]), { slope: 0, intercept: 2 });
+});